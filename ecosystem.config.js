@@ -12,13 +12,15 @@ module.exports = {
         NODE_ENV: 'production',
         PORT: 3000,
         BASE_PATH: '/gift',
-        JWT_SECRET: 'your-super-secret-jwt-key-change-this-in-production'
+        JWT_SECRET: 'your-super-secret-jwt-key-change-this-in-production',
+        STORAGE_BACKEND: 'json'
       },
       env_development: {
         NODE_ENV: 'development',
         PORT: 3000,
         BASE_PATH: '',
-        JWT_SECRET: 'dev-secret-key'
+        JWT_SECRET: 'dev-secret-key',
+        STORAGE_BACKEND: 'json'
       },
       log_date_format: 'YYYY-MM-DD HH:mm Z',
       error_file: '/var/log/pm2/gift-management-error.log',
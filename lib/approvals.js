@@ -0,0 +1,175 @@
+// 多層審批 - 申請依數量與金額決定需要的審批關卡，依序由門店、區域、總部主管核准
+//
+// 審批政策格式: { id, level, minQuantity, minUnitCost, minValue, updatedBy, updatedAt }
+// 每個層級最多一筆政策；數量、贈品單位成本或申請金額 (數量 × 單位成本) 任一達到門檻時需要該層級審批
+// 門店層級一律需要，是第一個關卡
+//
+// 申請的 approvalSteps: [{ level, status, approverId, approvedQuantity, comment, actedAt }]
+// status: pending (待審批)、approved (已核准)、rejected (已駁回)
+// 主管的 approvalLevel 決定可處理的關卡：層級不低於關卡即可處理，門店主管只處理所屬門店員工的申請，不能審批自己的申請；
+// 較高層級的主管核准時，一併完成後續層級不高於自己的連續關卡
+//
+// 代理審批格式: { id, delegatorId, delegateId, startsAt, endsAt, reason, createdAt, cancelledAt }
+// 期間內代理人以委託主管的審批權限處理申請，關卡的 approverId 為代理人、onBehalfOfId 為委託主管；
+// 代理人不必是主管 (例如主管休假時指定的資深員工)；期間結束即自動失效，不需另外處理
+
+const APPROVAL_LEVELS = ['store', 'regional', 'head_office'];
+
+const APPROVAL_LEVEL_TEXT = {
+    store: '門店主管',
+    regional: '區域主管',
+    head_office: '總部'
+};
+
+function levelRank(level) {
+    return APPROVAL_LEVELS.indexOf(level);
+}
+
+// 申請金額以贈品單位成本估算
+function requestValue(data, request, quantity = request.requestedQuantity) {
+    const gift = data.gifts.find(g => g.id === request.giftId);
+    const unitCost = gift && gift.unitCost ? gift.unitCost : 0;
+    return { unitCost, value: Math.abs(quantity) * unitCost };
+}
+
+// 政策門檻是否達到 (未設定任何門檻的政策一律需要)
+function policyApplies(policy, quantity, unitCost, value) {
+    const limits = [
+        [policy.minQuantity, quantity],
+        [policy.minUnitCost, unitCost],
+        [policy.minValue, value]
+    ].filter(([limit]) => limit !== null && limit !== undefined);
+
+    return limits.length === 0 || limits.some(([limit, actual]) => actual >= limit);
+}
+
+// 依審批政策建立申請的審批關卡
+function buildSteps(data, request) {
+    const quantity = Math.abs(request.requestedQuantity);
+    const { unitCost, value } = requestValue(data, request);
+    const levels = APPROVAL_LEVELS.filter(level => {
+        if (level === 'store') return true;
+        const policy = (data.approvalPolicies || []).find(p => p.level === level);
+        return policy ? policyApplies(policy, quantity, unitCost, value) : false;
+    });
+
+    return levels.map(level => ({
+        level,
+        status: 'pending',
+        approverId: null,
+        approvedQuantity: null,
+        comment: null,
+        actedAt: null
+    }));
+}
+
+// 沒有審批關卡的申請 (例如舊資料) 依目前的政策補上
+function ensureSteps(data, request) {
+    if (!Array.isArray(request.approvalSteps) || request.approvalSteps.length === 0) {
+        request.approvalSteps = buildSteps(data, request);
+    }
+    return request.approvalSteps;
+}
+
+function currentStep(request) {
+    return (request.approvalSteps || []).find(step => step.status === 'pending') || null;
+}
+
+// 代理狀態：cancelled (已取消)、scheduled (尚未開始)、active (代理中)、expired (已結束)
+function delegationStatus(delegation, now = new Date().toISOString()) {
+    if (delegation.cancelledAt) return 'cancelled';
+    if (now < delegation.startsAt) return 'scheduled';
+    return now < delegation.endsAt ? 'active' : 'expired';
+}
+
+// 使用者目前代理中的委託
+function activeDelegations(data, userId, now = new Date().toISOString()) {
+    return (data.approvalDelegations || []).filter(delegation =>
+        delegation.delegateId === userId && delegationStatus(delegation, now) === 'active'
+    );
+}
+
+// 主管是否負責申請者：區域主管與總部不限門店，門店主管只負責所屬門店的員工
+function coversRequester(data, manager, request) {
+    if (!manager || manager.role !== 'manager') return false;
+    if (levelRank(manager.approvalLevel || 'store') > levelRank('store')) return true;
+
+    const requester = data.users.find(u => u.id === request.requesterId);
+    return !manager.storeId || Boolean(requester && requester.storeId === manager.storeId);
+}
+
+// 主管是否可處理申請目前的關卡 (不能審批自己的申請)
+function canAct(data, manager, request) {
+    const step = currentStep(request);
+    if (!step || !coversRequester(data, manager, request) || manager.id === request.requesterId) return false;
+
+    return levelRank(manager.approvalLevel || 'store') >= levelRank(step.level);
+}
+
+// 使用者處理申請目前關卡所依據的權限，回傳 { manager, delegate } 或 null
+// 自己可以處理時以自己的權限為準；否則依代理中的委託逐一檢查委託主管，代理人不能審批自己的申請
+function resolveAuthority(data, user, request, now = new Date().toISOString()) {
+    if (canAct(data, user, request)) {
+        return { manager: user, delegate: null };
+    }
+    if (!user || user.id === request.requesterId) return null;
+
+    for (const delegation of activeDelegations(data, user.id, now)) {
+        const delegator = data.users.find(u => u.id === delegation.delegatorId && u.status === 'active');
+        if (delegator && canAct(data, delegator, request)) {
+            return { manager: delegator, delegate: user };
+        }
+    }
+    return null;
+}
+
+function recordAction(step, authority, comment, now) {
+    step.approverId = authority.delegate ? authority.delegate.id : authority.manager.id;
+    step.onBehalfOfId = authority.delegate ? authority.manager.id : null;
+    step.comment = comment || null;
+    step.actedAt = now;
+}
+
+// 核准目前的關卡 (與後續層級不高於主管的連續關卡)，回傳是否所有關卡都已核准
+function approveSteps(request, authority, quantity, comment, now) {
+    const rank = levelRank(authority.manager.approvalLevel || 'store');
+    let step = currentStep(request);
+
+    do {
+        step.status = 'approved';
+        step.approvedQuantity = quantity;
+        recordAction(step, authority, comment, now);
+        step = currentStep(request);
+    } while (step && levelRank(step.level) <= rank);
+
+    return step === null;
+}
+
+// 駁回目前的關卡
+function rejectStep(request, authority, comment, now) {
+    const step = currentStep(request);
+    step.status = 'rejected';
+    recordAction(step, authority, comment, now);
+}
+
+// 最近一個關卡核准的數量 (尚未核准時為 null)
+function lastApprovedQuantity(request) {
+    const approved = (request.approvalSteps || []).filter(step => step.status === 'approved');
+    return approved.length > 0 ? approved[approved.length - 1].approvedQuantity : null;
+}
+
+module.exports = {
+    APPROVAL_LEVELS,
+    APPROVAL_LEVEL_TEXT,
+    buildSteps,
+    ensureSteps,
+    currentStep,
+    delegationStatus,
+    activeDelegations,
+    coversRequester,
+    canAct,
+    resolveAuthority,
+    approveSteps,
+    rejectStep,
+    lastApprovedQuantity
+};
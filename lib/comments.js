@@ -0,0 +1,48 @@
+// 申請留言 - 申請者與主管在申請上留言討論，留言可附檔案 (例如活動傳單、客戶訂單)
+//
+// 申請的 comments: [{ id, userId, body, attachments, createdAt }]
+// attachments: [{ id, fileName, originalName, mimeType, size }]，id 在同一申請內唯一
+// 附件以 multipart/form-data 上傳 (multer)，存放於 UPLOAD_DIR/requests/<申請 id>/，fileName 為儲存的檔名
+
+const path = require('path');
+
+// 可上傳的附件類型與副檔名
+const ATTACHMENT_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+};
+
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS = 5;
+const MAX_COMMENT_LENGTH = 2000;
+
+// multer 以 latin1 解讀檔名，轉回 UTF-8 以保留中文檔名
+function decodeFileName(originalname) {
+    return path.basename(Buffer.from(originalname, 'latin1').toString('utf8'));
+}
+
+// 檢查上傳的檔案，回傳錯誤訊息或 null
+function checkFiles(files) {
+    const invalid = files.find(file => !ATTACHMENT_TYPES[file.mimetype]);
+    return invalid ? `不支援的附件格式: ${decodeFileName(invalid.originalname)} (限 JPG、PNG、WebP、PDF、Excel、Word)` : null;
+}
+
+// 申請內下一個附件 id
+function nextAttachmentId(request) {
+    const ids = (request.comments || []).flatMap(comment => comment.attachments.map(attachment => attachment.id));
+    return Math.max(0, ...ids) + 1;
+}
+
+module.exports = {
+    ATTACHMENT_TYPES,
+    MAX_ATTACHMENT_SIZE,
+    MAX_ATTACHMENTS,
+    MAX_COMMENT_LENGTH,
+    decodeFileName,
+    checkFiles,
+    nextAttachmentId
+};
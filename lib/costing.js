@@ -0,0 +1,165 @@
+// 成本與庫存估值 - 庫存記錄的 costLayers 記錄各批入庫的數量與單位成本
+//
+// 成本層格式: { quantity, unitCost, receivedAt }，未列入成本層的數量 (例如舊資料) 以贈品的 unitCost 計價
+// 估值方法由環境變數 VALUATION_METHOD 設定：
+//   fifo (預設) - 先進先出，出庫時先扣最早入庫的成本層
+//   average     - 加權平均，入出庫時把所有成本層合併為一層平均成本
+
+const VALUATION_METHODS = ['fifo', 'average'];
+
+function valuationMethod() {
+    const method = (process.env.VALUATION_METHOD || 'fifo').toLowerCase();
+    return VALUATION_METHODS.includes(method) ? method : 'fifo';
+}
+
+function roundCost(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function layersTotal(layers) {
+    return (layers || []).reduce((sum, layer) => sum + layer.quantity, 0);
+}
+
+function layersValue(layers) {
+    return (layers || []).reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0);
+}
+
+// 庫存記錄的帳面價值 (未列入成本層的數量以 fallbackCost 計價)
+function holdingValue(holding, fallbackCost = 0) {
+    const untracked = Math.max(0, holding.quantity - layersTotal(holding.costLayers));
+    return roundCost(layersValue(holding.costLayers) + untracked * fallbackCost);
+}
+
+// 加權平均：把成本層 (含未列入的數量) 合併為一層
+function averageLayers(holding, quantity, fallbackCost, receivedAt) {
+    const tracked = layersTotal(holding.costLayers);
+    const untracked = Math.max(0, quantity - tracked);
+    const total = tracked + untracked;
+    if (total <= 0) return [];
+
+    const value = layersValue(holding.costLayers) + untracked * fallbackCost;
+    return [{ quantity: total, unitCost: value / total, receivedAt }];
+}
+
+// 入庫：加入成本層
+function addLayers(holding, layers, fallbackCost, receivedAt) {
+    if (!holding.costLayers) holding.costLayers = [];
+    layers.forEach(layer => holding.costLayers.push({ ...layer, receivedAt: layer.receivedAt || receivedAt }));
+
+    if (valuationMethod() === 'average') {
+        holding.costLayers = averageLayers(holding, holding.quantity, fallbackCost, receivedAt);
+    }
+}
+
+// 出庫：依估值方法扣除成本層，回傳扣除的成本層與總成本
+// holding.quantity 已扣除本次數量，未列入成本層的數量視為最早入庫 (先於所有成本層扣除)
+function consumeLayers(holding, quantity, fallbackCost, now) {
+    const before = holding.quantity + quantity;
+
+    if (valuationMethod() === 'average') {
+        holding.costLayers = averageLayers(holding, before, fallbackCost, now);
+    }
+
+    const layers = holding.costLayers || [];
+    const consumed = [];
+    let remaining = quantity;
+
+    const untracked = Math.max(0, before - layersTotal(layers));
+    if (untracked > 0 && remaining > 0) {
+        const taken = Math.min(untracked, remaining);
+        consumed.push({ quantity: taken, unitCost: fallbackCost, receivedAt: null });
+        remaining -= taken;
+    }
+
+    layers.forEach(layer => {
+        if (remaining <= 0) return;
+        const taken = Math.min(layer.quantity, remaining);
+        layer.quantity -= taken;
+        remaining -= taken;
+        consumed.push({ quantity: taken, unitCost: layer.unitCost, receivedAt: layer.receivedAt });
+    });
+
+    holding.costLayers = layers.filter(layer => layer.quantity > 0);
+    return { layers: consumed, total: roundCost(layersValue(consumed)) };
+}
+
+// 庫存數量被直接改小時 (例如以日誌重建)，依先進先出刪減成本層使合計不超過庫存
+function trimLayers(holding) {
+    if (!holding.costLayers || holding.costLayers.length === 0) return;
+
+    let excess = layersTotal(holding.costLayers) - Math.max(0, holding.quantity);
+    holding.costLayers.forEach(layer => {
+        if (excess <= 0) return;
+        const taken = Math.min(layer.quantity, excess);
+        layer.quantity -= taken;
+        excess -= taken;
+    });
+    holding.costLayers = holding.costLayers.filter(layer => layer.quantity > 0);
+}
+
+// 取出成本層中第 skip 個單位之後的 quantity 個單位 (例如客戶退回時沿用原送出的成本)
+function sliceLayers(layers, skip, quantity) {
+    const sliced = [];
+    let toSkip = skip;
+    let remaining = quantity;
+
+    (layers || []).forEach(layer => {
+        const skipped = Math.min(layer.quantity, toSkip);
+        toSkip -= skipped;
+        const taken = Math.min(layer.quantity - skipped, remaining);
+        if (taken <= 0) return;
+        remaining -= taken;
+        sliced.push({ quantity: taken, unitCost: layer.unitCost, receivedAt: layer.receivedAt });
+    });
+
+    return sliced;
+}
+
+// 各持有者在 asOf (YYYY-MM-DD，含當天) 當時的庫存數量與價值
+// 以目前的帳面價值為起點，倒推 asOf 之後的交易；沒有成本資料的舊交易以贈品單位成本估算
+function valuationAsOf(holdings, transactions, gifts, asOf) {
+    const standardCost = giftId => {
+        const gift = gifts.find(g => g.id === giftId);
+        return gift && gift.unitCost ? gift.unitCost : 0;
+    };
+    const balances = new Map();
+    const balanceFor = (holderType, holderId, giftId) => {
+        const key = `${holderType}:${holderId}:${giftId}`;
+        if (!balances.has(key)) balances.set(key, { holderType, holderId, giftId, quantity: 0, value: 0 });
+        return balances.get(key);
+    };
+
+    holdings.forEach(holding => {
+        const balance = balanceFor(holding.holderType, holding.holderId, holding.giftId);
+        balance.quantity += holding.quantity;
+        balance.value += holdingValue(holding.record, standardCost(holding.giftId));
+    });
+
+    const cutoff = `${asOf}T23:59:59.999Z`;
+    transactions
+        .filter(transaction => transaction.createdAt > cutoff && transaction.quantity !== 0)
+        .forEach(transaction => {
+            const holderType = transaction.holderType || 'user';
+            const holderId = holderType === 'user' ? transaction.userId : transaction.holderId;
+            const cost = transaction.costOfGoods ?? Math.abs(transaction.quantity) * standardCost(transaction.giftId);
+            const balance = balanceFor(holderType, holderId, transaction.giftId);
+            balance.quantity -= transaction.quantity;
+            balance.value -= Math.sign(transaction.quantity) * cost;
+        });
+
+    return [...balances.values()]
+        .filter(balance => balance.quantity !== 0)
+        .map(balance => ({ ...balance, value: roundCost(balance.value) }));
+}
+
+module.exports = {
+    VALUATION_METHODS,
+    valuationMethod,
+    roundCost,
+    holdingValue,
+    addLayers,
+    consumeLayers,
+    trimLayers,
+    sliceLayers,
+    valuationAsOf
+};
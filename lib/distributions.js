@@ -0,0 +1,43 @@
+// 送出單 - 一次送出的多項贈品以同一張送出單歸組，每項各產生一筆 send 交易
+//
+// 送出單格式: { id, documentNumber, userId, recipient, reason, lines, createdAt }
+// lines: [{ giftId, quantity, serials, transactionId }]
+// 每筆 send 交易的 reference 為 { type: 'distribution', id }
+
+// 送出單編號：DS + 建立日期 + 流水號，例如 DS20261019-0012
+function documentNumberFor(id, createdAt) {
+    return `DS${createdAt.split('T')[0].replace(/-/g, '')}-${String(id).padStart(4, '0')}`;
+}
+
+// 整理送出明細：接受 lines 陣列或單項的 giftId/quantity/serials，回傳 { lines } 或 { error }
+function normalizeLines(body) {
+    const input = Array.isArray(body.lines)
+        ? body.lines
+        : [{ giftId: body.giftId, quantity: body.quantity, serials: body.serials }];
+
+    if (input.length === 0) {
+        return { error: '請至少選擇一項贈品' };
+    }
+
+    const lines = [];
+    for (const line of input) {
+        const giftId = parseInt(line.giftId);
+        const quantity = parseInt(line.quantity);
+
+        if (!giftId || !Number.isInteger(quantity) || quantity <= 0) {
+            return { error: '請選擇贈品並輸入正確數量' };
+        }
+        if (lines.some(existing => existing.giftId === giftId)) {
+            return { error: '同一贈品請合併為一項' };
+        }
+
+        lines.push({ giftId, quantity, serials: line.serials });
+    }
+
+    return { lines };
+}
+
+module.exports = {
+    documentNumberFor,
+    normalizeLines
+};
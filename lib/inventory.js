@@ -0,0 +1,379 @@
+// 庫存異動共用邏輯 - 所有數量變動都經由這裡，確保庫存、交易紀錄與事件日誌一致
+const { queueJournalEvent } = require('../storage/journal');
+const lotService = require('./lots');
+const serialService = require('./serials');
+const costing = require('./costing');
+
+// 庫存持有者類型：各自存放於不同集合，holderKey 為指向持有者的欄位 (總部倉庫只有一個，不需要)
+// transit 為門店調撥出貨後、收貨前的在途庫存，持有者為調撥單
+// writeoff 為客戶退回的損壞品待報廢區，依經手員工的門店分區 (未指派門店時 storeId 為 null)
+// receipt 為轉移申請核准後、接收人簽收前的待簽收庫存，持有者為轉移申請
+const HOLDER_TYPES = {
+    user: { collection: 'giftInventory', holderKey: 'userId' },
+    store: { collection: 'storeInventory', holderKey: 'storeId' },
+    transit: { collection: 'transitInventory', holderKey: 'transferId' },
+    warehouse: { collection: 'warehouseInventory', holderKey: null },
+    writeoff: { collection: 'writeOffInventory', holderKey: 'storeId' },
+    receipt: { collection: 'pendingReceiptInventory', holderKey: 'requestId' }
+};
+
+function holderConfig(holderType) {
+    const config = HOLDER_TYPES[holderType];
+    if (!config) {
+        throw new Error(`不支援的庫存持有者類型: ${holderType}`);
+    }
+    return config;
+}
+
+// 尋找持有者的庫存記錄
+function findHolding(data, holderType, holderId, giftId) {
+    const { collection, holderKey } = holderConfig(holderType);
+    return (data[collection] || []).find(item =>
+        item.giftId === giftId && (!holderKey || item[holderKey] === holderId)
+    );
+}
+
+// 增減持有者庫存，記錄不存在時自動建立
+function changeHolding(data, holderType, holderId, giftId, delta, now) {
+    const { collection, holderKey } = holderConfig(holderType);
+    let holding = findHolding(data, holderType, holderId, giftId);
+
+    if (holding) {
+        holding.quantity += delta;
+        holding.lastUpdated = now;
+    } else {
+        holding = { id: data.nextIds[collection]++ };
+        if (holderKey) holding[holderKey] = holderId;
+        holding.giftId = giftId;
+        holding.quantity = delta;
+        holding.lastUpdated = now;
+        data[collection].push(holding);
+    }
+
+    return holding;
+}
+
+// 庫存記錄所屬的持有者 id
+function holderIdOf(holderType, item) {
+    const { holderKey } = holderConfig(holderType);
+    return holderKey ? item[holderKey] : null;
+}
+
+// 列出所有持有者的庫存記錄
+function allHoldings(data) {
+    const holdings = [];
+    Object.entries(HOLDER_TYPES).forEach(([holderType, { collection }]) => {
+        (data[collection] || []).forEach(item => {
+            holdings.push({
+                holderType,
+                holderId: holderIdOf(holderType, item),
+                giftId: item.giftId,
+                quantity: item.quantity,
+                record: item
+            });
+        });
+    });
+    return holdings;
+}
+
+// 尋找員工的庫存記錄
+function findInventory(data, userId, giftId) {
+    return findHolding(data, 'user', userId, giftId);
+}
+
+// 增減員工庫存，記錄不存在時自動建立
+function changeUserInventory(data, userId, giftId, delta, now) {
+    return changeHolding(data, 'user', userId, giftId, delta, now);
+}
+
+// 持有者的現有數量 (沒有記錄時為 0)
+function onHand(data, holderType, holderId, giftId) {
+    const holding = findHolding(data, holderType, holderId, giftId);
+    return holding ? holding.quantity : 0;
+}
+
+// 總部倉庫的現有數量
+function warehouseOnHand(data, giftId) {
+    return onHand(data, 'warehouse', null, giftId);
+}
+
+// 交易紀錄的持有者 (舊資料沒有 holderType，視為員工)
+function holderOf(transaction) {
+    const holderType = transaction.holderType || 'user';
+    return {
+        holderType,
+        holderId: holderType === 'user' ? transaction.userId : (transaction.holderId ?? null)
+    };
+}
+
+// 新增一筆交易紀錄 (不影響庫存數量)
+function recordTransaction(data, fields) {
+    const holderType = fields.holderType || 'user';
+    const transaction = {
+        id: data.nextIds.giftTransactions++,
+        holderType: holderType,
+        holderId: holderType === 'user' ? fields.userId : (fields.holderId ?? null),
+        userId: holderType === 'user' ? fields.userId : null,
+        giftId: fields.giftId,
+        transactionType: fields.transactionType,
+        quantity: fields.quantity,
+        referenceUserId: fields.referenceUserId || null,
+        reference: fields.reference || null,
+        lots: null,
+        serials: null,
+        costOfGoods: null,
+        costLayers: null,
+        recipient: fields.recipient || null,
+        condition: fields.condition || null,
+        reason: fields.reason,
+        status: fields.status || 'completed',
+        createdBy: fields.createdBy,
+        createdAt: fields.createdAt || new Date().toISOString()
+    };
+
+    data.giftTransactions.push(transaction);
+    return transaction;
+}
+
+// 記錄一筆庫存異動：更新持有者庫存、新增交易紀錄，並排入事件日誌
+// fields.holderType 預設為員工 (user)，此時以 fields.userId 指定持有者
+// fields.lots：入庫時為進入的批號；出庫時為指定扣除的批號，未指定則依先到期先出扣除 (送出時略過過期批號)
+// 實際異動的批號記錄在交易的 lots，兩個持有者之間移轉時把出庫交易的 lots 傳給入庫的一方
+// fields.serials：序號管理贈品經手的序號，規則同批號 (出庫未指定時依入庫先後挑選)
+// 成本：出庫依估值方法扣除成本層，扣除的成本記錄在交易的 costLayers/costOfGoods 並傳給入庫的一方；
+// 沒有成本層的入庫以 fields.unitCost (未提供時為贈品單位成本) 計價
+function postMovement(data, fields) {
+    const createdAt = fields.createdAt || new Date().toISOString();
+    const transaction = recordTransaction(data, { ...fields, createdAt });
+    const holding = changeHolding(data, transaction.holderType, transaction.holderId, transaction.giftId, transaction.quantity, createdAt);
+    const gift = data.gifts.find(g => g.id === transaction.giftId);
+    const standardCost = gift && gift.unitCost ? gift.unitCost : 0;
+
+    if (transaction.quantity < 0) {
+        const allocations = lotService.consumeLots(holding, -transaction.quantity, lotService.normalizeLots(fields.lots),
+            transaction.transactionType === 'send');
+        if (allocations.length > 0) transaction.lots = allocations;
+
+        const serials = serialService.detachSerials(data, transaction, serialService.normalizeSerials(fields.serials));
+        if (serials.length > 0) transaction.serials = serials;
+
+        const cost = costing.consumeLayers(holding, -transaction.quantity, standardCost, createdAt);
+        transaction.costLayers = cost.layers;
+        transaction.costOfGoods = cost.total;
+    } else if (transaction.quantity > 0) {
+        if (fields.lots && fields.lots.length > 0) {
+            const lots = lotService.normalizeLots(fields.lots, createdAt.split('T')[0]);
+            lotService.addLots(holding, lots);
+            transaction.lots = lots;
+        }
+
+        const serials = serialService.normalizeSerials(fields.serials);
+        if (serials.length > 0) transaction.serials = serialService.attachSerials(data, transaction, serials);
+
+        const layers = fields.costLayers && fields.costLayers.length > 0
+            ? fields.costLayers
+            : [{ quantity: transaction.quantity, unitCost: fields.unitCost ?? standardCost }];
+        costing.addLayers(holding, layers, standardCost, createdAt);
+        transaction.costLayers = layers.map(layer => ({ quantity: layer.quantity, unitCost: layer.unitCost, receivedAt: layer.receivedAt || createdAt }));
+        transaction.costOfGoods = costing.roundCost(layers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0));
+    }
+
+    if (transaction.quantity !== 0) {
+        queueJournalEvent(data, {
+            type: transaction.transactionType,
+            holderType: transaction.holderType,
+            holderId: transaction.holderId,
+            giftId: transaction.giftId,
+            quantity: transaction.quantity,
+            transactionId: transaction.id,
+            createdBy: transaction.createdBy,
+            at: createdAt
+        });
+    }
+
+    return transaction;
+}
+
+// 在兩個持有者之間移轉庫存：先自來源出庫，再把實際扣除的批號與序號帶入目的地
+// shared 為雙方共用的欄位 (giftId、quantity、serials、createdBy、createdAt、reference)，
+// source / target 為各自的持有者與交易欄位 (holderType、holderId 或 userId、transactionType、reason、referenceUserId)
+function moveStock(data, shared, source, target) {
+    const createdAt = shared.createdAt || new Date().toISOString();
+    const outgoing = postMovement(data, {
+        ...shared,
+        ...source,
+        quantity: -shared.quantity,
+        lots: shared.lots,
+        serials: shared.serials,
+        createdAt
+    });
+    const incoming = postMovement(data, {
+        ...shared,
+        ...target,
+        quantity: shared.quantity,
+        lots: outgoing.lots,
+        serials: outgoing.serials,
+        costLayers: outgoing.costLayers,
+        createdAt
+    });
+    return { outgoing, incoming };
+}
+
+// 移除符合條件的庫存記錄，移除前先以 delete 異動將數量歸零 (holderType 預設為員工)
+function removeInventory(data, predicate, reason, createdBy, holderType = 'user') {
+    const { collection } = holderConfig(holderType);
+    const removed = data[collection].filter(predicate);
+
+    removed.forEach(item => {
+        const holderId = holderIdOf(holderType, item);
+        postMovement(data, {
+            holderType: holderType,
+            holderId: holderId,
+            userId: holderId,
+            giftId: item.giftId,
+            transactionType: 'delete',
+            quantity: -item.quantity,
+            reason: reason,
+            createdBy: createdBy
+        });
+    });
+
+    data[collection] = data[collection].filter(item => !predicate(item));
+    return removed;
+}
+
+// 產生期初餘額事件 (日誌啟用前既有的庫存)
+function openingBalanceEvents(data) {
+    const now = new Date().toISOString();
+    return allHoldings(data)
+        .filter(holding => holding.quantity !== 0)
+        .map(holding => ({
+            type: 'opening',
+            holderType: holding.holderType,
+            holderId: holding.holderId,
+            giftId: holding.giftId,
+            quantity: holding.quantity,
+            transactionId: null,
+            createdBy: null,
+            at: now
+        }));
+}
+
+function balanceKey(holderType, holderId, giftId) {
+    return `${holderType}:${holderId}:${giftId}`;
+}
+
+// 重播事件日誌，計算各持有者的餘額
+function projectBalances(events) {
+    const balances = new Map();
+
+    events.forEach(event => {
+        const key = balanceKey(event.holderType, event.holderId, event.giftId);
+        const balance = balances.get(key) || {
+            holderType: event.holderType,
+            holderId: event.holderId,
+            giftId: event.giftId,
+            quantity: 0
+        };
+        balance.quantity += event.quantity;
+        balances.set(key, balance);
+    });
+
+    return balances;
+}
+
+// 比對日誌投影與目前儲存的庫存，回傳不一致的項目
+function findDivergences(data, balances) {
+    const divergences = [];
+    const seen = new Set();
+
+    allHoldings(data).forEach(holding => {
+        const key = balanceKey(holding.holderType, holding.holderId, holding.giftId);
+        seen.add(key);
+        const projected = balances.has(key) ? balances.get(key).quantity : 0;
+        if (projected !== holding.quantity) {
+            divergences.push({
+                holderType: holding.holderType,
+                holderId: holding.holderId,
+                giftId: holding.giftId,
+                stored: holding.quantity,
+                projected: projected,
+                difference: projected - holding.quantity
+            });
+        }
+    });
+
+    balances.forEach((balance, key) => {
+        if (seen.has(key) || balance.quantity === 0) return;
+        divergences.push({
+            holderType: balance.holderType,
+            holderId: balance.holderId,
+            giftId: balance.giftId,
+            stored: 0,
+            projected: balance.quantity,
+            difference: balance.quantity
+        });
+    });
+
+    return divergences;
+}
+
+// 產生補正事件，使日誌投影與目前儲存的庫存一致 (例如還原快照後)
+function reconciliationEvents(divergences, type, createdBy) {
+    const now = new Date().toISOString();
+    return divergences.map(item => ({
+        type: type,
+        holderType: item.holderType,
+        holderId: item.holderId,
+        giftId: item.giftId,
+        quantity: -item.difference,
+        transactionId: null,
+        createdBy: createdBy,
+        at: now
+    }));
+}
+
+// 以日誌投影覆寫各持有者的庫存數量
+function applyBalances(data, balances) {
+    const now = new Date().toISOString();
+
+    allHoldings(data).forEach(holding => {
+        const balance = balances.get(balanceKey(holding.holderType, holding.holderId, holding.giftId));
+        const projected = balance ? balance.quantity : 0;
+        if (holding.quantity !== projected) {
+            holding.record.quantity = projected;
+            holding.record.lastUpdated = now;
+            lotService.trimLots(holding.record);
+            costing.trimLayers(holding.record);
+        }
+    });
+
+    balances.forEach(balance => {
+        if (!HOLDER_TYPES[balance.holderType] || balance.quantity === 0) return;
+        if (!findHolding(data, balance.holderType, balance.holderId, balance.giftId)) {
+            changeHolding(data, balance.holderType, balance.holderId, balance.giftId, balance.quantity, now);
+        }
+    });
+}
+
+module.exports = {
+    HOLDER_TYPES,
+    findHolding,
+    changeHolding,
+    allHoldings,
+    findInventory,
+    changeUserInventory,
+    onHand,
+    warehouseOnHand,
+    holderOf,
+    recordTransaction,
+    postMovement,
+    moveStock,
+    removeInventory,
+    openingBalanceEvents,
+    balanceKey,
+    projectBalances,
+    findDivergences,
+    reconciliationEvents,
+    applyBalances
+};
@@ -0,0 +1,151 @@
+// 帳務一致性檢查 - 供 API 與命令列工具共用
+const { recordTransaction, allHoldings, balanceKey, holderOf } = require('./inventory');
+
+// 庫存與交易合計不符的項目 (userId 保留給員工持有者，方便既有報表使用)
+function mismatch(holderType, holderId, giftId, inventoryQuantity, transactionTotal) {
+    return {
+        holderType,
+        holderId,
+        userId: holderType === 'user' ? holderId : null,
+        giftId,
+        inventoryQuantity,
+        transactionTotal,
+        difference: inventoryQuantity - transactionTotal
+    };
+}
+
+// 檢查資料，回傳各類問題清單
+function checkLedger(data) {
+    const userIds = new Set(data.users.map(u => u.id));
+    const giftIds = new Set(data.gifts.map(g => g.id));
+    const storeIds = new Set(data.stores.map(s => s.id));
+    const transferIds = new Set((data.storeTransfers || []).map(t => t.id));
+    const requestIds = new Set((data.giftRequests || []).map(r => r.id));
+
+    // 各持有者 (員工、門店、在途、總部倉庫)、贈品的交易數量合計
+    const transactionSums = new Map();
+    data.giftTransactions.forEach(trans => {
+        if (trans.status && trans.status !== 'completed') return;
+        const { holderType, holderId } = holderOf(trans);
+        const key = balanceKey(holderType, holderId, trans.giftId);
+        const sum = transactionSums.get(key) || { holderType, holderId, giftId: trans.giftId, total: 0 };
+        sum.total += trans.quantity;
+        transactionSums.set(key, sum);
+    });
+
+    // 持有者與贈品都存在時才比對，其餘由孤立記錄檢查處理
+    const holderExists = (holderType, holderId) =>
+        holderType === 'user' ? userIds.has(holderId) :
+        holderType === 'store' ? storeIds.has(holderId) :
+        holderType === 'transit' ? transferIds.has(holderId) :
+        holderType === 'writeoff' ? holderId === null || storeIds.has(holderId) :
+        holderType === 'receipt' ? requestIds.has(holderId) : true;
+    const isLive = (holderType, holderId, giftId) =>
+        giftIds.has(giftId) && holderExists(holderType, holderId);
+
+    const mismatchedBalances = [];
+    const holdingKeys = new Set();
+    allHoldings(data).forEach(holding => {
+        const key = balanceKey(holding.holderType, holding.holderId, holding.giftId);
+        holdingKeys.add(key);
+        if (!isLive(holding.holderType, holding.holderId, holding.giftId)) return;
+        const transactionTotal = transactionSums.has(key) ? transactionSums.get(key).total : 0;
+        if (transactionTotal !== holding.quantity) {
+            mismatchedBalances.push(mismatch(holding.holderType, holding.holderId, holding.giftId, holding.quantity, transactionTotal));
+        }
+    });
+    transactionSums.forEach((sum, key) => {
+        if (holdingKeys.has(key) || sum.total === 0) return;
+        if (!isLive(sum.holderType, sum.holderId, sum.giftId)) return;
+        mismatchedBalances.push(mismatch(sum.holderType, sum.holderId, sum.giftId, 0, sum.total));
+    });
+
+    const orphanedInventory = allHoldings(data)
+        .filter(holding => !isLive(holding.holderType, holding.holderId, holding.giftId))
+        .map(holding => ({
+            holderType: holding.holderType,
+            inventoryId: holding.record.id,
+            userId: holding.record.userId ?? null,
+            giftId: holding.giftId,
+            quantity: holding.quantity,
+            holderId: holding.holderId,
+            missingUser: holding.holderType === 'user' && !userIds.has(holding.holderId),
+            missingStore: holding.holderType === 'store' && !storeIds.has(holding.holderId),
+            missingGift: !giftIds.has(holding.giftId)
+        }));
+
+    const negativeQuantities = allHoldings(data)
+        .filter(holding => holding.quantity < 0)
+        .map(holding => ({
+            holderType: holding.holderType,
+            inventoryId: holding.record.id,
+            userId: holding.record.userId ?? null,
+            giftId: holding.giftId,
+            quantity: holding.quantity
+        }));
+
+    const danglingTargets = data.giftRequests
+        .filter(request => request.targetUserId && !userIds.has(request.targetUserId))
+        .map(request => ({
+            requestId: request.id,
+            targetUserId: request.targetUserId,
+            status: request.status
+        }));
+
+    const staleCounters = [];
+    Object.keys(data.nextIds || {}).forEach(collection => {
+        if (!Array.isArray(data[collection]) || data[collection].length === 0) return;
+        const maxId = Math.max(...data[collection].map(item => item.id));
+        if (data.nextIds[collection] <= maxId) {
+            staleCounters.push({
+                collection,
+                nextId: data.nextIds[collection],
+                maxId
+            });
+        }
+    });
+
+    const issues = {
+        mismatchedBalances,
+        orphanedInventory,
+        negativeQuantities,
+        danglingTargets,
+        staleCounters
+    };
+    const issueCount = Object.values(issues).reduce((sum, list) => sum + list.length, 0);
+
+    return { issueCount, issues };
+}
+
+// 修復可自動處理的問題：以 adjust 交易補齊差額，並修正 nextIds 計數器
+// 其他問題 (孤立記錄、負數庫存、無效接收人) 需人工判斷，只回報不修改
+function repairLedger(data, createdBy) {
+    const { issues } = checkLedger(data);
+    const now = new Date().toISOString();
+    const repairs = [];
+
+    // 先修正計數器，避免新增的交易使用重複 id
+    issues.staleCounters.forEach(counter => {
+        data.nextIds[counter.collection] = counter.maxId + 1;
+        repairs.push({ type: 'counter', collection: counter.collection, nextId: counter.maxId + 1 });
+    });
+
+    issues.mismatchedBalances.forEach(item => {
+        const transaction = recordTransaction(data, {
+            holderType: item.holderType,
+            holderId: item.holderId,
+            userId: item.userId,
+            giftId: item.giftId,
+            transactionType: 'adjust',
+            quantity: item.difference,
+            reason: `帳務修正：庫存 ${item.inventoryQuantity}，交易合計 ${item.transactionTotal}`,
+            createdBy,
+            createdAt: now
+        });
+        repairs.push({ type: 'adjust', transactionId: transaction.id, holderType: item.holderType, holderId: item.holderId, giftId: item.giftId, quantity: item.difference });
+    });
+
+    return repairs;
+}
+
+module.exports = { checkLedger, repairLedger };
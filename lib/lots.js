@@ -0,0 +1,152 @@
+// 批號與效期 - 庫存記錄的 lots 陣列記錄各批數量，未列入批號的部分視為無批號庫存
+//
+// 批號格式: { lotNumber, receivedDate, expiryDate, quantity }，日期為 YYYY-MM-DD，expiryDate 可為 null
+// 各批數量合計不會超過庫存記錄的 quantity
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+// 先到期先出 (FEFO)：有效期限早的在前，沒有效期限的排最後
+function compareExpiry(a, b) {
+    if (a.expiryDate === b.expiryDate) return (a.receivedDate || '').localeCompare(b.receivedDate || '');
+    if (!a.expiryDate) return 1;
+    if (!b.expiryDate) return -1;
+    return a.expiryDate.localeCompare(b.expiryDate);
+}
+
+function sameLot(a, b) {
+    return a.lotNumber === b.lotNumber && (a.expiryDate || null) === (b.expiryDate || null);
+}
+
+// 整理輸入的批號資料，數量為 0 或負數者略過
+function normalizeLots(lots, receivedDate) {
+    return (lots || [])
+        .map(lot => ({
+            lotNumber: String(lot.lotNumber || '').trim(),
+            receivedDate: lot.receivedDate || receivedDate,
+            expiryDate: lot.expiryDate || null,
+            quantity: Math.abs(parseInt(lot.quantity) || 0)
+        }))
+        .filter(lot => lot.lotNumber && lot.quantity > 0);
+}
+
+// 將批號加入庫存記錄 (同批號、同效期者合併)
+function addLots(holding, lots) {
+    if (!holding.lots) holding.lots = [];
+
+    lots.forEach(lot => {
+        const existing = holding.lots.find(item => sameLot(item, lot));
+        if (existing) {
+            existing.quantity += lot.quantity;
+        } else {
+            holding.lots.push({ ...lot });
+        }
+    });
+    holding.lots.sort(compareExpiry);
+}
+
+// 檢查指定扣除的批號在庫存記錄中是否足夠，回傳第一個不足的批號 { lotNumber, expiryDate, requested, available } 或 null
+function findShortage(holding, requested) {
+    const lots = (holding && holding.lots) || [];
+    for (const request of requested) {
+        const lot = lots.find(item => sameLot(item, request));
+        const available = lot ? lot.quantity : 0;
+        if (available < request.quantity) {
+            return { lotNumber: request.lotNumber, expiryDate: request.expiryDate || null, requested: request.quantity, available };
+        }
+    }
+    return null;
+}
+
+// 已過期的批號合計數量
+function expiredQuantity(holding, asOf = today()) {
+    return ((holding && holding.lots) || [])
+        .filter(lot => lot.expiryDate && lot.expiryDate < asOf)
+        .reduce((sum, lot) => sum + lot.quantity, 0);
+}
+
+// 自庫存記錄扣除批號數量，回傳實際扣除的批號明細
+// 指定 requested 時只扣除指定的批號 (例如報廢過期品)，否則依 FEFO 扣除，批號扣完後才扣無批號庫存
+// skipExpired 為 true 時 (送出) 不扣過期批號，留待過期報廢處理；呼叫端應先確認未過期的數量足夠
+function consumeLots(holding, quantity, requested, skipExpired = false) {
+    const lots = holding.lots || [];
+    const allocations = [];
+
+    if (requested && requested.length > 0) {
+        // 呼叫端應先以 findShortage 檢查，這裡只防止扣到一半才發現不足
+        const shortage = findShortage(holding, requested);
+        if (shortage) {
+            throw new Error(`批號 ${shortage.lotNumber} 數量不足`);
+        }
+        requested.forEach(request => {
+            const lot = lots.find(item => sameLot(item, request));
+            lot.quantity -= request.quantity;
+            allocations.push({ ...lot, quantity: request.quantity });
+        });
+    } else {
+        // 無批號庫存視為沒有效期限，排在所有批號之後才扣
+        const asOf = today();
+        const usable = skipExpired ? lots.filter(lot => !lot.expiryDate || lot.expiryDate >= asOf) : lots;
+        let remaining = Math.min(quantity, usable.reduce((sum, lot) => sum + lot.quantity, 0));
+
+        [...usable].sort(compareExpiry).forEach(lot => {
+            if (remaining <= 0 || lot.quantity <= 0) return;
+            const taken = Math.min(lot.quantity, remaining);
+            lot.quantity -= taken;
+            remaining -= taken;
+            allocations.push({ ...lot, quantity: taken });
+        });
+    }
+
+    holding.lots = lots.filter(lot => lot.quantity > 0);
+    return allocations;
+}
+
+// 庫存數量被直接改小時 (例如以日誌重建)，依 FEFO 刪減批號使合計不超過庫存
+function trimLots(holding) {
+    if (!holding.lots || holding.lots.length === 0) return;
+
+    let excess = holding.lots.reduce((sum, lot) => sum + lot.quantity, 0) - Math.max(0, holding.quantity);
+    holding.lots.sort(compareExpiry).forEach(lot => {
+        if (excess <= 0) return;
+        const taken = Math.min(lot.quantity, excess);
+        lot.quantity -= taken;
+        excess -= taken;
+    });
+    holding.lots = holding.lots.filter(lot => lot.quantity > 0);
+}
+
+// 列出 days 天內到期 (含已過期) 的批號
+function expiringLots(holdings, days, asOf = today()) {
+    const limit = new Date(`${asOf}T00:00:00Z`);
+    limit.setUTCDate(limit.getUTCDate() + days);
+    const limitDate = limit.toISOString().split('T')[0];
+
+    const result = [];
+    holdings.forEach(holding => {
+        (holding.record.lots || []).forEach(lot => {
+            if (!lot.expiryDate || lot.expiryDate > limitDate) return;
+            result.push({
+                holderType: holding.holderType,
+                holderId: holding.holderId,
+                giftId: holding.giftId,
+                ...lot,
+                expired: lot.expiryDate < asOf
+            });
+        });
+    });
+
+    return result.sort(compareExpiry);
+}
+
+module.exports = {
+    today,
+    normalizeLots,
+    addLots,
+    findShortage,
+    expiredQuantity,
+    consumeLots,
+    trimLots,
+    expiringLots
+};
@@ -0,0 +1,80 @@
+// 採購單 - 向供應商下單，分批收貨時計入總部倉庫
+//
+// 採購單格式: { id, poNumber, supplierId, status, expectedDate, note, lines, receipts, createdBy, createdAt, updatedAt }
+// lines: [{ lineId, giftId, quantity, unitCost, receivedQuantity }]
+// receipts: [{ id, receivedAt, receivedBy, note, lines: [{ lineId, giftId, quantity, lotNumber, expiryDate, serials, unitCost, transactionId }] }]
+// status: open (未收貨) → partial (部分收貨) → received (已收齊)；未收齊前可取消 (cancelled)
+
+const PO_STATUS_TEXT = {
+    open: '未收貨',
+    partial: '部分收貨',
+    received: '已收齊',
+    cancelled: '已取消'
+};
+
+// 採購單編號：PO + 建立日期 + 流水號，例如 PO20261019-0007
+function poNumberFor(id, createdAt) {
+    return `PO${createdAt.split('T')[0].replace(/-/g, '')}-${String(id).padStart(4, '0')}`;
+}
+
+function outstandingQuantity(line) {
+    return line.quantity - line.receivedQuantity;
+}
+
+// 依各明細的收貨數量更新採購單狀態
+function refreshStatus(order) {
+    if (order.status === 'cancelled') return order.status;
+
+    const received = order.lines.reduce((sum, line) => sum + line.receivedQuantity, 0);
+    if (order.lines.every(line => outstandingQuantity(line) <= 0)) {
+        order.status = 'received';
+    } else {
+        order.status = received > 0 ? 'partial' : 'open';
+    }
+    return order.status;
+}
+
+function isOpen(order) {
+    return order.status === 'open' || order.status === 'partial';
+}
+
+// 尚未收齊的採購明細 (未收數量與金額)
+function openLines(data) {
+    const lines = [];
+
+    data.purchaseOrders.filter(isOpen).forEach(order => {
+        const supplier = data.suppliers.find(s => s.id === order.supplierId);
+
+        order.lines.forEach(line => {
+            const outstanding = outstandingQuantity(line);
+            if (outstanding <= 0) return;
+
+            lines.push({
+                purchaseOrderId: order.id,
+                poNumber: order.poNumber,
+                status: order.status,
+                supplier: supplier || null,
+                lineId: line.lineId,
+                gift: data.gifts.find(g => g.id === line.giftId) || null,
+                orderedQuantity: line.quantity,
+                receivedQuantity: line.receivedQuantity,
+                outstandingQuantity: outstanding,
+                unitCost: line.unitCost,
+                outstandingValue: Math.round(outstanding * line.unitCost * 100) / 100,
+                expectedDate: order.expectedDate,
+                createdAt: order.createdAt
+            });
+        });
+    });
+
+    return lines;
+}
+
+module.exports = {
+    PO_STATUS_TEXT,
+    poNumberFor,
+    outstandingQuantity,
+    refreshStatus,
+    isOpen,
+    openLines
+};
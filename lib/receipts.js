@@ -0,0 +1,37 @@
+// 轉移簽收 - 轉移申請核准後庫存先放入待簽收區，由接收人確認收到後才轉入其庫存
+//
+// 待簽收區為 receipt 持有者 (pendingReceiptInventory)，持有者為轉移申請
+// 申請狀態：awaiting_receipt (待簽收) → approved (接收人確認，完成轉移)
+//           awaiting_receipt → disputed (接收人表示未收到) → 主管處理：
+//             return    - 退回申請者，申請狀態為 returned
+//             redeliver - 主管確認已交付，重新交由接收人簽收 (回到 awaiting_receipt)
+// 申請的 receipt 欄位: { confirmedAt, disputeReason, disputedAt, resolution, resolutionNote, resolvedBy, resolvedAt }
+
+const RECEIPT_STATUS_TEXT = {
+    awaiting_receipt: '待簽收',
+    disputed: '簽收爭議',
+    returned: '已退回'
+};
+
+const DISPUTE_DECISIONS = {
+    return: '退回申請者',
+    redeliver: '重新交由接收人簽收'
+};
+
+function emptyReceipt() {
+    return {
+        confirmedAt: null,
+        disputeReason: null,
+        disputedAt: null,
+        resolution: null,
+        resolutionNote: null,
+        resolvedBy: null,
+        resolvedAt: null
+    };
+}
+
+module.exports = {
+    RECEIPT_STATUS_TEXT,
+    DISPUTE_DECISIONS,
+    emptyReceipt
+};
@@ -0,0 +1,68 @@
+// 贈品領取人 - 送出交易的 recipient 欄位記錄領取的客戶
+//
+// 領取人格式: { customerName, phone, membershipNo, orderNo, repeat, previousTransactionIds }
+// phone 只保存遮蔽後的號碼 (例如 0912***678)；orderNo 為銷售單號或發票號碼
+// 同一客戶在提醒期間內再次領取相同贈品時 repeat 為 true，previousTransactionIds 為先前的送出交易
+
+const RECIPIENT_FIELDS = ['customerName', 'phone', 'membershipNo', 'orderNo'];
+
+// 遮蔽電話號碼：保留前 4 碼與末 3 碼，其餘以 * 取代；已遮蔽的號碼維持原樣
+function maskPhone(phone) {
+    const value = String(phone || '').trim();
+    if (!value || value.includes('*')) return value;
+
+    const digits = value.replace(/\D/g, '');
+    if (digits.length <= 7) return '*'.repeat(Math.max(0, digits.length - 3)) + digits.slice(-3);
+    return `${digits.slice(0, 4)}${'*'.repeat(digits.length - 7)}${digits.slice(-3)}`;
+}
+
+// 整理輸入的領取人資料，全部空白時回傳 null
+function normalizeRecipient(input) {
+    if (!input) return null;
+
+    const recipient = {};
+    RECIPIENT_FIELDS.forEach(field => {
+        recipient[field] = String(input[field] || '').trim();
+    });
+    recipient.phone = maskPhone(recipient.phone);
+
+    return RECIPIENT_FIELDS.some(field => recipient[field]) ? recipient : null;
+}
+
+// 是否為同一客戶：有會員編號時比對會員編號，否則比對姓名與遮蔽電話
+function sameCustomer(a, b) {
+    if (a.membershipNo || b.membershipNo) {
+        return Boolean(a.membershipNo) && a.membershipNo === b.membershipNo;
+    }
+    return Boolean(a.customerName && a.phone) && a.customerName === b.customerName && a.phone === b.phone;
+}
+
+// 提醒期間內同一客戶領取相同贈品的送出交易 (不含已撤銷的送出)
+function previousSends(data, giftId, recipient, days, now = new Date().toISOString()) {
+    const since = new Date(new Date(now).getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    return data.giftTransactions.filter(transaction =>
+        transaction.transactionType === 'send' &&
+        !transaction.reversedBy &&
+        transaction.giftId === giftId &&
+        transaction.recipient &&
+        transaction.createdAt >= since &&
+        sameCustomer(transaction.recipient, recipient)
+    );
+}
+
+// 關鍵字比對領取人的任一欄位 (不分大小寫)
+function matchesSearch(recipient, search) {
+    const keyword = String(search || '').trim().toLowerCase();
+    if (!keyword) return true;
+    return RECIPIENT_FIELDS.some(field => String(recipient[field] || '').toLowerCase().includes(keyword));
+}
+
+module.exports = {
+    RECIPIENT_FIELDS,
+    maskPhone,
+    normalizeRecipient,
+    sameCustomer,
+    previousSends,
+    matchesSearch
+};
@@ -0,0 +1,29 @@
+// 客戶退回 - 員工登錄客戶退回的贈品，可對應原送出單
+//
+// 退回以 return 交易入帳，condition 為退回品狀況：
+//   resellable (可再送出) - 退回經手員工的庫存
+//   damaged    (損壞)     - 放入經手員工所屬門店的待報廢區 (writeoff 持有者)，交易的 referenceUserId 為經手員工
+// 對應送出單時，送出單明細的 returnedQuantity 累計已退回數量，退回數量不得超過送出數量
+
+const RETURN_CONDITIONS = {
+    resellable: '可再送出',
+    damaged: '損壞'
+};
+
+// 送出單明細尚可退回的數量
+function returnableQuantity(line) {
+    return line.quantity - (line.returnedQuantity || 0);
+}
+
+// 檢查退回的序號是否屬於原送出單明細，回傳錯誤訊息或 null
+function checkReturnedSerials(line, serials) {
+    const sent = line.serials || [];
+    const unknown = serials.filter(serialNumber => !sent.includes(serialNumber));
+    return unknown.length > 0 ? `序號不在原送出單中: ${unknown.join(', ')}` : null;
+}
+
+module.exports = {
+    RETURN_CONDITIONS,
+    returnableQuantity,
+    checkReturnedSerials
+};
@@ -0,0 +1,121 @@
+// 序號管理 - 高價贈品以 giftSerials 逐件記錄目前的持有者
+//
+// 序號記錄格式: { id, giftId, serialNumber, holderType, holderId, status, lastTransactionId, createdAt, updatedAt }
+// status: in_stock (在庫，持有者為 holderType/holderId)、sent (已送出)、removed (已調整、報廢或刪除)
+// 每筆交易的 serials 欄位記錄經手的序號，依交易順序串起來就是該序號的保管紀錄
+
+const SERIAL_STATUS_TEXT = {
+    in_stock: '在庫',
+    sent: '已送出',
+    removed: '已扣除'
+};
+
+// 整理輸入的序號：接受陣列或以逗號、換行分隔的字串，去除空白與重複
+function normalizeSerials(serials) {
+    if (!serials) return [];
+    const list = Array.isArray(serials) ? serials : String(serials).split(/[\s,，]+/);
+    return [...new Set(list.map(serial => String(serial).trim()).filter(Boolean))];
+}
+
+function findSerial(data, giftId, serialNumber) {
+    return data.giftSerials.find(serial => serial.giftId === giftId && serial.serialNumber === serialNumber);
+}
+
+// 持有者目前在庫的序號 (依入庫先後)
+function heldSerials(data, holderType, holderId, giftId) {
+    return data.giftSerials.filter(serial =>
+        serial.giftId === giftId &&
+        serial.status === 'in_stock' &&
+        serial.holderType === holderType &&
+        serial.holderId === holderId
+    );
+}
+
+// 檢查要扣出的序號：數量須相符且都由該持有者在庫持有，回傳錯誤訊息或 null
+function checkOutgoing(data, holderType, holderId, giftId, serials, quantity) {
+    if (serials.length !== quantity) {
+        return `序號數量 (${serials.length}) 與數量 (${quantity}) 不符`;
+    }
+
+    const missing = serials.filter(serialNumber => {
+        const serial = findSerial(data, giftId, serialNumber);
+        return !serial || serial.status !== 'in_stock' || serial.holderType !== holderType || serial.holderId !== holderId;
+    });
+    return missing.length > 0 ? `未持有序號: ${missing.join(', ')}` : null;
+}
+
+// 檢查要登記入庫的新序號：數量須相符且不可已在庫，回傳錯誤訊息或 null
+function checkIncoming(data, giftId, serials, quantity) {
+    if (serials.length !== quantity) {
+        return `序號數量 (${serials.length}) 與數量 (${quantity}) 不符`;
+    }
+
+    const duplicated = serials.filter(serialNumber => {
+        const serial = findSerial(data, giftId, serialNumber);
+        return serial && serial.status === 'in_stock';
+    });
+    return duplicated.length > 0 ? `序號已在庫: ${duplicated.join(', ')}` : null;
+}
+
+// 扣出序號：未指定時依入庫先後自動挑選 (最多 quantity 件)，回傳經手的序號
+function detachSerials(data, transaction, requested) {
+    const serials = requested.length > 0
+        ? requested.map(serialNumber => findSerial(data, transaction.giftId, serialNumber)).filter(Boolean)
+        : heldSerials(data, transaction.holderType, transaction.holderId, transaction.giftId).slice(0, -transaction.quantity);
+
+    serials.forEach(serial => {
+        serial.status = transaction.transactionType === 'send' ? 'sent' : 'removed';
+        serial.holderType = null;
+        serial.holderId = null;
+        serial.lastTransactionId = transaction.id;
+        serial.updatedAt = transaction.createdAt;
+    });
+
+    return serials.map(serial => serial.serialNumber);
+}
+
+// 序號入庫：已存在的序號改為新的持有者，沒有記錄的序號新建
+function attachSerials(data, transaction, serialNumbers) {
+    serialNumbers.forEach(serialNumber => {
+        let serial = findSerial(data, transaction.giftId, serialNumber);
+        if (!serial) {
+            serial = {
+                id: data.nextIds.giftSerials++,
+                giftId: transaction.giftId,
+                serialNumber,
+                createdAt: transaction.createdAt
+            };
+            data.giftSerials.push(serial);
+        }
+
+        serial.holderType = transaction.holderType;
+        serial.holderId = transaction.holderId;
+        serial.status = 'in_stock';
+        serial.lastTransactionId = transaction.id;
+        serial.updatedAt = transaction.createdAt;
+    });
+
+    return serialNumbers;
+}
+
+// 序號的保管紀錄：經手該序號的所有交易 (舊到新)，送出交易的 recipient 即為最後的領取人
+function custodyChain(data, serial) {
+    return data.giftTransactions
+        .filter(transaction =>
+            transaction.giftId === serial.giftId &&
+            (transaction.serials || []).includes(serial.serialNumber)
+        )
+        .sort((a, b) => a.id - b.id);
+}
+
+module.exports = {
+    SERIAL_STATUS_TEXT,
+    normalizeSerials,
+    findSerial,
+    heldSerials,
+    checkOutgoing,
+    checkIncoming,
+    detachSerials,
+    attachSerials,
+    custodyChain
+};
@@ -0,0 +1,92 @@
+// 盤點 - 開始盤點時凍結員工的帳面數量，員工登錄實盤數量，主管逐項審核差異後過帳
+//
+// 盤點單格式: { id, sessionNumber, storeId, status, note, lines, createdBy, createdAt, closedAt, postedBy, postedAt }
+// lines: [{ lineId, userId, giftId, expectedQuantity, countedQuantity, countedBy, countedAt, review, reviewNote, serials, transactionId }]
+// status: counting (盤點中) → review (待審核) → posted (已過帳)；過帳前可取消 (cancelled)
+// review: pending (未審核)、accepted (採用實盤數量)、rejected (維持帳面數量)
+// 過帳時採用的差異 (實盤 - 帳面) 以 count_adjust 交易入帳，盤點期間的其他異動不受影響
+// 序號管理的贈品在採用差異時需指定序號 (serials)，過帳時依序號登記或扣除
+
+const STOCKTAKE_STATUS_TEXT = {
+    counting: '盤點中',
+    review: '待審核',
+    posted: '已過帳',
+    cancelled: '已取消'
+};
+
+const REVIEW_DECISIONS = ['pending', 'accepted', 'rejected'];
+
+// 盤點單編號：ST + 建立日期 + 流水號，例如 ST20261019-0003
+function sessionNumberFor(id, createdAt) {
+    return `ST${createdAt.split('T')[0].replace(/-/g, '')}-${String(id).padStart(4, '0')}`;
+}
+
+function isOpen(session) {
+    return session.status === 'counting' || session.status === 'review';
+}
+
+// 凍結帳面數量：範圍內每位在職員工的每項啟用贈品各一行 (帳面為 0 也列出，以便登錄盤盈)
+function freezeLines(data, storeId) {
+    const employees = data.users.filter(user =>
+        user.status === 'active' &&
+        user.role === 'employee' &&
+        (!storeId || user.storeId === storeId)
+    );
+    const gifts = data.gifts.filter(gift => gift.status === 'active');
+    const lines = [];
+
+    employees.forEach(user => {
+        gifts.forEach(gift => {
+            const holding = data.giftInventory.find(inv => inv.userId === user.id && inv.giftId === gift.id);
+            lines.push({
+                lineId: lines.length + 1,
+                userId: user.id,
+                giftId: gift.id,
+                expectedQuantity: holding ? holding.quantity : 0,
+                countedQuantity: null,
+                countedBy: null,
+                countedAt: null,
+                review: 'pending',
+                reviewNote: '',
+                serials: [],
+                transactionId: null
+            });
+        });
+    });
+
+    return lines;
+}
+
+// 差異數量：尚未盤點的項目為 null
+function variance(line) {
+    return line.countedQuantity === null ? null : line.countedQuantity - line.expectedQuantity;
+}
+
+// 盤點進度與差異摘要 (差異金額以贈品單位成本估算)
+function summarize(data, session) {
+    const counted = session.lines.filter(line => line.countedQuantity !== null);
+    const varianceLines = counted.filter(line => variance(line) !== 0);
+    const varianceValue = varianceLines.reduce((sum, line) => {
+        const gift = data.gifts.find(g => g.id === line.giftId);
+        return sum + variance(line) * (gift && gift.unitCost ? gift.unitCost : 0);
+    }, 0);
+
+    return {
+        lineCount: session.lines.length,
+        countedCount: counted.length,
+        varianceCount: varianceLines.length,
+        netVariance: varianceLines.reduce((sum, line) => sum + variance(line), 0),
+        varianceValue: Math.round(varianceValue * 100) / 100,
+        pendingReviewCount: varianceLines.filter(line => line.review === 'pending').length
+    };
+}
+
+module.exports = {
+    STOCKTAKE_STATUS_TEXT,
+    REVIEW_DECISIONS,
+    sessionNumberFor,
+    isOpen,
+    freezeLines,
+    variance,
+    summarize
+};
@@ -0,0 +1,72 @@
+// 安全庫存上下限 - 員工持有量低於下限時自動建立補貨的增發申請
+//
+// 上下限記錄格式: { id, giftId, scope, scopeId, minQuantity, maxQuantity, updatedBy, updatedAt }
+// scope: global (全部員工，scopeId 為 null)、store (門店的員工)、user (單一員工)
+// 同一贈品套用最精確的設定：員工 > 門店 > 全域
+
+const approvals = require('./approvals');
+
+const THRESHOLD_SCOPES = ['global', 'store', 'user'];
+
+function findThreshold(data, giftId, scope, scopeId) {
+    return data.stockThresholds.find(threshold =>
+        threshold.giftId === giftId && threshold.scope === scope && threshold.scopeId === scopeId
+    );
+}
+
+// 取得員工某贈品適用的上下限，沒有設定時回傳 null
+function resolveThreshold(data, userId, giftId) {
+    const user = data.users.find(u => u.id === userId);
+
+    return findThreshold(data, giftId, 'user', userId) ||
+        (user && user.storeId ? findThreshold(data, giftId, 'store', user.storeId) : null) ||
+        findThreshold(data, giftId, 'global', null) ||
+        null;
+}
+
+// 員工持有量低於下限時建立補足至上限的增發申請 (已有待審批的增發申請時不重複建立)，回傳新申請或 null
+function createReplenishmentRequest(data, userId, giftId, now = new Date().toISOString()) {
+    const threshold = resolveThreshold(data, userId, giftId);
+    if (!threshold) return null;
+
+    const holding = data.giftInventory.find(inv => inv.userId === userId && inv.giftId === giftId);
+    const quantity = holding ? holding.quantity : 0;
+    if (quantity >= threshold.minQuantity) return null;
+
+    const pending = data.giftRequests.some(request =>
+        request.requesterId === userId &&
+        request.giftId === giftId &&
+        request.requestType === 'increase' &&
+        request.status === 'pending'
+    );
+    if (pending) return null;
+
+    const request = {
+        id: data.nextIds.giftRequests++,
+        requesterId: userId,
+        giftId: giftId,
+        requestType: 'increase',
+        requestedQuantity: threshold.maxQuantity - quantity,
+        approvedQuantity: null,
+        targetUserId: null,
+        serials: null,
+        purpose: `系統自動補貨：庫存 ${quantity} 低於下限 ${threshold.minQuantity}，補足至上限 ${threshold.maxQuantity}`,
+        systemGenerated: true,
+        status: 'pending',
+        approverId: null,
+        rejectionReason: null,
+        createdAt: now,
+        approvedAt: null
+    };
+    request.approvalSteps = approvals.buildSteps(data, request);
+
+    data.giftRequests.push(request);
+    return request;
+}
+
+module.exports = {
+    THRESHOLD_SCOPES,
+    findThreshold,
+    resolveThreshold,
+    createReplenishmentRequest
+};
@@ -0,0 +1,60 @@
+// 報廢申請 - 員工申請報廢損壞、遺失的贈品，主管批准後以 writeoff 交易扣除庫存
+//
+// 申請欄位: reasonCategory (原因類別)、photo (選填照片 { fileName, mimeType, size })
+// 照片以 multipart/form-data 上傳 (multer，欄位 photo)，存放於 UPLOAD_DIR/writeoffs，檔名為 request-<申請 id>.<副檔名>
+// 損耗報表彙總 writeoff、過期報廢 (expired_writeoff)、待報廢區損壞退回品的報廢 (dispose) 與調撥在途短少 (transit_loss) 交易
+
+const WRITEOFF_REASONS = {
+    damaged: '損壞',
+    lost: '遺失',
+    stolen: '失竊',
+    other: '其他'
+};
+
+// 損耗報表的交易類型與其原因類別 (writeoff 的類別記錄在申請上)
+const SHRINKAGE_TYPES = {
+    writeoff: null,
+    expired_writeoff: 'expired',
+    dispose: 'damaged_return',
+    transit_loss: 'transit_loss'
+};
+
+const SHRINKAGE_CATEGORY_TEXT = {
+    ...WRITEOFF_REASONS,
+    expired: '過期',
+    damaged_return: '客戶退回損壞',
+    transit_loss: '在途短少'
+};
+
+const PHOTO_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+// 檢查上傳的照片，回傳錯誤訊息或 null (大小上限由 multer 的 limits 限制)
+function checkPhoto(file) {
+    return PHOTO_TYPES[file.mimetype] ? null : '照片格式須為 JPG、PNG 或 WebP';
+}
+
+// 損耗交易的原因類別
+function shrinkageCategory(data, transaction) {
+    if (transaction.transactionType !== 'writeoff') return SHRINKAGE_TYPES[transaction.transactionType];
+
+    const request = transaction.reference && transaction.reference.type === 'request'
+        ? data.giftRequests.find(r => r.id === transaction.reference.id)
+        : null;
+    return request && request.reasonCategory ? request.reasonCategory : 'other';
+}
+
+module.exports = {
+    WRITEOFF_REASONS,
+    SHRINKAGE_TYPES,
+    SHRINKAGE_CATEGORY_TEXT,
+    PHOTO_TYPES,
+    MAX_PHOTO_BYTES,
+    checkPhoto,
+    shrinkageCategory
+};
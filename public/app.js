@@ -4,6 +4,7 @@ class GiftManagementApp {
         this.currentUser = null;
         this.currentScreen = 'login';
         this.currentView = 'inventory';
+        this.distributionCart = [];
         this.data = this.initializeEmptyData();
         this.init();
     }
@@ -15,6 +16,8 @@ class GiftManagementApp {
             stores: [],
             gifts: [],
             giftInventory: [],
+            storeInventory: [],
+            inTransit: [],
             pendingRequests: [],
             requestHistory: [],
             transactionHistory: []
@@ -171,14 +174,21 @@ class GiftManagementApp {
                 response = await this.apiCall('/api/inventory/all');
                 console.log('Manager inventory response:', response);
                 
-                if (response && Array.isArray(response)) {
-                    this.data.giftInventory = response.map(inv => ({
+                if (response && Array.isArray(response.employees)) {
+                    this.data.giftInventory = response.employees.map(inv => ({
                         userId: inv.userId,
                         giftId: inv.giftId,
                         quantity: inv.quantity,
                         lastUpdated: inv.lastUpdated
                     }));
-                    console.log(`Loaded ${this.data.giftInventory.length} inventory records for manager`);
+                    this.data.storeInventory = response.stores.map(item => ({
+                        storeId: item.storeId,
+                        giftId: item.giftId,
+                        quantity: item.quantity,
+                        lastUpdated: item.lastUpdated
+                    }));
+                    this.data.inTransit = response.inTransit || [];
+                    console.log(`Loaded ${this.data.giftInventory.length} employee and ${this.data.storeInventory.length} store inventory records for manager`);
                 }
             } else {
                 // Employees can only see their own inventory
@@ -192,6 +202,8 @@ class GiftManagementApp {
                         userId: inv.userId,
                         giftId: inv.giftId,
                         quantity: inv.quantity,
+                        lots: inv.lots || [],
+                        serials: inv.serials || [],
                         lastUpdated: inv.lastUpdated
                     }));
                     
@@ -205,7 +217,7 @@ class GiftManagementApp {
                 }
             }
             
-            if (!response || !Array.isArray(response)) {
+            if (!response || !(Array.isArray(response) || Array.isArray(response.employees))) {
                 console.warn('Unexpected inventory data format:', response);
             }
             
@@ -227,8 +239,18 @@ class GiftManagementApp {
                     requestType: req.requestType,
                     requestedQuantity: req.requestedQuantity,
                     targetUserId: req.targetUserId,
+                    serials: req.serials,
+                    transactionId: req.transactionId,
+                    reasonCategory: req.reasonCategory,
+                    photo: req.photo,
+                    systemGenerated: req.systemGenerated,
                     purpose: req.purpose,
                     status: req.status,
+                    approvalSteps: req.approvalSteps,
+                    onBehalfOf: req.onBehalfOf,
+                    requester: req.requester,
+                    revisions: req.revisions || [],
+                    comments: req.comments || [],
                     createdAt: req.createdAt
                 }));
             }
@@ -607,6 +629,8 @@ Stores: ${state.stores}`;
                     userId: inv.userId,
                     giftId: inv.giftId,
                     quantity: inv.quantity,
+                    lots: inv.lots || [],
+                    serials: inv.serials || [],
                     lastUpdated: inv.lastUpdated
                 }));
                 
@@ -670,9 +694,14 @@ Stores: ${state.stores}`;
         const forms = {
             'increaseForm': (e) => this.handleIncreaseRequest(e),
             'transferForm': (e) => this.handleTransferRequest(e),
+            'writeoffForm': (e) => this.handleWriteoffRequest(e),
             'distributionForm': (e) => this.handleDistribution(e),
+            'returnForm': (e) => this.handleReturn(e),
+            'storeMovementForm': (e) => this.handleStoreMovement(e),
+            'storeTransferForm': (e) => this.handleStoreTransferRequest(e),
             'adjustmentForm': (e) => this.handleAdjustment(e),
             'approvalForm': (e) => this.handleApproval(e),
+            'editRequestForm': (e) => this.handleEditRequest(e),
             'addEmployeeForm': (e) => this.handleAddEmployee(e),
             'editEmployeeForm': (e) => this.handleEditEmployee(e)
         };
@@ -727,6 +756,194 @@ Stores: ${state.stores}`;
             editGiftsBtn.addEventListener('click', () => this.openEditGiftsModal());
         }
 
+        const purchaseOrdersBtn = document.getElementById('managePurchaseOrders');
+        if (purchaseOrdersBtn) {
+            purchaseOrdersBtn.addEventListener('click', () => this.openPurchaseOrdersModal());
+        }
+
+        document.querySelectorAll('.purchase-tab-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.switchPurchasePanel(btn.dataset.panel));
+        });
+
+        const purchaseOrderForm = document.getElementById('purchaseOrderForm');
+        if (purchaseOrderForm) {
+            purchaseOrderForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.createPurchaseOrder();
+            });
+        }
+
+        const supplierForm = document.getElementById('supplierForm');
+        if (supplierForm) {
+            supplierForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.createSupplier();
+            });
+        }
+
+        const purchaseReceiptForm = document.getElementById('purchaseReceiptForm');
+        if (purchaseReceiptForm) {
+            purchaseReceiptForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.receivePurchaseOrder();
+            });
+        }
+
+        const storeTransfersBtn = document.getElementById('manageStoreTransfers');
+        if (storeTransfersBtn) {
+            storeTransfersBtn.addEventListener('click', () => this.openStoreTransfersModal());
+        }
+
+        const manageSnapshotsBtn = document.getElementById('manageSnapshots');
+        if (manageSnapshotsBtn) {
+            manageSnapshotsBtn.addEventListener('click', () => this.openSnapshotsModal());
+        }
+
+        const serialLookupBtn = document.getElementById('serialLookup');
+        if (serialLookupBtn) {
+            serialLookupBtn.addEventListener('click', () => this.openSerialLookupModal());
+        }
+
+        const manageThresholdsBtn = document.getElementById('manageThresholds');
+        if (manageThresholdsBtn) {
+            manageThresholdsBtn.addEventListener('click', () => this.openThresholdsModal());
+        }
+
+        const valuationBtn = document.getElementById('inventoryValuation');
+        if (valuationBtn) {
+            valuationBtn.addEventListener('click', () => this.openValuationModal());
+        }
+
+        const stocktakesBtn = document.getElementById('manageStocktakes');
+        if (stocktakesBtn) {
+            stocktakesBtn.addEventListener('click', () => this.openStocktakesModal());
+        }
+
+        const recipientSearchBtn = document.getElementById('recipientSearch');
+        if (recipientSearchBtn) {
+            recipientSearchBtn.addEventListener('click', () => this.openRecipientsModal());
+        }
+
+        const shrinkageReportBtn = document.getElementById('shrinkageReport');
+        if (shrinkageReportBtn) {
+            shrinkageReportBtn.addEventListener('click', () => this.openShrinkageModal());
+        }
+
+        const shrinkageReportForm = document.getElementById('shrinkageReportForm');
+        if (shrinkageReportForm) {
+            shrinkageReportForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.loadShrinkageReport();
+            });
+        }
+
+        const returnsReportBtn = document.getElementById('returnsReport');
+        if (returnsReportBtn) {
+            returnsReportBtn.addEventListener('click', () => this.openReturnsModal());
+        }
+
+        const returnsReportForm = document.getElementById('returnsReportForm');
+        if (returnsReportForm) {
+            returnsReportForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.loadReturnsReport();
+            });
+        }
+
+        const recipientSearchForm = document.getElementById('recipientSearchForm');
+        if (recipientSearchForm) {
+            recipientSearchForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.searchRecipients();
+            });
+        }
+
+        const stocktakeForm = document.getElementById('stocktakeForm');
+        if (stocktakeForm) {
+            stocktakeForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.startStocktake();
+            });
+        }
+
+        const valuationForm = document.getElementById('valuationForm');
+        if (valuationForm) {
+            valuationForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.loadValuationReport();
+            });
+        }
+
+        const delegationsBtn = document.getElementById('manageDelegations');
+        if (delegationsBtn) {
+            delegationsBtn.addEventListener('click', () => this.openDelegationsModal());
+        }
+
+        const delegationForm = document.getElementById('delegationForm');
+        if (delegationForm) {
+            delegationForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveDelegation();
+            });
+        }
+
+        const approvalPoliciesBtn = document.getElementById('manageApprovalPolicies');
+        if (approvalPoliciesBtn) {
+            approvalPoliciesBtn.addEventListener('click', () => this.openApprovalPoliciesModal());
+        }
+
+        const approvalPolicyForm = document.getElementById('approvalPolicyForm');
+        if (approvalPolicyForm) {
+            approvalPolicyForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveApprovalPolicy();
+            });
+        }
+
+        const thresholdForm = document.getElementById('thresholdForm');
+        if (thresholdForm) {
+            thresholdForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveThreshold();
+            });
+        }
+
+        const thresholdScope = document.getElementById('thresholdScope');
+        if (thresholdScope) {
+            thresholdScope.addEventListener('change', () => this.updateThresholdScopeOptions());
+        }
+
+        const serialLookupForm = document.getElementById('serialLookupForm');
+        if (serialLookupForm) {
+            serialLookupForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.lookupSerial();
+            });
+        }
+
+        // Serial fields follow the selected gift
+        ['distribution', 'transfer', 'writeoff'].forEach(prefix => {
+            const giftSelect = document.getElementById(`${prefix}Gift`);
+            if (giftSelect) {
+                giftSelect.addEventListener('change', () => this.updateSerialField(prefix));
+            }
+        });
+        const returnGiftSelect = document.getElementById('returnGift');
+        if (returnGiftSelect) {
+            returnGiftSelect.addEventListener('change', () => this.updateReturnSerialField());
+        }
+        ['adjustmentEmployee', 'adjustmentGift'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (select) {
+                select.addEventListener('change', () => this.updateAdjustmentSerialField());
+            }
+        });
+
+        const createSnapshotBtn = document.getElementById('createSnapshotBtn');
+        if (createSnapshotBtn) {
+            createSnapshotBtn.addEventListener('click', () => this.createSnapshot());
+        }
+
         // Test data persistence functionality
         const testDataBtn = document.getElementById('testDataPersistence');
         if (testDataBtn) {
@@ -826,6 +1043,10 @@ Stores: ${state.stores}`;
                     } catch (error) {
                         console.error('Failed to refresh employee options:', error);
                     }
+                } else if (tabName === 'store') {
+                    await this.loadStoreInventory();
+                    this.loadStoreTransferOptions();
+                    await this.loadStoreTransfers('employeeStoreTransfers');
                 }
             });
         });
@@ -857,6 +1078,40 @@ Stores: ${state.stores}`;
             this.closeStoreFormModal();
         } else if (modal.id === 'giftFormModal') {
             this.closeGiftFormModal();
+        } else if (modal.id === 'snapshotsModal') {
+            this.closeSnapshotsModal();
+        } else if (modal.id === 'dispatchModal') {
+            this.closeDispatchModal();
+        } else if (modal.id === 'storeTransfersModal') {
+            this.closeStoreTransfersModal();
+        } else if (modal.id === 'warehouseReceiveModal') {
+            this.closeWarehouseReceiveModal();
+        } else if (modal.id === 'expiringLotsModal') {
+            this.closeExpiringLotsModal();
+        } else if (modal.id === 'serialLookupModal') {
+            this.closeSerialLookupModal();
+        } else if (modal.id === 'thresholdsModal') {
+            this.closeThresholdsModal();
+        } else if (modal.id === 'approvalPoliciesModal') {
+            this.closeApprovalPoliciesModal();
+        } else if (modal.id === 'delegationsModal') {
+            this.closeDelegationsModal();
+        } else if (modal.id === 'editRequestModal') {
+            this.closeEditRequestModal();
+        } else if (modal.id === 'purchaseOrdersModal') {
+            this.closePurchaseOrdersModal();
+        } else if (modal.id === 'purchaseReceiptModal') {
+            this.closePurchaseReceiptModal();
+        } else if (modal.id === 'valuationModal') {
+            this.closeValuationModal();
+        } else if (modal.id === 'stocktakesModal') {
+            this.closeStocktakesModal();
+        } else if (modal.id === 'recipientsModal') {
+            this.closeRecipientsModal();
+        } else if (modal.id === 'returnsModal') {
+            this.closeReturnsModal();
+        } else if (modal.id === 'shrinkageModal') {
+            this.closeShrinkageModal();
         } else {
                         this.closeModal();
                     }
@@ -1049,6 +1304,10 @@ Stores: ${state.stores}`;
             console.warn('Inventory container not found');
             return;
         }
+
+        this.loadEmployeeStocktake();
+        this.loadIncomingTransfers();
+        this.loadDelegatedApprovals();
         
         // Validate user session before loading inventory
         if (!this.currentUser || !this.currentUser.id) {
@@ -1106,14 +1365,212 @@ Stores: ${state.stores}`;
                         <span>編號: ${gift.giftCode}</span>
                         <span>類別: ${gift.category}</span>
                     </div>
+                    ${inv.lots && inv.lots.length > 0 ? `<div class="gift-lots">批號: ${this.formatLots(inv.lots)}</div>` : ''}
                 </div>
             `;
         }).join('');
     }
 
+    // Show the count form when a stocktake is open for the current employee
+    async loadEmployeeStocktake() {
+        const container = document.getElementById('employeeStocktake');
+        if (!container || !this.currentUser || this.currentUser.role === 'manager') return;
+
+        try {
+            const sessions = await this.apiCall('/api/stocktakes');
+            const session = sessions[0];
+            if (!session) {
+                container.classList.add('hidden');
+                container.innerHTML = '';
+                return;
+            }
+
+            container.innerHTML = `
+                <div class="gift-name">盤點中：${session.sessionNumber}</div>
+                <div class="empty-state-subtext">請清點手上的贈品並填寫實際數量 (已盤 ${session.summary.countedCount}/${session.summary.lineCount})</div>
+                <form id="stocktakeCountForm">
+                    ${session.lines.map(line => `
+                        <div class="stocktake-line">
+                            <label for="stocktakeCount${line.lineId}">${line.gift ? `${line.gift.giftCode} - ${line.gift.giftName}` : line.giftId}</label>
+                            <input type="number" id="stocktakeCount${line.lineId}" class="form-control" min="0"
+                                   data-line-id="${line.lineId}" value="${line.countedQuantity ?? ''}">
+                        </div>
+                    `).join('')}
+                    <button type="submit" class="btn btn--primary btn--full-width">儲存盤點數量</button>
+                </form>
+            `;
+            container.classList.remove('hidden');
+
+            document.getElementById('stocktakeCountForm').onsubmit = (e) => {
+                e.preventDefault();
+                this.saveStocktakeCounts(session.id);
+            };
+        } catch (error) {
+            console.error('Load employee stocktake error:', error);
+            container.classList.add('hidden');
+        }
+    }
+
+    // Show transfers waiting for the current employee to confirm receipt
+    async loadIncomingTransfers() {
+        const container = document.getElementById('incomingTransfers');
+        if (!container || !this.currentUser || this.currentUser.role === 'manager') return;
+
+        try {
+            const requests = await this.apiCall('/api/requests/incoming');
+            if (requests.length === 0) {
+                container.classList.add('hidden');
+                container.innerHTML = '';
+                return;
+            }
+
+            container.innerHTML = `
+                <div class="gift-name">待簽收轉移</div>
+                <div class="empty-state-subtext">請確認是否已收到同事轉給您的贈品，確認後才會計入您的庫存</div>
+                ${requests.map(request => `
+                    <div class="approval-item">
+                        <div class="item-header">
+                            <div class="item-type transfer">${request.gift ? `${request.gift.giftCode} - ${request.gift.giftName}` : ''} × ${request.approvedQuantity}</div>
+                            <div class="item-status ${request.status}">${request.statusText}</div>
+                        </div>
+                        <div class="item-details">
+                            <div><strong>轉出人:</strong> ${request.requesterName}</div>
+                            ${request.serials ? `<div><strong>序號:</strong> ${request.serials.join(', ')}</div>` : ''}
+                            <div><strong>說明:</strong> ${request.purpose}</div>
+                            ${request.receipt.disputeReason ? `<div><strong>未收到說明:</strong> ${request.receipt.disputeReason}</div>` : ''}
+                        </div>
+                        ${request.status === 'awaiting_receipt' ? `
+                            <div class="item-actions">
+                                <button class="btn btn--outline btn--sm" onclick="app.disputeReceipt(${request.id})">未收到</button>
+                                <button class="btn btn--primary btn--sm" onclick="app.confirmReceipt(${request.id})">確認收到</button>
+                            </div>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            `;
+            container.classList.remove('hidden');
+        } catch (error) {
+            console.error('Load incoming transfers error:', error);
+            container.classList.add('hidden');
+        }
+    }
+
+    // Show requests the current employee approves as a delegate
+    async loadDelegatedApprovals() {
+        const container = document.getElementById('delegatedApprovals');
+        if (!container || !this.currentUser || this.currentUser.role === 'manager') return;
+
+        try {
+            const delegations = await this.apiCall('/api/approval-delegations');
+            if (!delegations.some(delegation => delegation.status === 'active' && delegation.delegateId === this.currentUser.id)) {
+                container.classList.add('hidden');
+                container.innerHTML = '';
+                return;
+            }
+
+            await this.refreshRequestData();
+            const requests = this.data.pendingRequests;
+            container.innerHTML = `
+                <div class="gift-name">代理審批</div>
+                <div class="empty-state-subtext">${requests.length > 0 ? '代理期間內請代為處理以下申請' : '目前沒有待代理審批的申請'}</div>
+                ${requests.map(request => {
+                    const gift = this.data.gifts.find(g => g.id === request.giftId);
+                    return `
+                        <div class="approval-item">
+                            <div class="item-header">
+                                <div class="item-type ${request.requestType}">${this.getRequestTypeText(request.requestType)}</div>
+                                <div class="item-status pending">待審批</div>
+                            </div>
+                            <div class="item-details">
+                                <div><strong>申請人:</strong> ${request.requester ? `${request.requester.fullName} (${request.requester.employeeId})` : ''}</div>
+                                <div><strong>贈品:</strong> ${gift ? `${gift.giftCode} - ${gift.giftName}` : request.giftId}</div>
+                                <div><strong>數量:</strong> ${request.requestedQuantity}</div>
+                                ${request.onBehalfOf ? `<div><strong>代理審批:</strong> 代 ${request.onBehalfOf.fullName} 審批</div>` : ''}
+                            </div>
+                            <div class="item-actions">
+                                <button class="btn btn--primary btn--sm" onclick="app.openApprovalModal(${request.id})">處理申請</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            `;
+            container.classList.remove('hidden');
+        } catch (error) {
+            console.error('Load delegated approvals error:', error);
+            container.classList.add('hidden');
+        }
+    }
+
+    // Confirm that a transferred gift was received
+    async confirmReceipt(requestId) {
+        try {
+            const response = await this.apiCall(`/api/requests/${requestId}/confirm-receipt`, { method: 'PUT' });
+            if (response.success) {
+                this.showSuccess(response.message);
+                await this.loadInventory();
+            } else {
+                this.showError(response.message || '簽收失敗');
+            }
+        } catch (error) {
+            console.error('Confirm receipt error:', error);
+            this.showError('簽收失敗：' + error.message);
+        }
+    }
+
+    // Report that a transferred gift never arrived
+    async disputeReceipt(requestId) {
+        const reason = prompt('請說明未收到的情況');
+        if (!reason) return;
+
+        try {
+            const response = await this.apiCall(`/api/requests/${requestId}/dispute`, {
+                method: 'PUT',
+                body: JSON.stringify({ reason })
+            });
+            if (response.success) {
+                this.showSuccess(response.message);
+                await this.loadIncomingTransfers();
+            } else {
+                this.showError(response.message || '回報失敗');
+            }
+        } catch (error) {
+            console.error('Dispute receipt error:', error);
+            this.showError('回報失敗：' + error.message);
+        }
+    }
+
+    // Save the counted quantities entered on the count form
+    async saveStocktakeCounts(sessionId) {
+        const counts = Array.from(document.querySelectorAll('#stocktakeCountForm input[data-line-id]'))
+            .filter(input => input.value !== '')
+            .map(input => ({ lineId: parseInt(input.dataset.lineId), countedQuantity: parseInt(input.value) }));
+
+        if (counts.length === 0) {
+            this.showError('請至少填寫一項盤點數量');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/stocktakes/${sessionId}/counts`, {
+                method: 'PUT',
+                body: JSON.stringify({ counts })
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                await this.loadEmployeeStocktake();
+            } else {
+                this.showError(response.message || '儲存失敗');
+            }
+        } catch (error) {
+            console.error('Save stocktake counts error:', error);
+            this.showError('儲存失敗：' + error.message);
+        }
+    }
+
     // Load gift options for forms
     loadGiftOptions() {
-        const selects = ['increaseGift', 'transferGift', 'distributionGift'];
+        const selects = ['increaseGift', 'transferGift', 'writeoffGift', 'distributionGift', 'returnGift', 'storeMovementGift', 'storeTransferGift'];
         selects.forEach(selectId => {
             const select = document.getElementById(selectId);
             if (select) {
@@ -1343,6 +1800,9 @@ Stores: ${state.stores}`;
             return;
         }
 
+        const serials = this.collectSerials('transfer', giftId, quantity);
+        if (!serials) return;
+
         this.showLoading(true);
         
         try {
@@ -1354,6 +1814,7 @@ Stores: ${state.stores}`;
                     requestType: 'transfer',
                     requestedQuantity: quantity,
                     targetUserId: targetUserId,
+                    serials: serials,
                     purpose: purpose
                 })
             });
@@ -1364,6 +1825,7 @@ Stores: ${state.stores}`;
                 
                 this.showSuccess('轉移申請已提交，等待主管審批');
                 this.resetForm('transferForm');
+                this.updateSerialField('transfer');
             } else {
                 this.showError(response.message || '申請提交失敗');
             }
@@ -1375,152 +1837,2581 @@ Stores: ${state.stores}`;
         }
     }
 
-    // Handle distribution
-    async handleDistribution(e) {
+    // Handle write-off request (damaged, lost or stolen gifts)
+    async handleWriteoffRequest(e) {
         e.preventDefault();
-        
-        const giftSelect = document.getElementById('distributionGift');
-        const quantityInput = document.getElementById('distributionQuantity');
-        const noteInput = document.getElementById('distributionNote');
-
-        if (!giftSelect || !quantityInput || !noteInput) {
-            this.showError('表單元素錯誤');
-            return;
-        }
 
-        const giftId = parseInt(giftSelect.value);
-        const quantity = parseInt(quantityInput.value);
-        const note = noteInput.value.trim();
+        const giftId = parseInt(document.getElementById('writeoffGift').value);
+        const quantity = parseInt(document.getElementById('writeoffQuantity').value);
+        const reasonCategory = document.getElementById('writeoffReason').value;
+        const purpose = document.getElementById('writeoffPurpose').value.trim();
 
-        if (!giftId || !quantity || quantity < 1) {
-            this.showError('請選擇贈品並輸入正確數量');
+        if (!giftId || !quantity || quantity < 1 || !reasonCategory || !purpose) {
+            this.showError('請填寫完整資訊');
             return;
         }
 
-        // Check inventory
         const userInventory = this.data.giftInventory.find(inv => 
             inv.userId === this.currentUser.id && inv.giftId === giftId
         );
-
         if (!userInventory || userInventory.quantity < quantity) {
             this.showError('庫存數量不足');
             return;
         }
 
+        const serials = this.collectSerials('writeoff', giftId, quantity);
+        if (!serials) return;
+
         this.showLoading(true);
-        
+
         try {
-            // Store current user info before API call
-            const currentUserBackup = { ...this.currentUser };
-            
-            // Send distribution to backend
-            const response = await this.apiCall('/api/inventory/send', {
+            // Sent as multipart form data so the optional photo uploads as a file
+            const formData = new FormData();
+            formData.append('giftId', giftId);
+            formData.append('requestType', 'writeoff');
+            formData.append('requestedQuantity', quantity);
+            formData.append('reasonCategory', reasonCategory);
+            formData.append('serials', serials.join(','));
+            formData.append('purpose', purpose);
+            const photo = document.getElementById('writeoffPhoto').files[0];
+            if (photo) formData.append('photo', photo);
+
+            // Leave Content-Type unset so the browser adds the multipart boundary
+            const response = await this.apiCall('/api/requests', {
                 method: 'POST',
-                body: JSON.stringify({
-                    giftId: giftId,
-                    quantity: quantity,
-                    reason: note
-                })
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+                body: formData
             });
-            
+
             if (response.success) {
-                // Update local inventory immediately to show the change
-                const userInventory = this.data.giftInventory.find(inv => 
-                    inv.userId === this.currentUser.id && inv.giftId === giftId
-                );
-                
-                if (userInventory) {
-                    userInventory.quantity -= quantity;
-                    userInventory.lastUpdated = new Date().toISOString();
-                    console.log(`Updated local inventory: ${giftId} quantity reduced by ${quantity}`);
-                }
-                
-                // Also refresh from backend to ensure consistency
-                await this.refreshInventoryData();
-                
-                // Ensure current user is preserved
-                this.currentUser = currentUserBackup;
-                
-                this.showSuccess(`已登記送出 ${quantity} 個贈品`);
-                this.resetForm('distributionForm');
-                await this.loadInventory();
+                await this.refreshAllData();
+
+                this.showSuccess('報廢申請已提交，等待主管審批');
+                this.resetForm('writeoffForm');
+                this.updateSerialField('writeoff');
             } else {
-                this.showError(response.message || '送出登記失敗');
+                this.showError(response.message || '申請提交失敗');
             }
         } catch (error) {
-            console.error('Distribution failed:', error);
-            this.showError('送出登記失敗：' + (error.message || '未知錯誤'));
+            console.error('Write-off request failed:', error);
+            this.showError('申請提交失敗：' + (error.message || '未知錯誤'));
         } finally {
             this.showLoading(false);
         }
     }
 
-    // Load manager dashboard
-    async loadDashboard() {
-        const container = document.getElementById('dashboardContent');
-        if (!container) return;
+    // Open the photo attached to a write-off request in a new window
+    async viewRequestPhoto(requestId) {
+        await this.openProtectedFile(`/api/requests/${requestId}/photo`, '無法開啟照片');
+    }
+
+    // Open a file that requires the auth token (photos, attachments) in a new tab
+    async openProtectedFile(endpoint, errorText) {
+        const basePath = window.location.pathname.includes('/gift') ? '/gift' : '';
 
         try {
-            // Ensure we have fresh data
-            if (!this.data.users || this.data.users.length === 0) {
-                await this.refreshUserData();
-            }
-            if (!this.data.giftInventory || this.data.giftInventory.length === 0) {
-                await this.refreshInventoryData();
+            const response = await fetch(`${basePath}${endpoint}`, {
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.message || `HTTP ${response.status}`);
             }
 
-            const employees = this.data.users.filter(u => u.role === 'employee' && u.status === 'active');
-            
-            if (employees.length === 0) {
-                container.innerHTML = `
-                    <div class="empty-state">
-                        <div class="empty-state-icon">👥</div>
-                        <div class="empty-state-text">暫無員工資料</div>
-                        <div class="empty-state-subtext">請新增員工或檢查系統狀態</div>
-                    </div>
-                `;
-                return;
-            }
-            
-            container.innerHTML = employees.map(employee => {
-                const store = this.data.stores.find(s => s.id === employee.storeId);
-                const inventory = this.data.giftInventory.filter(inv => inv.userId === employee.id);
+            const url = URL.createObjectURL(await response.blob());
+            window.open(url, '_blank');
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } catch (error) {
+            console.error('Open file error:', error);
+            this.showError(`${errorText}：${error.message}`);
+        }
+    }
+
+    // Escape free text (comments, file names) before inserting it into HTML
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    // Load a request's comment thread into a container, with a form for adding a comment
+    async loadRequestComments(requestId, containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        try {
+            const requestComments = await this.apiCall(`/api/requests/${requestId}/comments`);
+            container.innerHTML = `
+                ${requestComments.map(comment => `
+                    <div class="comment-item">
+                        <div class="comment-meta">${comment.userName} · ${new Date(comment.createdAt).toLocaleString('zh-TW')}</div>
+                        ${comment.body ? `<div class="comment-body">${this.escapeHtml(comment.body)}</div>` : ''}
+                        ${comment.attachments.map(attachment => `
+                            <button type="button" class="btn btn--outline btn--xs" onclick="app.openProtectedFile('/api/requests/${requestId}/attachments/${attachment.id}', '無法開啟附件')">📎 ${this.escapeHtml(attachment.originalName)}</button>
+                        `).join('')}
+                    </div>
+                `).join('') || '<div class="empty-state-subtext">尚無留言</div>'}
+                <textarea id="${containerId}Body" class="form-control" rows="2" placeholder="輸入留言，例如詢問活動或客戶資訊"></textarea>
+                <input type="file" id="${containerId}Files" class="form-control" multiple accept="image/jpeg,image/png,image/webp,application/pdf,.xlsx,.docx">
+                <button type="button" class="btn btn--secondary btn--sm" onclick="app.submitRequestComment(${requestId}, '${containerId}')">送出留言</button>
+            `;
+        } catch (error) {
+            console.error('Load request comments error:', error);
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Post a comment with optional attachments as multipart form data
+    async submitRequestComment(requestId, containerId) {
+        const body = document.getElementById(`${containerId}Body`).value.trim();
+        const files = document.getElementById(`${containerId}Files`).files;
+        if (!body && files.length === 0) {
+            this.showError('請輸入留言或附加檔案');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('body', body);
+        Array.from(files).forEach(file => formData.append('attachments', file));
+
+        try {
+            // Leave Content-Type unset so the browser adds the multipart boundary
+            const response = await this.apiCall(`/api/requests/${requestId}/comments`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+                body: formData
+            });
+            if (response.success) {
+                await this.loadRequestComments(requestId, containerId);
+            } else {
+                this.showError(response.message || '留言失敗');
+            }
+        } catch (error) {
+            console.error('Submit request comment error:', error);
+            this.showError('留言失敗：' + error.message);
+        }
+    }
+
+    // Toggle the comment thread of a request in the employee history view
+    toggleRequestComments(requestId) {
+        const container = document.getElementById(`requestComments${requestId}`);
+        if (!container) return;
+
+        container.classList.toggle('hidden');
+        if (!container.classList.contains('hidden')) {
+            this.loadRequestComments(requestId, container.id);
+        }
+    }
+
+    // Load the inventory of the employee's own store
+    async loadStoreInventory() {
+        const container = document.getElementById('storeInventoryList');
+        if (!container) return;
+
+        try {
+            const response = await this.apiCall('/api/inventory/store');
+            const title = document.getElementById('storeInventoryTitle');
+            if (title) {
+                title.textContent = `${response.store.storeName} 門店庫存`;
+            }
+
+            container.innerHTML = response.inventory.length > 0 ? response.inventory.map(item => `
+                <div class="gift-row">
+                    <div class="gift-info">
+                        <div class="gift-code">${item.gift.giftCode}</div>
+                        <div class="gift-name-small">${item.gift.giftName}</div>
+                    </div>
+                    <div class="gift-quantity-small">${item.quantity}</div>
+                </div>
+            `).join('') : '<div class="empty-state-text">門店暫無庫存</div>';
+        } catch (error) {
+            console.error('Failed to load store inventory:', error);
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Stores an employee can request a transfer from (any store but their own)
+    loadStoreTransferOptions() {
+        const select = document.getElementById('storeTransferFrom');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">請選擇調出門店</option>' +
+            this.data.stores
+                .filter(store => store.status === 'active' && store.id !== this.currentUser.storeId)
+                .map(store => `<option value="${store.id}">${store.storeCode} - ${store.storeName}</option>`)
+                .join('');
+    }
+
+    // Handle drawing from / returning to the store
+    async handleStoreMovement(e) {
+        e.preventDefault();
+
+        const action = document.getElementById('storeMovementAction').value;
+        const giftId = parseInt(document.getElementById('storeMovementGift').value);
+        const quantity = parseInt(document.getElementById('storeMovementQuantity').value);
+        const note = document.getElementById('storeMovementNote').value.trim();
+
+        if (!giftId || !quantity || quantity < 1) {
+            this.showError('請選擇贈品並輸入正確數量');
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const response = await this.apiCall(`/api/inventory/store/${action}`, {
+                method: 'POST',
+                body: JSON.stringify({ giftId, quantity, reason: note })
+            });
+
+            if (response.success) {
+                this.showSuccess(action === 'draw' ? `已領用 ${quantity} 個贈品` : `已歸還 ${quantity} 個贈品`);
+                this.resetForm('storeMovementForm');
+                await this.refreshInventoryData();
+                await this.loadStoreInventory();
+            } else {
+                this.showError(response.message || '操作失敗');
+            }
+        } catch (error) {
+            console.error('Store movement failed:', error);
+            this.showError('操作失敗：' + (error.message || '未知錯誤'));
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Add the selected gift to the distribution cart
+    addDistributionLine() {
+        const giftId = parseInt(document.getElementById('distributionGift').value);
+        const quantity = parseInt(document.getElementById('distributionQuantity').value);
+
+        if (!giftId || !quantity || quantity < 1) {
+            this.showError('請選擇贈品並輸入正確數量');
+            return false;
+        }
+
+        if (this.distributionCart.some(line => line.giftId === giftId)) {
+            this.showError('此贈品已在送出清單中，請先移除再重新加入');
+            return false;
+        }
+
+        // Check inventory
+        const userInventory = this.data.giftInventory.find(inv => 
+            inv.userId === this.currentUser.id && inv.giftId === giftId
+        );
+
+        if (!userInventory || userInventory.quantity < quantity) {
+            this.showError('庫存數量不足');
+            return false;
+        }
+
+        const serials = this.collectSerials('distribution', giftId, quantity);
+        if (!serials) return false;
+
+        this.distributionCart.push({ giftId, quantity, serials });
+        document.getElementById('distributionGift').value = '';
+        document.getElementById('distributionQuantity').value = '';
+        document.getElementById('distributionSerials').value = '';
+        this.updateSerialField('distribution');
+        this.renderDistributionCart();
+        return true;
+    }
+
+    // Remove a gift from the distribution cart
+    removeDistributionLine(giftId) {
+        this.distributionCart = this.distributionCart.filter(line => line.giftId !== giftId);
+        this.renderDistributionCart();
+    }
+
+    // Show the gifts waiting to be sent together
+    renderDistributionCart() {
+        const container = document.getElementById('distributionCart');
+        if (!container) return;
+
+        if (this.distributionCart.length === 0) {
+            container.innerHTML = '<div class="empty-state-subtext">尚未加入贈品，可一次加入多項一起送出</div>';
+            return;
+        }
+
+        container.innerHTML = this.distributionCart.map(line => {
+            const gift = this.data.gifts.find(g => g.id === line.giftId);
+            return `
+                <div class="distribution-cart-line">
+                    <span>${gift ? `${gift.giftCode} - ${gift.giftName}` : line.giftId}${line.serials.length > 0 ? ` (${line.serials.join(', ')})` : ''}</span>
+                    <span>× ${line.quantity}</span>
+                    <button type="button" class="btn btn--outline btn--xs" onclick="app.removeDistributionLine(${line.giftId})">移除</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Handle distribution (every gift in the cart is sent in one call)
+    async handleDistribution(e) {
+        e.preventDefault();
+        
+        const noteInput = document.getElementById('distributionNote');
+        if (!noteInput) {
+            this.showError('表單元素錯誤');
+            return;
+        }
+
+        // A gift still selected in the form is added to the cart first
+        if (document.getElementById('distributionGift').value && !this.addDistributionLine()) return;
+
+        if (this.distributionCart.length === 0) {
+            this.showError('請至少加入一項贈品');
+            return;
+        }
+
+        const lines = this.distributionCart;
+        const note = noteInput.value.trim();
+
+        this.showLoading(true);
+        
+        try {
+            // Store current user info before API call
+            const currentUserBackup = { ...this.currentUser };
+            
+            // Send distribution to backend
+            const response = await this.apiCall('/api/inventory/send', {
+                method: 'POST',
+                body: JSON.stringify({
+                    lines: lines,
+                    recipient: this.collectRecipient(),
+                    reason: note
+                })
+            });
+            
+            if (response.success) {
+                // Refresh from backend to ensure consistency
+                await this.refreshInventoryData();
                 
+                // Ensure current user is preserved
+                this.currentUser = currentUserBackup;
+                
+                const total = lines.reduce((sum, line) => sum + line.quantity, 0);
+                const messages = [`已登記送出 ${lines.length} 項共 ${total} 個贈品 (${response.distribution.documentNumber})`];
+                if (response.recipient && response.recipient.repeat) {
+                    messages.push('注意：此客戶近期已領取過相同贈品');
+                }
+                if (response.replenishmentRequests.length > 0) {
+                    messages.push(`${response.replenishmentRequests.length} 項庫存低於下限，已自動申請補貨`);
+                }
+                this.showSuccess(messages.join('，'));
+                this.distributionCart = [];
+                this.renderDistributionCart();
+                this.resetForm('distributionForm');
+                this.updateSerialField('distribution');
+                await this.loadInventory();
+                await this.loadRecentSends();
+            } else {
+                this.showError(response.message || '送出登記失敗');
+            }
+        } catch (error) {
+            console.error('Distribution failed:', error);
+            this.showError('送出登記失敗：' + (error.message || '未知錯誤'));
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // List the employee's recent sends (with reverse and return actions) and customer returns
+    async loadRecentSends() {
+        const container = document.getElementById('recentSends');
+        if (!container || !this.currentUser) return;
+
+        try {
+            const transactions = await this.apiCall('/api/transactions/my');
+            const entries = transactions.filter(trans => ['send', 'return'].includes(trans.transactionType)).slice(0, 10);
+            if (entries.length === 0) {
+                container.innerHTML = '<div class="empty-state-subtext">暫無送出紀錄</div>';
+                return;
+            }
+
+            const now = new Date().toISOString();
+            container.innerHTML = entries.map(send => {
+                if (send.transactionType === 'return') return this.renderReturnEntry(send);
+
+                let action = '<div class="item-status rejected">已撤銷</div>';
+                if (!send.reversedBy) {
+                    const selfReversible = now <= send.selfReversibleUntil;
+                    action = `<button class="btn btn--outline btn--xs" onclick="app.reverseSend(${send.id}, ${selfReversible})">${selfReversible ? '撤銷' : '申請撤銷'}</button>`;
+                    if (send.reference && send.reference.type === 'distribution') {
+                        action += ` <button class="btn btn--outline btn--xs" onclick="app.startReturn(${send.reference.id}, ${send.giftId})">退回</button>`;
+                    }
+                }
+
                 return `
-                    <div class="employee-section">
-                        <div class="employee-header">
-                            <div>
-                                <div class="employee-name">${employee.fullName}</div>
-                                <div class="employee-info">${employee.employeeId} - ${store ? store.storeName : '未知門店'}</div>
-                            </div>
+                    <div class="history-item">
+                        <div class="item-header">
+                            <div class="item-type send">${send.gift ? send.gift.giftName : send.giftId} × ${-send.quantity}</div>
+                            ${action}
                         </div>
-                        <div class="employee-gifts">
-                            ${inventory.length > 0 ? inventory.map(inv => {
-                                const gift = this.data.gifts.find(g => g.id === inv.giftId);
-                                if (!gift) return '';
-                                return `
-                                    <div class="gift-row">
-                                        <div class="gift-info">
-                                            <div class="gift-code">${gift.giftCode}</div>
-                                            <div class="gift-name-small">${gift.giftName}</div>
-                                        </div>
-                                        <div class="gift-quantity-small">${inv.quantity}</div>
-                                    </div>
-                                `;
-                            }).join('') : '<div class="empty-state-text">暫無庫存</div>'}
+                        <div class="item-details">
+                            <div>${new Date(send.createdAt).toLocaleString('zh-TW')}${send.recipient && send.recipient.customerName ? `｜${send.recipient.customerName}` : ''}</div>
+                            ${send.reason ? `<div>${send.reason}</div>` : ''}
                         </div>
                     </div>
                 `;
             }).join('');
         } catch (error) {
-            console.error('Failed to load dashboard:', error);
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">❌</div>
-                    <div class="empty-state-text">載入儀表板失敗</div>
-                    <div class="empty-state-subtext">${error.message}</div>
+            console.error('Load recent sends error:', error);
+            container.innerHTML = `<div class="empty-state-subtext">${error.message}</div>`;
+        }
+    }
+
+    // One customer return in the recent list
+    renderReturnEntry(entry) {
+        const conditionText = entry.condition === 'damaged' ? '損壞，已放入待報廢區' : '可再送出，已加回庫存';
+        return `
+            <div class="history-item">
+                <div class="item-header">
+                    <div class="item-type return">退回 ${entry.gift ? entry.gift.giftName : entry.giftId} × ${entry.quantity}</div>
+                    <div class="item-status ${entry.condition === 'damaged' ? 'rejected' : 'approved'}">${conditionText}</div>
+                </div>
+                <div class="item-details">
+                    <div>${new Date(entry.createdAt).toLocaleString('zh-TW')}${entry.recipient && entry.recipient.customerName ? `｜${entry.recipient.customerName}` : ''}</div>
+                    ${entry.reason ? `<div>${entry.reason}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // Prefill the return form from a send of the recent list
+    startReturn(distributionId, giftId) {
+        document.getElementById('returnDistributionId').value = distributionId;
+        document.getElementById('returnGift').value = giftId;
+        document.getElementById('returnQuantity').value = '';
+        const info = document.getElementById('returnDistributionInfo');
+        info.textContent = `對應送出單 #${distributionId}`;
+        info.classList.remove('hidden');
+        this.updateReturnSerialField();
+        document.getElementById('returnForm').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    // Show the serial field of the return form when the chosen gift is serialized
+    updateReturnSerialField() {
+        const giftId = parseInt(document.getElementById('returnGift').value);
+        document.getElementById('returnSerialsGroup').classList.toggle('hidden', !this.isSerializedGift(giftId));
+    }
+
+    // Record a customer return, against the original distribution when one was picked
+    async handleReturn(e) {
+        e.preventDefault();
+
+        const giftId = parseInt(document.getElementById('returnGift').value);
+        const quantity = parseInt(document.getElementById('returnQuantity').value);
+        if (!giftId || !quantity || quantity < 1) {
+            this.showError('請選擇贈品並輸入正確數量');
+            return;
+        }
+
+        const serials = this.isSerializedGift(giftId)
+            ? this.parseSerials(document.getElementById('returnSerials').value)
+            : [];
+        if (this.isSerializedGift(giftId) && serials.length !== quantity) {
+            this.showError(`此贈品採序號管理，請填寫 ${quantity} 個序號 (已填 ${serials.length} 個)`);
+            return;
+        }
+
+        this.showLoading(true);
+        try {
+            const response = await this.apiCall('/api/inventory/returns', {
+                method: 'POST',
+                body: JSON.stringify({
+                    distributionId: document.getElementById('returnDistributionId').value || null,
+                    giftId,
+                    quantity,
+                    condition: document.getElementById('returnCondition').value,
+                    serials,
+                    reason: document.getElementById('returnReason').value.trim()
+                })
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.resetForm('returnForm');
+                document.getElementById('returnDistributionId').value = '';
+                document.getElementById('returnDistributionInfo').classList.add('hidden');
+                this.updateReturnSerialField();
+                await this.refreshInventoryData();
+                await this.loadInventory();
+                await this.loadRecentSends();
+            } else {
+                this.showError(response.message || '退回登記失敗');
+            }
+        } catch (error) {
+            console.error('Record return error:', error);
+            this.showError('退回登記失敗：' + (error.message || '未知錯誤'));
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Reverse a send; past the self-service window this files a request for manager approval
+    async reverseSend(transactionId, selfReversible) {
+        const reason = prompt(selfReversible
+            ? '確定撤銷這筆送出？庫存將退回。可填寫撤銷原因 (選填)'
+            : '已超過自行撤銷期限，請填寫撤銷原因送主管審批');
+        if (reason === null) return;
+        if (!selfReversible && !reason.trim()) {
+            this.showError('請填寫撤銷原因');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/transactions/${transactionId}/reverse`, {
+                method: 'POST',
+                body: JSON.stringify({ reason: reason.trim() })
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                await this.refreshInventoryData();
+                await this.loadRecentSends();
+            } else {
+                this.showError(response.message || '撤銷失敗');
+            }
+        } catch (error) {
+            console.error('Reverse send error:', error);
+            this.showError('撤銷失敗：' + error.message);
+        }
+    }
+
+    // Read the optional recipient fields of the distribution form
+    collectRecipient() {
+        return {
+            customerName: document.getElementById('recipientName').value.trim(),
+            phone: document.getElementById('recipientPhone').value.trim(),
+            membershipNo: document.getElementById('recipientMembershipNo').value.trim(),
+            orderNo: document.getElementById('recipientOrderNo').value.trim()
+        };
+    }
+
+    // Split a serial-number textarea into a list
+    parseSerials(text) {
+        return [...new Set((text || '').split(/[\s,，]+/).map(serial => serial.trim()).filter(Boolean))];
+    }
+
+    isSerializedGift(giftId) {
+        const gift = this.data.gifts.find(g => g.id === giftId);
+        return Boolean(gift && gift.serialized);
+    }
+
+    // Read the serials of an employee form; null when a serialized gift is missing serials
+    collectSerials(prefix, giftId, quantity) {
+        if (!this.isSerializedGift(giftId)) return [];
+
+        const serials = this.parseSerials(document.getElementById(`${prefix}Serials`).value);
+        if (serials.length !== quantity) {
+            this.showError(`此贈品採序號管理，請填寫 ${quantity} 個序號 (已填 ${serials.length} 個)`);
+            return null;
+        }
+        return serials;
+    }
+
+    // Show the serial field of an employee form when the chosen gift is serialized
+    updateSerialField(prefix) {
+        const group = document.getElementById(`${prefix}SerialsGroup`);
+        if (!group) return;
+
+        const giftId = parseInt(document.getElementById(`${prefix}Gift`).value);
+        const serialized = this.isSerializedGift(giftId);
+        group.classList.toggle('hidden', !serialized);
+        if (!serialized) return;
+
+        const inventory = this.data.giftInventory.find(inv =>
+            inv.userId === this.currentUser.id && inv.giftId === giftId
+        );
+        const serials = inventory && inventory.serials ? inventory.serials : [];
+        document.getElementById(`${prefix}SerialsHelp`).textContent =
+            serials.length > 0 ? `持有序號: ${serials.join(', ')}` : '目前沒有持有的序號';
+    }
+
+    // Show the serial field of the adjustment form with the employee's current serials
+    async updateAdjustmentSerialField() {
+        const group = document.getElementById('adjustmentSerialsGroup');
+        if (!group) return;
+
+        const userId = parseInt(document.getElementById('adjustmentEmployee').value);
+        const giftId = parseInt(document.getElementById('adjustmentGift').value);
+        const serialized = this.isSerializedGift(giftId);
+        group.classList.toggle('hidden', !serialized);
+        if (!serialized || !userId) return;
+
+        const help = document.getElementById('adjustmentSerialsHelp');
+        try {
+            const serials = await this.apiCall(`/api/serials?giftId=${giftId}&holderType=user&holderId=${userId}&status=in_stock`);
+            help.textContent = serials.length > 0
+                ? `持有序號: ${serials.map(serial => serial.serialNumber).join(', ')}`
+                : '目前沒有持有的序號';
+        } catch (error) {
+            console.error('Failed to load serials:', error);
+            help.textContent = '';
+        }
+    }
+
+    // Load manager dashboard
+    async loadDashboard() {
+        const container = document.getElementById('dashboardContent');
+        if (!container) return;
+
+        try {
+            // Ensure we have fresh data
+            if (!this.data.users || this.data.users.length === 0) {
+                await this.refreshUserData();
+            }
+            if (!this.data.giftInventory || this.data.giftInventory.length === 0) {
+                await this.refreshInventoryData();
+            }
+
+            this.loadLotExpiryWarning();
+            this.loadWarehouseSummary();
+            this.loadStoreInventorySummary();
+            this.loadInTransitSummary();
+
+            const employees = this.data.users.filter(u => u.role === 'employee' && u.status === 'active');
+            
+            if (employees.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <div class="empty-state-icon">👥</div>
+                        <div class="empty-state-text">暫無員工資料</div>
+                        <div class="empty-state-subtext">請新增員工或檢查系統狀態</div>
+                    </div>
+                `;
+                return;
+            }
+            
+            container.innerHTML = employees.map(employee => {
+                const store = this.data.stores.find(s => s.id === employee.storeId);
+                const inventory = this.data.giftInventory.filter(inv => inv.userId === employee.id);
+                
+                return `
+                    <div class="employee-section">
+                        <div class="employee-header">
+                            <div>
+                                <div class="employee-name">${employee.fullName}</div>
+                                <div class="employee-info">${employee.employeeId} - ${store ? store.storeName : '未知門店'}</div>
+                            </div>
+                        </div>
+                        <div class="employee-gifts">
+                            ${inventory.length > 0 ? inventory.map(inv => {
+                                const gift = this.data.gifts.find(g => g.id === inv.giftId);
+                                if (!gift) return '';
+                                return `
+                                    <div class="gift-row">
+                                        <div class="gift-info">
+                                            <div class="gift-code">${gift.giftCode}</div>
+                                            <div class="gift-name-small">${gift.giftName}</div>
+                                        </div>
+                                        <div class="gift-quantity-small">${inv.quantity}</div>
+                                    </div>
+                                `;
+                            }).join('') : '<div class="empty-state-text">暫無庫存</div>'}
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Failed to load dashboard:', error);
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">❌</div>
+                    <div class="empty-state-text">載入儀表板失敗</div>
+                    <div class="empty-state-subtext">${error.message}</div>
+                </div>
+            `;
+        }
+    }
+
+    // Load head-office warehouse stock next to what staff hold
+    async loadWarehouseSummary() {
+        const container = document.getElementById('warehouseSummary');
+        if (!container) return;
+
+        try {
+            const warehouse = await this.apiCall('/api/warehouse');
+            const rows = warehouse.filter(item => item.gift.status === 'active');
+
+            container.innerHTML = `
+                <div class="employee-section">
+                    <div class="employee-header">
+                        <div>
+                            <div class="employee-name">總部倉庫</div>
+                            <div class="employee-info">倉庫現有 / 門店庫存 / 在途 / 員工持有 / 合計</div>
+                        </div>
+                    </div>
+                    <div class="employee-gifts">
+                        ${rows.length > 0 ? rows.map(item => `
+                            <div class="gift-row">
+                                <div class="gift-info">
+                                    <div class="gift-code">${item.gift.giftCode}</div>
+                                    <div class="gift-name-small">${item.gift.giftName}</div>
+                                    ${item.lots.length > 0 ? `<div class="gift-lots">${this.formatLots(item.lots)}</div>` : ''}
+                                </div>
+                                <div class="warehouse-quantities">
+                                    <span class="gift-quantity-small">${item.warehouseQuantity}</span>
+                                    <span>/ ${item.storeQuantity}</span>
+                                    <span>/ ${item.transitQuantity}</span>
+                                    <span>/ ${item.staffQuantity}</span>
+                                    <span>/ ${item.totalQuantity}</span>
+                                    <button class="btn btn--secondary btn--xs" onclick="app.openWarehouseReceiveModal(${item.gift.id})">進貨</button>
+                                    <button class="btn btn--secondary btn--xs" onclick="app.openDispatchModal(${item.gift.id})">撥補</button>
+                                </div>
+                            </div>
+                        `).join('') : '<div class="empty-state-text">暫無贈品</div>'}
+                    </div>
+                </div>
+            `;
+        } catch (error) {
+            console.error('Failed to load warehouse summary:', error);
+            container.innerHTML = '';
+        }
+    }
+
+    // Load per-store on-hand, separate from employee holdings
+    loadStoreInventorySummary() {
+        const container = document.getElementById('storeInventorySummary');
+        if (!container) return;
+
+        const stores = this.data.stores.filter(store => store.status === 'active');
+        container.innerHTML = stores.map(store => {
+            const inventory = this.data.storeInventory.filter(item => item.storeId === store.id);
+
+            return `
+                <div class="employee-section">
+                    <div class="employee-header">
+                        <div>
+                            <div class="employee-name">${store.storeName}</div>
+                            <div class="employee-info">${store.storeCode} - 門店庫存</div>
+                        </div>
+                    </div>
+                    <div class="employee-gifts">
+                        ${inventory.length > 0 ? inventory.map(item => {
+                            const gift = this.data.gifts.find(g => g.id === item.giftId);
+                            if (!gift) return '';
+                            return `
+                                <div class="gift-row">
+                                    <div class="gift-info">
+                                        <div class="gift-code">${gift.giftCode}</div>
+                                        <div class="gift-name-small">${gift.giftName}</div>
+                                    </div>
+                                    <div class="gift-quantity-small">${item.quantity}</div>
+                                </div>
+                            `;
+                        }).join('') : '<div class="empty-state-text">暫無庫存</div>'}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Load in-transit store transfers (shipped, not yet received)
+    loadInTransitSummary() {
+        const container = document.getElementById('inTransitSummary');
+        if (!container) return;
+
+        if (this.data.inTransit.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="employee-section">
+                <div class="employee-header">
+                    <div>
+                        <div class="employee-name">在途庫存</div>
+                        <div class="employee-info">已出貨、尚未收貨的門店調撥</div>
+                    </div>
+                </div>
+                <div class="employee-gifts">
+                    ${this.data.inTransit.map(item => `
+                        <div class="gift-row">
+                            <div class="gift-info">
+                                <div class="gift-code">#${item.id} ${item.fromStore.storeName} → ${item.toStore.storeName}</div>
+                                <div class="gift-name-small">${item.gift.giftName}</div>
+                            </div>
+                            <div class="gift-quantity-small">${item.inTransitQuantity}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // =============================================================================
+    // Store Transfer Functions
+    // =============================================================================
+
+    // Open store transfers modal (manager)
+    openStoreTransfersModal() {
+        const modal = document.getElementById('storeTransfersModal');
+        if (modal) {
+            modal.classList.remove('hidden');
+            this.loadStoreTransfers('storeTransfersList');
+        }
+    }
+
+    // Close store transfers modal
+    closeStoreTransfersModal() {
+        const modal = document.getElementById('storeTransfersModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Load store transfers into a container
+    async loadStoreTransfers(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        try {
+            const transfers = await this.apiCall('/api/store-transfers');
+            if (transfers.length === 0) {
+                container.innerHTML = '<div class="empty-state-text">暫無調撥單</div>';
+                return;
+            }
+
+            const isManager = this.currentUser.role === 'manager';
+            const ownStoreId = this.currentUser.storeId;
+
+            container.innerHTML = transfers.map(transfer => {
+                const actions = [];
+                if (isManager && transfer.status === 'requested') {
+                    actions.push(`<button class="btn btn--primary btn--xs" onclick="app.updateStoreTransfer(${transfer.id}, 'approve', '${containerId}')">核准</button>`);
+                }
+                if (isManager && ['requested', 'approved'].includes(transfer.status)) {
+                    actions.push(`<button class="btn btn--danger btn--xs" onclick="app.updateStoreTransfer(${transfer.id}, 'reject', '${containerId}')">拒絕</button>`);
+                }
+                if (transfer.status === 'approved' && (isManager || transfer.fromStoreId === ownStoreId)) {
+                    actions.push(`<button class="btn btn--secondary btn--xs" onclick="app.updateStoreTransfer(${transfer.id}, 'ship', '${containerId}')">出貨</button>`);
+                }
+                if (transfer.status === 'shipped' && (isManager || transfer.toStoreId === ownStoreId)) {
+                    actions.push(`<button class="btn btn--secondary btn--xs" onclick="app.receiveStoreTransfer(${transfer.id}, ${transfer.quantity}, '${containerId}')">收貨</button>`);
+                }
+
+                const discrepancy = transfer.discrepancy
+                    ? `<div class="transfer-discrepancy">短少 ${-transfer.discrepancy}：${transfer.discrepancyNote}</div>`
+                    : '';
+
+                return `
+                    <div class="store-item">
+                        <div class="transfer-info">
+                            <div class="store-code">#${transfer.id}</div>
+                            <div>${transfer.fromStore ? transfer.fromStore.storeName : '未知門店'} → ${transfer.toStore ? transfer.toStore.storeName : '未知門店'}</div>
+                            <div>${transfer.gift ? transfer.gift.giftName : '未知贈品'} × ${transfer.quantity}</div>
+                            <div class="transfer-status ${transfer.status}">${transfer.statusText}</div>
+                            ${discrepancy}
+                        </div>
+                        <div class="store-actions">${actions.join('')}</div>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Load store transfers error:', error);
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Approve / reject / ship a store transfer
+    async updateStoreTransfer(transferId, action, containerId) {
+        const body = {};
+        if (action === 'reject') {
+            const reason = prompt('請輸入拒絕原因');
+            if (reason === null) return;
+            body.reason = reason;
+        } else if (action === 'ship' && !confirm('確定出貨？庫存將離開調出門店並轉為在途。')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/store-transfers/${transferId}/${action}`, {
+                method: 'PUT',
+                body: JSON.stringify(body)
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                await this.afterStoreTransferChange(containerId);
+            } else {
+                this.showError(response.message || '操作失敗');
+            }
+        } catch (error) {
+            console.error('Update store transfer error:', error);
+            this.showError('操作失敗：' + error.message);
+        }
+    }
+
+    // Confirm receipt, recording any shortfall
+    async receiveStoreTransfer(transferId, shippedQuantity, containerId) {
+        const input = prompt(`請輸入實收數量 (出貨 ${shippedQuantity})`, shippedQuantity);
+        if (input === null) return;
+
+        const receivedQuantity = parseInt(input);
+        const body = { receivedQuantity };
+        if (receivedQuantity !== shippedQuantity) {
+            const note = prompt('實收數量與出貨數量不符，請填寫差異說明');
+            if (!note) return;
+            body.note = note;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/store-transfers/${transferId}/receive`, {
+                method: 'PUT',
+                body: JSON.stringify(body)
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                await this.afterStoreTransferChange(containerId);
+            } else {
+                this.showError(response.message || '收貨失敗');
+            }
+        } catch (error) {
+            console.error('Receive store transfer error:', error);
+            this.showError('收貨失敗：' + error.message);
+        }
+    }
+
+    // Refresh views affected by a transfer
+    async afterStoreTransferChange(containerId) {
+        await this.loadStoreTransfers(containerId);
+        if (this.currentUser.role === 'manager') {
+            await this.refreshInventoryData();
+            await this.loadDashboard();
+        } else {
+            await this.loadStoreInventory();
+        }
+    }
+
+    // Submit a store transfer request (into the employee's own store)
+    async handleStoreTransferRequest(e) {
+        e.preventDefault();
+
+        const fromStoreId = parseInt(document.getElementById('storeTransferFrom').value);
+        const giftId = parseInt(document.getElementById('storeTransferGift').value);
+        const quantity = parseInt(document.getElementById('storeTransferQuantity').value);
+        const reason = document.getElementById('storeTransferReason').value.trim();
+
+        if (!fromStoreId || !giftId || !quantity || quantity < 1) {
+            this.showError('請選擇調出門店、贈品並輸入正確數量');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/api/store-transfers', {
+                method: 'POST',
+                body: JSON.stringify({ fromStoreId, giftId, quantity, reason })
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.resetForm('storeTransferForm');
+                await this.loadStoreTransfers('employeeStoreTransfers');
+            } else {
+                this.showError(response.message || '調撥申請失敗');
+            }
+        } catch (error) {
+            console.error('Store transfer request error:', error);
+            this.showError('調撥申請失敗：' + error.message);
+        }
+    }
+
+    // Open dispatch modal (warehouse -> store)
+    openDispatchModal(giftId) {
+        const modal = document.getElementById('dispatchModal');
+        const gift = this.data.gifts.find(g => g.id === giftId);
+        if (!modal || !gift) return;
+
+        document.getElementById('dispatchGiftId').value = gift.id;
+        document.getElementById('dispatchGiftName').textContent = `${gift.giftCode} - ${gift.giftName}`;
+        document.getElementById('dispatchStore').innerHTML = '<option value="">請選擇門店</option>' +
+            this.data.stores
+                .filter(store => store.status === 'active')
+                .map(store => `<option value="${store.id}">${store.storeCode} - ${store.storeName}</option>`)
+                .join('');
+        document.getElementById('dispatchQuantity').value = '';
+
+        modal.classList.remove('hidden');
+        document.getElementById('dispatchForm').onsubmit = (e) => {
+            e.preventDefault();
+            this.dispatchToStore();
+        };
+    }
+
+    // Close dispatch modal
+    closeDispatchModal() {
+        const modal = document.getElementById('dispatchModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Dispatch warehouse stock to a store
+    async dispatchToStore() {
+        const giftId = parseInt(document.getElementById('dispatchGiftId').value);
+        const storeId = parseInt(document.getElementById('dispatchStore').value);
+        const quantity = parseInt(document.getElementById('dispatchQuantity').value);
+
+        if (!storeId || !quantity || quantity <= 0) {
+            this.showError('請選擇門店並輸入正確數量');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/api/warehouse/dispatch', {
+                method: 'POST',
+                body: JSON.stringify({ storeId, giftId, quantity })
+            });
+
+            if (response.success) {
+                this.showSuccess(`撥補成功，門店現有 ${response.storeQuantity}`);
+                this.closeDispatchModal();
+                await this.refreshInventoryData();
+                await this.loadDashboard();
+            } else {
+                this.showError(response.message || '撥補失敗');
+            }
+        } catch (error) {
+            console.error('Dispatch to store error:', error);
+            this.showError('撥補失敗：' + error.message);
+        }
+    }
+
+    // Open warehouse receive modal (quantity with optional lot and expiry)
+    openWarehouseReceiveModal(giftId) {
+        const modal = document.getElementById('warehouseReceiveModal');
+        const gift = this.data.gifts.find(g => g.id === giftId);
+        if (!modal || !gift) return;
+
+        document.getElementById('receiveGiftId').value = gift.id;
+        document.getElementById('receiveGiftName').textContent = `${gift.giftCode} - ${gift.giftName}`;
+        document.getElementById('receiveQuantity').value = '';
+        document.getElementById('receiveUnitCost').value = gift.unitCost ?? '';
+        document.getElementById('receiveLotNumber').value = '';
+        document.getElementById('receiveExpiryDate').value = '';
+        document.getElementById('receiveSerials').value = '';
+        document.getElementById('receiveSerialsGroup').classList.toggle('hidden', !gift.serialized);
+
+        modal.classList.remove('hidden');
+        document.getElementById('warehouseReceiveForm').onsubmit = (e) => {
+            e.preventDefault();
+            this.receiveWarehouseStock();
+        };
+    }
+
+    // Close warehouse receive modal
+    closeWarehouseReceiveModal() {
+        const modal = document.getElementById('warehouseReceiveModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Receive stock into the head-office warehouse
+    async receiveWarehouseStock() {
+        const giftId = parseInt(document.getElementById('receiveGiftId').value);
+        const quantity = parseInt(document.getElementById('receiveQuantity').value);
+        const unitCost = document.getElementById('receiveUnitCost').value;
+        const lotNumber = document.getElementById('receiveLotNumber').value.trim();
+        const expiryDate = document.getElementById('receiveExpiryDate').value;
+        const serials = this.isSerializedGift(giftId) ? this.parseSerials(document.getElementById('receiveSerials').value) : [];
+
+        if (!quantity || quantity <= 0) {
+            this.showError('請輸入正確的進貨數量');
+            return;
+        }
+
+        if (unitCost !== '' && parseFloat(unitCost) < 0) {
+            this.showError('單位成本必須是非負數');
+            return;
+        }
+
+        if (expiryDate && !lotNumber) {
+            this.showError('填寫有效期限時請一併輸入批號');
+            return;
+        }
+
+        if (this.isSerializedGift(giftId) && serials.length !== quantity) {
+            this.showError(`序號管理贈品需逐件登記序號 (已填 ${serials.length} 個，數量 ${quantity})`);
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/api/warehouse/receive', {
+                method: 'POST',
+                body: JSON.stringify({ giftId, quantity, unitCost: unitCost === '' ? null : parseFloat(unitCost), lotNumber: lotNumber || null, expiryDate: expiryDate || null, serials })
+            });
+
+            if (response.success) {
+                this.showSuccess(`進貨成功，倉庫現有 ${response.warehouseQuantity}`);
+                this.closeWarehouseReceiveModal();
+                this.loadWarehouseSummary();
+                this.loadLotExpiryWarning();
+            } else {
+                this.showError(response.message || '進貨失敗');
+            }
+        } catch (error) {
+            console.error('Receive warehouse stock error:', error);
+            this.showError('進貨失敗：' + error.message);
+        }
+    }
+
+    // Format lots as "批號 (到期日) x 數量"
+    formatCost(value) {
+        return `$${Number(value || 0).toLocaleString('zh-TW', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    formatLots(lots) {
+        return (lots || [])
+            .map(lot => `${lot.lotNumber}${lot.expiryDate ? ` (${lot.expiryDate})` : ''} × ${lot.quantity}`)
+            .join('、');
+    }
+
+    // Show a dashboard banner when lots expire within the warning window
+    async loadLotExpiryWarning() {
+        const container = document.getElementById('lotExpiryWarning');
+        if (!container) return;
+
+        try {
+            const report = await this.apiCall('/api/lots/expiring');
+            this.expiringLots = report;
+
+            if (report.lots.length === 0) {
+                container.classList.add('hidden');
+                container.innerHTML = '';
+                return;
+            }
+
+            const expiringCount = report.lots.length - report.expiredCount;
+            container.innerHTML = `
+                <span>⚠️ ${report.expiredCount > 0 ? `${report.expiredCount} 個批號已過期，` : ''}${expiringCount} 個批號將於 ${report.days} 天內到期</span>
+                <button class="btn btn--secondary btn--xs" onclick="app.openExpiringLotsModal()">查看</button>
+            `;
+            container.classList.remove('hidden');
+        } catch (error) {
+            console.error('Failed to load expiring lots:', error);
+            container.classList.add('hidden');
+        }
+    }
+
+    // Open expiring lots modal
+    async openExpiringLotsModal() {
+        const modal = document.getElementById('expiringLotsModal');
+        const container = document.getElementById('expiringLotsList');
+        if (!modal || !container) return;
+
+        try {
+            const report = await this.apiCall('/api/lots/expiring');
+            this.expiringLots = report;
+
+            container.innerHTML = report.lots.length > 0 ? report.lots.map(lot => `
+                <div class="gift-row${lot.expired ? ' lot-expired' : ''}">
+                    <div class="gift-info">
+                        <div class="gift-code">${lot.gift ? lot.gift.giftCode : ''} 批號 ${lot.lotNumber}</div>
+                        <div class="gift-name-small">${lot.holderName} - 有效期限 ${lot.expiryDate}${lot.expired ? ' (已過期)' : ''}</div>
+                    </div>
+                    <div class="gift-quantity-small">${lot.quantity}</div>
+                </div>
+            `).join('') : `<div class="empty-state-text">${report.days} 天內沒有到期的批號</div>`;
+
+            document.getElementById('writeOffExpiredBtn').disabled = report.expiredCount === 0;
+            modal.classList.remove('hidden');
+        } catch (error) {
+            console.error('Failed to load expiring lots:', error);
+            this.showError('載入批號效期失敗：' + error.message);
+        }
+    }
+
+    // Close expiring lots modal
+    closeExpiringLotsModal() {
+        const modal = document.getElementById('expiringLotsModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Write off every expired lot
+    async writeOffExpiredLots() {
+        if (!confirm('確定要報廢所有已過期的批號嗎？此操作會扣除相關庫存。')) return;
+
+        try {
+            const response = await this.apiCall('/api/lots/write-off-expired', { method: 'POST' });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.closeExpiringLotsModal();
+                await this.refreshInventoryData();
+                await this.loadDashboard();
+            } else {
+                this.showError(response.message || '報廢失敗');
+            }
+        } catch (error) {
+            console.error('Write off expired lots error:', error);
+            this.showError('報廢失敗：' + error.message);
+        }
+    }
+
+    // Open purchase orders modal
+    async openPurchaseOrdersModal() {
+        const modal = document.getElementById('purchaseOrdersModal');
+        if (!modal) return;
+
+        modal.classList.remove('hidden');
+        this.switchPurchasePanel('purchaseOrdersPanel');
+        await this.loadSuppliers();
+        this.resetPurchaseOrderForm();
+        this.loadPurchaseOrders();
+    }
+
+    // Close purchase orders modal
+    closePurchaseOrdersModal() {
+        const modal = document.getElementById('purchaseOrdersModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Switch between purchase orders, open-PO report and suppliers
+    switchPurchasePanel(panelId) {
+        document.querySelectorAll('.purchase-tab-btn').forEach(btn => {
+            btn.classList.toggle('btn--primary', btn.dataset.panel === panelId);
+            btn.classList.toggle('btn--outline', btn.dataset.panel !== panelId);
+        });
+        document.querySelectorAll('.purchase-panel').forEach(panel => {
+            panel.classList.toggle('hidden', panel.id !== panelId);
+        });
+
+        if (panelId === 'openPurchaseOrdersPanel') {
+            this.loadOpenPurchaseOrders();
+        } else if (panelId === 'suppliersPanel') {
+            this.loadSuppliers();
+        }
+    }
+
+    // Load suppliers into the list and the purchase order form
+    async loadSuppliers() {
+        try {
+            this.data.suppliers = await this.apiCall('/api/suppliers');
+        } catch (error) {
+            console.error('Failed to load suppliers:', error);
+            this.data.suppliers = [];
+        }
+
+        const select = document.getElementById('purchaseOrderSupplier');
+        if (select) {
+            select.innerHTML = '<option value="">請選擇供應商</option>' +
+                this.data.suppliers
+                    .filter(supplier => supplier.status === 'active')
+                    .map(supplier => `<option value="${supplier.id}">${supplier.supplierCode} - ${supplier.supplierName}</option>`)
+                    .join('');
+        }
+
+        const container = document.getElementById('suppliersList');
+        if (container) {
+            container.innerHTML = this.data.suppliers.length > 0 ? this.data.suppliers.map(supplier => `
+                <div class="store-item">
+                    <div class="store-info">
+                        <div class="store-code">${supplier.supplierCode}</div>
+                        <div class="store-name">${supplier.supplierName}</div>
+                        <div class="store-address">${[supplier.contactName, supplier.phone].filter(Boolean).join(' / ') || '無聯絡資料'}</div>
+                        <div class="store-status ${supplier.status}">${supplier.status === 'active' ? '啟用' : '停用'}</div>
+                    </div>
+                    <div class="store-actions">
+                        <button class="btn btn--outline btn--xs" onclick="app.toggleSupplierStatus(${supplier.id})">${supplier.status === 'active' ? '停用' : '啟用'}</button>
+                    </div>
+                </div>
+            `).join('') : '<div class="empty-state-text">尚未建立供應商</div>';
+        }
+    }
+
+    // Create a supplier
+    async createSupplier() {
+        const body = {
+            supplierCode: document.getElementById('supplierFormCode').value.trim(),
+            supplierName: document.getElementById('supplierFormName').value.trim(),
+            contactName: document.getElementById('supplierFormContact').value.trim(),
+            phone: document.getElementById('supplierFormPhone').value.trim()
+        };
+
+        try {
+            const response = await this.apiCall('/api/suppliers', {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                document.getElementById('supplierForm').reset();
+                this.loadSuppliers();
+            } else {
+                this.showError(response.message || '新增失敗');
+            }
+        } catch (error) {
+            console.error('Create supplier error:', error);
+            this.showError('新增失敗：' + error.message);
+        }
+    }
+
+    // Enable or disable a supplier
+    async toggleSupplierStatus(supplierId) {
+        const supplier = this.data.suppliers.find(s => s.id === supplierId);
+        if (!supplier) return;
+
+        try {
+            const response = await this.apiCall(`/api/suppliers/${supplierId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ status: supplier.status === 'active' ? 'inactive' : 'active' })
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.loadSuppliers();
+            } else {
+                this.showError(response.message || '更新失敗');
+            }
+        } catch (error) {
+            console.error('Update supplier error:', error);
+            this.showError('更新失敗：' + error.message);
+        }
+    }
+
+    // Reset the purchase order form to a single empty line
+    resetPurchaseOrderForm() {
+        document.getElementById('purchaseOrderForm').reset();
+        document.getElementById('purchaseOrderLines').innerHTML = '';
+        this.addPurchaseOrderLine();
+    }
+
+    // Add a gift / quantity / unit cost line to the purchase order form
+    addPurchaseOrderLine() {
+        const container = document.getElementById('purchaseOrderLines');
+        if (!container) return;
+
+        const line = document.createElement('div');
+        line.className = 'purchase-line';
+        line.innerHTML = `
+            <select class="form-control purchase-line-gift">
+                <option value="">請選擇贈品</option>
+                ${this.data.gifts.map(gift => `<option value="${gift.id}">${gift.giftCode} - ${gift.giftName}</option>`).join('')}
+            </select>
+            <input type="number" class="form-control purchase-line-quantity" min="1" placeholder="數量">
+            <input type="number" class="form-control purchase-line-cost" min="0" step="0.01" placeholder="單位成本">
+            <button type="button" class="btn btn--outline btn--xs" onclick="this.parentElement.remove()">移除</button>
+        `;
+        container.appendChild(line);
+    }
+
+    // Create a purchase order from the form
+    async createPurchaseOrder() {
+        const supplierId = parseInt(document.getElementById('purchaseOrderSupplier').value);
+        const lines = [...document.querySelectorAll('#purchaseOrderLines .purchase-line')]
+            .map(line => ({
+                giftId: parseInt(line.querySelector('.purchase-line-gift').value),
+                quantity: parseInt(line.querySelector('.purchase-line-quantity').value),
+                unitCost: parseFloat(line.querySelector('.purchase-line-cost').value)
+            }))
+            .filter(line => line.giftId);
+
+        if (!supplierId || lines.length === 0) {
+            this.showError('請選擇供應商並至少填寫一項採購明細');
+            return;
+        }
+
+        if (lines.some(line => !line.quantity || line.quantity < 1 || isNaN(line.unitCost) || line.unitCost < 0)) {
+            this.showError('請填寫正確的採購數量與單位成本');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/api/purchase-orders', {
+                method: 'POST',
+                body: JSON.stringify({
+                    supplierId,
+                    expectedDate: document.getElementById('purchaseOrderExpectedDate').value || null,
+                    note: document.getElementById('purchaseOrderNote').value.trim(),
+                    lines
+                })
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.resetPurchaseOrderForm();
+                this.loadPurchaseOrders();
+            } else {
+                this.showError(response.message || '建立失敗');
+            }
+        } catch (error) {
+            console.error('Create purchase order error:', error);
+            this.showError('建立失敗：' + error.message);
+        }
+    }
+
+    // Load purchase orders
+    async loadPurchaseOrders() {
+        const container = document.getElementById('purchaseOrdersList');
+        if (!container) return;
+
+        try {
+            this.data.purchaseOrders = await this.apiCall('/api/purchase-orders');
+
+            container.innerHTML = this.data.purchaseOrders.length > 0 ? this.data.purchaseOrders.map(order => {
+                const open = order.status === 'open' || order.status === 'partial';
+                return `
+                    <div class="store-item">
+                        <div class="transfer-info">
+                            <div class="store-code">${order.poNumber}</div>
+                            <div>${order.supplier ? order.supplier.supplierName : '未知供應商'}${order.expectedDate ? ` - 預計 ${order.expectedDate}` : ''}</div>
+                            <div class="transfer-status ${order.status}">${order.statusText}</div>
+                            ${order.lines.map(line => `
+                                <div class="purchase-line-summary">${line.gift ? line.gift.giftName : '未知贈品'}：${line.receivedQuantity} / ${line.quantity} × ${line.unitCost}</div>
+                            `).join('')}
+                        </div>
+                        <div class="store-actions">
+                            ${open ? `<button class="btn btn--primary btn--xs" onclick="app.openPurchaseReceiptModal(${order.id})">收貨</button>` : ''}
+                            ${open ? `<button class="btn btn--outline btn--xs" onclick="app.cancelPurchaseOrder(${order.id})">取消</button>` : ''}
+                        </div>
+                    </div>
+                `;
+            }).join('') : '<div class="empty-state-text">暫無採購單</div>';
+        } catch (error) {
+            console.error('Failed to load purchase orders:', error);
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Cancel a purchase order
+    async cancelPurchaseOrder(orderId) {
+        if (!confirm('確定要取消此採購單嗎？已收貨的數量不受影響。')) return;
+
+        try {
+            const response = await this.apiCall(`/api/purchase-orders/${orderId}/cancel`, { method: 'PUT' });
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.loadPurchaseOrders();
+            } else {
+                this.showError(response.message || '取消失敗');
+            }
+        } catch (error) {
+            console.error('Cancel purchase order error:', error);
+            this.showError('取消失敗：' + error.message);
+        }
+    }
+
+    // Open goods receipt modal for the outstanding lines of a purchase order
+    openPurchaseReceiptModal(orderId) {
+        const modal = document.getElementById('purchaseReceiptModal');
+        const order = (this.data.purchaseOrders || []).find(o => o.id === orderId);
+        if (!modal || !order) return;
+
+        document.getElementById('purchaseReceiptTitle').textContent = `採購收貨 - ${order.poNumber}`;
+        document.getElementById('purchaseReceiptOrderId').value = order.id;
+        document.getElementById('purchaseReceiptNote').value = '';
+        document.getElementById('purchaseReceiptLines').innerHTML = order.lines
+            .filter(line => line.outstandingQuantity > 0)
+            .map(line => `
+                <div class="purchase-receipt-line" data-line-id="${line.lineId}">
+                    <div class="form-label">${line.gift ? `${line.gift.giftCode} - ${line.gift.giftName}` : '未知贈品'} (未收 ${line.outstandingQuantity})</div>
+                    <div class="purchase-line">
+                        <input type="number" class="form-control receipt-quantity" min="0" max="${line.outstandingQuantity}" value="${line.outstandingQuantity}" placeholder="收貨數量">
+                        <input type="text" class="form-control receipt-lot" placeholder="批號 (選填)">
+                        <input type="date" class="form-control receipt-expiry">
+                    </div>
+                    ${line.gift && line.gift.serialized ? '<textarea class="form-control receipt-serials" rows="2" placeholder="序號 (每件一個，以逗號或換行分隔)"></textarea>' : ''}
+                </div>
+            `).join('');
+
+        modal.classList.remove('hidden');
+    }
+
+    // Close goods receipt modal
+    closePurchaseReceiptModal() {
+        const modal = document.getElementById('purchaseReceiptModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Post a (partial) goods receipt
+    async receivePurchaseOrder() {
+        const orderId = parseInt(document.getElementById('purchaseReceiptOrderId').value);
+        const lines = [...document.querySelectorAll('#purchaseReceiptLines .purchase-receipt-line')]
+            .map(line => {
+                const serials = line.querySelector('.receipt-serials');
+                return {
+                    lineId: parseInt(line.dataset.lineId),
+                    quantity: parseInt(line.querySelector('.receipt-quantity').value) || 0,
+                    lotNumber: line.querySelector('.receipt-lot').value.trim() || null,
+                    expiryDate: line.querySelector('.receipt-expiry').value || null,
+                    serials: serials ? this.parseSerials(serials.value) : []
+                };
+            })
+            .filter(line => line.quantity > 0);
+
+        if (lines.length === 0) {
+            this.showError('請至少填寫一項收貨數量');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/purchase-orders/${orderId}/receipts`, {
+                method: 'POST',
+                body: JSON.stringify({ lines, note: document.getElementById('purchaseReceiptNote').value.trim() })
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.closePurchaseReceiptModal();
+                this.loadPurchaseOrders();
+                this.loadWarehouseSummary();
+            } else {
+                this.showError(response.message || '收貨失敗');
+            }
+        } catch (error) {
+            console.error('Receive purchase order error:', error);
+            this.showError('收貨失敗：' + error.message);
+        }
+    }
+
+    // Load the open-PO report
+    async loadOpenPurchaseOrders() {
+        const container = document.getElementById('openPurchaseOrdersReport');
+        if (!container) return;
+
+        try {
+            const report = await this.apiCall('/api/purchase-orders/open');
+            container.innerHTML = report.lines.length > 0 ? `
+                <div class="employee-info">未收合計 ${report.outstandingQuantity} 件，金額 ${report.outstandingValue}</div>
+                ${report.lines.map(line => `
+                    <div class="gift-row">
+                        <div class="gift-info">
+                            <div class="gift-code">${line.poNumber} - ${line.supplier ? line.supplier.supplierName : ''}</div>
+                            <div class="gift-name-small">${line.gift ? line.gift.giftName : '未知贈品'}：已收 ${line.receivedQuantity} / ${line.orderedQuantity}${line.expectedDate ? `，預計 ${line.expectedDate}` : ''}</div>
+                        </div>
+                        <div class="gift-quantity-small">${line.outstandingQuantity}</div>
+                    </div>
+                `).join('')}
+            ` : '<div class="empty-state-text">沒有未結的採購單</div>';
+        } catch (error) {
+            console.error('Failed to load open purchase orders:', error);
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Open stock thresholds modal
+    openThresholdsModal() {
+        const modal = document.getElementById('thresholdsModal');
+        if (!modal) return;
+
+        document.getElementById('thresholdForm').reset();
+        document.getElementById('thresholdGift').innerHTML = '<option value="">請選擇贈品</option>' +
+            this.data.gifts.map(gift => `<option value="${gift.id}">${gift.giftCode} - ${gift.giftName}</option>`).join('');
+        this.updateThresholdScopeOptions();
+
+        modal.classList.remove('hidden');
+        this.loadThresholds();
+    }
+
+    // Close stock thresholds modal
+    closeThresholdsModal() {
+        const modal = document.getElementById('thresholdsModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Fill the scope target select (store or employee) for the chosen scope
+    updateThresholdScopeOptions() {
+        const scope = document.getElementById('thresholdScope').value;
+        const group = document.getElementById('thresholdScopeIdGroup');
+        const select = document.getElementById('thresholdScopeId');
+
+        group.classList.toggle('hidden', scope === 'global');
+        if (scope === 'store') {
+            select.innerHTML = this.data.stores
+                .filter(store => store.status === 'active')
+                .map(store => `<option value="${store.id}">${store.storeCode} - ${store.storeName}</option>`)
+                .join('');
+        } else if (scope === 'user') {
+            select.innerHTML = this.data.users
+                .filter(user => user.role === 'employee' && user.status === 'active')
+                .map(user => `<option value="${user.id}">${user.employeeId} - ${user.fullName}</option>`)
+                .join('');
+        }
+    }
+
+    // Load configured thresholds
+    async loadThresholds() {
+        const container = document.getElementById('thresholdsList');
+        if (!container) return;
+
+        try {
+            const thresholds = await this.apiCall('/api/thresholds');
+            container.innerHTML = thresholds.length > 0 ? thresholds.map(threshold => `
+                <div class="store-item">
+                    <div class="store-info">
+                        <div class="store-name">${threshold.gift ? `${threshold.gift.giftCode} - ${threshold.gift.giftName}` : '未知贈品'}</div>
+                        <div class="store-address">${threshold.scopeName}：下限 ${threshold.minQuantity}，上限 ${threshold.maxQuantity}</div>
+                    </div>
+                    <div class="store-actions">
+                        <button class="btn btn--danger btn--xs" onclick="app.deleteThreshold(${threshold.id})">刪除</button>
+                    </div>
+                </div>
+            `).join('') : '<div class="empty-state-text">尚未設定安全庫存</div>';
+        } catch (error) {
+            console.error('Failed to load thresholds:', error);
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Save a threshold for the chosen gift and scope
+    async saveThreshold() {
+        const scope = document.getElementById('thresholdScope').value;
+        const body = {
+            giftId: parseInt(document.getElementById('thresholdGift').value),
+            scope,
+            scopeId: scope === 'global' ? null : parseInt(document.getElementById('thresholdScopeId').value),
+            minQuantity: parseInt(document.getElementById('thresholdMin').value),
+            maxQuantity: parseInt(document.getElementById('thresholdMax').value)
+        };
+
+        if (!body.giftId || (scope !== 'global' && !body.scopeId)) {
+            this.showError('請選擇贈品與適用對象');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/api/thresholds', {
+                method: 'PUT',
+                body: JSON.stringify(body)
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.loadThresholds();
+            } else {
+                this.showError(response.message || '設定失敗');
+            }
+        } catch (error) {
+            console.error('Save threshold error:', error);
+            this.showError('設定失敗：' + error.message);
+        }
+    }
+
+    // Delete a threshold
+    async deleteThreshold(thresholdId) {
+        if (!confirm('確定要刪除此安全庫存設定嗎？')) return;
+
+        try {
+            const response = await this.apiCall(`/api/thresholds/${thresholdId}`, { method: 'DELETE' });
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.loadThresholds();
+            } else {
+                this.showError(response.message || '刪除失敗');
+            }
+        } catch (error) {
+            console.error('Delete threshold error:', error);
+            this.showError('刪除失敗：' + error.message);
+        }
+    }
+
+    // Open approval policies modal
+    openApprovalPoliciesModal() {
+        const modal = document.getElementById('approvalPoliciesModal');
+        if (!modal) return;
+
+        document.getElementById('approvalPolicyForm').reset();
+        modal.classList.remove('hidden');
+        this.loadApprovalPolicies();
+    }
+
+    // Close approval policies modal
+    closeApprovalPoliciesModal() {
+        const modal = document.getElementById('approvalPoliciesModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Load the regional and head office approval thresholds
+    async loadApprovalPolicies() {
+        const container = document.getElementById('approvalPoliciesList');
+        if (!container) return;
+
+        const describe = policy => {
+            const limits = [];
+            if (policy.minQuantity !== null) limits.push(`數量 ≥ ${policy.minQuantity}`);
+            if (policy.minUnitCost !== null) limits.push(`單位成本 ≥ ${this.formatCost(policy.minUnitCost)}`);
+            if (policy.minValue !== null) limits.push(`金額 ≥ ${this.formatCost(policy.minValue)}`);
+            return limits.length > 0 ? limits.join(' 或 ') : '一律需要';
+        };
+
+        try {
+            const policies = await this.apiCall('/api/approval-policies');
+            container.innerHTML = policies.length > 0 ? policies.map(policy => `
+                <div class="store-item">
+                    <div class="store-info">
+                        <div class="store-name">${policy.levelText}</div>
+                        <div class="store-address">${describe(policy)}</div>
+                    </div>
+                    <div class="store-actions">
+                        <button class="btn btn--danger btn--xs" onclick="app.deleteApprovalPolicy(${policy.id})">刪除</button>
+                    </div>
+                </div>
+            `).join('') : '<div class="empty-state-text">尚未設定，所有申請只需門店主管審批</div>';
+        } catch (error) {
+            console.error('Failed to load approval policies:', error);
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Save the thresholds of an approval level
+    async saveApprovalPolicy() {
+        const body = {
+            level: document.getElementById('approvalPolicyLevel').value,
+            minQuantity: document.getElementById('approvalPolicyMinQuantity').value,
+            minUnitCost: document.getElementById('approvalPolicyMinUnitCost').value,
+            minValue: document.getElementById('approvalPolicyMinValue').value
+        };
+
+        try {
+            const response = await this.apiCall('/api/approval-policies', {
+                method: 'PUT',
+                body: JSON.stringify(body)
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.loadApprovalPolicies();
+            } else {
+                this.showError(response.message || '設定失敗');
+            }
+        } catch (error) {
+            console.error('Save approval policy error:', error);
+            this.showError('設定失敗：' + error.message);
+        }
+    }
+
+    // Delete an approval policy
+    async deleteApprovalPolicy(policyId) {
+        if (!confirm('確定要刪除此審批政策嗎？')) return;
+
+        try {
+            const response = await this.apiCall(`/api/approval-policies/${policyId}`, { method: 'DELETE' });
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.loadApprovalPolicies();
+            } else {
+                this.showError(response.message || '刪除失敗');
+            }
+        } catch (error) {
+            console.error('Delete approval policy error:', error);
+            this.showError('刪除失敗：' + error.message);
+        }
+    }
+
+    // Show the approval steps of a request, e.g. "門店主管 ✓ 李主管 (代 張主管) → 總部 待審批"
+    formatApprovalSteps(steps) {
+        if (!steps || steps.length === 0) return '';
+
+        const statusText = { approved: '✓', rejected: '✗', pending: '待審批' };
+        return steps.map(step => {
+            const approver = step.approverName
+                ? ` ${step.approverName}${step.onBehalfOfName ? ` (代 ${step.onBehalfOfName})` : ''}`
+                : '';
+            return `${step.levelText} ${statusText[step.status]}${approver}`;
+        }).join(' → ');
+    }
+
+    // Open approval delegations modal
+    openDelegationsModal() {
+        const modal = document.getElementById('delegationsModal');
+        if (!modal) return;
+
+        document.getElementById('delegationForm').reset();
+        const select = document.getElementById('delegationDelegate');
+        // Any active user can stand in, e.g. a senior employee while the manager is on leave
+        const candidates = this.data.users.filter(user =>
+            user.status === 'active' && user.id !== this.currentUser.id
+        );
+        select.innerHTML = '<option value="">請選擇代理人</option>' + candidates.map(user =>
+            `<option value="${user.id}">${user.fullName} (${user.employeeId}) - ${user.role === 'manager' ? '主管' : '員工'}</option>`
+        ).join('');
+
+        modal.classList.remove('hidden');
+        this.loadDelegations();
+    }
+
+    // Close approval delegations modal
+    closeDelegationsModal() {
+        const modal = document.getElementById('delegationsModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Load delegations given or received by the current manager
+    async loadDelegations() {
+        const container = document.getElementById('delegationsList');
+        if (!container) return;
+
+        const statusText = { scheduled: '尚未開始', active: '代理中', expired: '已結束', cancelled: '已取消' };
+
+        try {
+            const delegations = await this.apiCall('/api/approval-delegations');
+            container.innerHTML = delegations.length > 0 ? delegations.map(delegation => {
+                const given = delegation.delegatorId === this.currentUser.id;
+                const canCancel = given && ['scheduled', 'active'].includes(delegation.status);
+                return `
+                    <div class="store-item">
+                        <div class="store-info">
+                            <div class="store-name">${given ? `委託 ${delegation.delegateName}` : `代理 ${delegation.delegatorName}`} - ${statusText[delegation.status]}</div>
+                            <div class="store-address">${new Date(delegation.startsAt).toLocaleString('zh-TW')} ~ ${new Date(delegation.endsAt).toLocaleString('zh-TW')}${delegation.reason ? ` (${delegation.reason})` : ''}</div>
+                        </div>
+                        <div class="store-actions">
+                            ${canCancel ? `<button class="btn btn--danger btn--xs" onclick="app.cancelDelegation(${delegation.id})">取消</button>` : ''}
+                        </div>
+                    </div>
+                `;
+            }).join('') : '<div class="empty-state-text">尚無代理記錄</div>';
+        } catch (error) {
+            console.error('Failed to load delegations:', error);
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Delegate approval duties to another manager for a period
+    async saveDelegation() {
+        const delegateId = document.getElementById('delegationDelegate').value;
+        const startsAt = document.getElementById('delegationStartsAt').value;
+        const endsAt = document.getElementById('delegationEndsAt').value;
+
+        if (!delegateId || !endsAt) {
+            this.showError('請選擇代理人並輸入結束時間');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/api/approval-delegations', {
+                method: 'POST',
+                body: JSON.stringify({
+                    delegateId: parseInt(delegateId),
+                    // datetime-local values are local time; send them as ISO timestamps
+                    startsAt: startsAt ? new Date(startsAt).toISOString() : null,
+                    endsAt: new Date(endsAt).toISOString(),
+                    reason: document.getElementById('delegationReason').value.trim()
+                })
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                document.getElementById('delegationForm').reset();
+                this.loadDelegations();
+            } else {
+                this.showError(response.message || '設定失敗');
+            }
+        } catch (error) {
+            console.error('Save delegation error:', error);
+            this.showError('設定失敗：' + error.message);
+        }
+    }
+
+    // End a delegation early
+    async cancelDelegation(delegationId) {
+        if (!confirm('確定要取消此代理嗎？')) return;
+
+        try {
+            const response = await this.apiCall(`/api/approval-delegations/${delegationId}/cancel`, { method: 'PUT' });
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.loadDelegations();
+            } else {
+                this.showError(response.message || '取消失敗');
+            }
+        } catch (error) {
+            console.error('Cancel delegation error:', error);
+            this.showError('取消失敗：' + error.message);
+        }
+    }
+
+    // Open serial lookup modal
+    openSerialLookupModal() {
+        const modal = document.getElementById('serialLookupModal');
+        if (!modal) return;
+
+        document.getElementById('serialLookupInput').value = '';
+        document.getElementById('serialLookupResult').innerHTML = '';
+        modal.classList.remove('hidden');
+    }
+
+    // Close serial lookup modal
+    closeSerialLookupModal() {
+        const modal = document.getElementById('serialLookupModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Look up a serial number and show its chain of custody
+    async lookupSerial() {
+        const serialNumber = document.getElementById('serialLookupInput').value.trim();
+        const container = document.getElementById('serialLookupResult');
+        if (!serialNumber || !container) return;
+
+        const typeText = {
+            purchase: '進貨', issue: '撥出', receive: '接收', send: '送出', transfer: '轉出',
+            adjust: '調整', delete: '刪除', store_draw: '門店領用', store_return: '歸還門店',
+            store_transfer_out: '調撥出貨', in_transit: '在途', store_transfer_in: '調撥收貨',
+            transit_loss: '在途短少', expired_writeoff: '過期報廢', count_adjust: '盤點調整', reversal: '撤銷送出',
+            return: '客戶退回', writeoff: '報廢', dispose: '損壞品報廢', pending_receipt: '待簽收'
+        };
+
+        try {
+            const matches = await this.apiCall(`/api/serials/${encodeURIComponent(serialNumber)}`);
+
+            container.innerHTML = matches.map(serial => `
+                <div class="employee-section">
+                    <div class="employee-header">
+                        <div>
+                            <div class="employee-name">${serial.gift ? `${serial.gift.giftCode} - ${serial.gift.giftName}` : ''} #${serial.serialNumber}</div>
+                            <div class="employee-info">${serial.statusText}${serial.holderName ? `：${serial.holderName}` : ''}</div>
+                        </div>
+                    </div>
+                    <div class="serial-custody">
+                        ${serial.custody.map(entry => `
+                            <div class="serial-custody-entry ${entry.direction}">
+                                <span>${new Date(entry.createdAt).toLocaleString('zh-TW')}</span>
+                                <span>${typeText[entry.transactionType] || entry.transactionType}</span>
+                                <span>${entry.holderName}${entry.recipient && entry.recipient.customerName ? ` → ${entry.recipient.customerName}` : ''}</span>
+                                <span>${entry.reason || ''}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('');
+        } catch (error) {
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Open inventory valuation modal (defaults to today)
+    openValuationModal() {
+        const modal = document.getElementById('valuationModal');
+        if (!modal) return;
+
+        document.getElementById('valuationAsOf').value = new Date().toISOString().split('T')[0];
+        modal.classList.remove('hidden');
+        this.loadValuationReport();
+    }
+
+    // Close inventory valuation modal
+    closeValuationModal() {
+        const modal = document.getElementById('valuationModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Show on-hand value by store and employee as of the chosen date
+    async loadValuationReport() {
+        const asOf = document.getElementById('valuationAsOf').value;
+        const container = document.getElementById('valuationReport');
+        if (!asOf || !container) return;
+
+        try {
+            const report = await this.apiCall(`/api/reports/valuation?asOf=${asOf}`);
+            const methodText = report.method === 'average' ? '加權平均' : '先進先出';
+
+            container.innerHTML = `
+                <div class="valuation-report">
+                    <div class="valuation-summary">
+                        ${report.asOf} 庫存總值 ${this.formatCost(report.totalValue)} (${report.totalQuantity} 件，${methodText})｜
+                        總部倉庫 ${this.formatCost(report.warehouse.value)}｜在途 ${this.formatCost(report.inTransit.value)}｜
+                        待簽收 ${this.formatCost(report.pendingReceipt.value)}｜
+                        待報廢區 ${this.formatCost(report.writeOff.value)} (不計入總值)
+                    </div>
+                    <h4>門店</h4>
+                    <div class="preview-table-container">
+                        <table class="preview-table">
+                            <thead><tr><th>門店</th><th>門店庫存</th><th>員工持有</th><th>數量</th><th>價值</th></tr></thead>
+                            <tbody>
+                                ${report.stores.map(store => `
+                                    <tr>
+                                        <td>${store.storeName}</td>
+                                        <td>${this.formatCost(store.storeStock.value)}</td>
+                                        <td>${this.formatCost(store.employeeStock.value)}</td>
+                                        <td>${store.quantity}</td>
+                                        <td>${this.formatCost(store.value)}</td>
+                                    </tr>
+                                `).join('') || '<tr><td colspan="5">無庫存</td></tr>'}
+                            </tbody>
+                        </table>
+                    </div>
+                    <h4>員工</h4>
+                    <div class="preview-table-container">
+                        <table class="preview-table">
+                            <thead><tr><th>員工</th><th>門店</th><th>數量</th><th>價值</th></tr></thead>
+                            <tbody>
+                                ${report.employees.map(employee => `
+                                    <tr>
+                                        <td>${employee.fullName}</td>
+                                        <td>${employee.storeName || '-'}</td>
+                                        <td>${employee.quantity}</td>
+                                        <td>${this.formatCost(employee.value)}</td>
+                                    </tr>
+                                `).join('') || '<tr><td colspan="4">無庫存</td></tr>'}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            `;
+        } catch (error) {
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Open recipient search modal
+    openRecipientsModal() {
+        const modal = document.getElementById('recipientsModal');
+        if (!modal) return;
+
+        document.getElementById('recipientSearchGift').innerHTML = '<option value="">全部贈品</option>' +
+            this.data.gifts.map(gift => `<option value="${gift.id}">${gift.giftCode} - ${gift.giftName}</option>`).join('');
+        document.getElementById('recipientSearchInput').value = '';
+        document.getElementById('recipientRepeatOnly').checked = false;
+        modal.classList.remove('hidden');
+        this.searchRecipients();
+    }
+
+    // Close recipient search modal
+    closeRecipientsModal() {
+        const modal = document.getElementById('recipientsModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Search gift recipients recorded on send transactions
+    async searchRecipients() {
+        const container = document.getElementById('recipientSearchResult');
+        if (!container) return;
+
+        const params = new URLSearchParams();
+        const search = document.getElementById('recipientSearchInput').value.trim();
+        const giftId = document.getElementById('recipientSearchGift').value;
+        if (search) params.set('search', search);
+        if (giftId) params.set('giftId', giftId);
+        if (document.getElementById('recipientRepeatOnly').checked) params.set('repeatOnly', 'true');
+
+        try {
+            const result = await this.apiCall(`/api/recipients?${params.toString()}`);
+            if (result.sends.length === 0) {
+                container.innerHTML = '<div class="empty-state-text">查無領取紀錄</div>';
+                return;
+            }
+
+            container.innerHTML = `
+                <div class="valuation-summary">共 ${result.sends.length} 筆，重複領取的提醒期間為 ${result.repeatWindowDays} 天</div>
+                <div class="preview-table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>日期</th><th>客戶</th><th>電話</th><th>會員編號</th><th>單號</th><th>贈品</th><th>數量</th><th>經手員工</th></tr></thead>
+                        <tbody>
+                            ${result.sends.map(send => `
+                                <tr class="${send.recipient.repeat ? 'recipient-repeat' : ''}">
+                                    <td>${new Date(send.createdAt).toLocaleString('zh-TW')}</td>
+                                    <td>${send.recipient.customerName || '-'}${send.recipient.repeat ? ' (重複領取)' : ''}</td>
+                                    <td>${send.recipient.phone || '-'}</td>
+                                    <td>${send.recipient.membershipNo || '-'}</td>
+                                    <td>${send.recipient.orderNo || '-'}</td>
+                                    <td>${send.gift ? send.gift.giftName : send.giftId}</td>
+                                    <td>${send.quantity}</td>
+                                    <td>${send.employeeName}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } catch (error) {
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Open customer returns report modal
+    openReturnsModal() {
+        const modal = document.getElementById('returnsModal');
+        if (!modal) return;
+
+        document.getElementById('returnsFrom').value = '';
+        document.getElementById('returnsTo').value = '';
+        document.getElementById('returnsCondition').value = '';
+        modal.classList.remove('hidden');
+        this.loadReturnsReport();
+        this.loadWriteOffInventory();
+    }
+
+    // List damaged returns waiting in the write-off bucket
+    async loadWriteOffInventory() {
+        const container = document.getElementById('writeOffInventoryResult');
+        if (!container) return;
+
+        try {
+            const items = await this.apiCall('/api/inventory/writeoff');
+            container.innerHTML = items.length > 0 ? `
+                <h4>待報廢區</h4>
+                <div class="preview-table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>門店</th><th>贈品</th><th>數量</th><th></th></tr></thead>
+                        <tbody>
+                            ${items.map(item => `
+                                <tr>
+                                    <td>${item.storeName}</td>
+                                    <td>${item.gift ? `${item.gift.giftCode} - ${item.gift.giftName}` : item.giftId}</td>
+                                    <td>${item.quantity}</td>
+                                    <td><button class="btn btn--danger btn--xs" onclick="app.disposeWriteOff(${item.storeId}, ${item.giftId}, ${item.quantity})">報廢</button></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : '';
+        } catch (error) {
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Dispose of damaged returns; the disposal counts toward the shrinkage report
+    async disposeWriteOff(storeId, giftId, available) {
+        const input = prompt(`報廢數量 (待報廢 ${available} 件)`, available);
+        if (input === null) return;
+        const quantity = parseInt(input);
+        if (!quantity || quantity < 1 || quantity > available) {
+            this.showError('請輸入正確的報廢數量');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/api/inventory/writeoff/dispose', {
+                method: 'POST',
+                body: JSON.stringify({ storeId, giftId, quantity })
+            });
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.loadWriteOffInventory();
+            } else {
+                this.showError(response.message || '報廢失敗');
+            }
+        } catch (error) {
+            console.error('Dispose write-off error:', error);
+            this.showError('報廢失敗：' + error.message);
+        }
+    }
+
+    // Close customer returns report modal
+    closeReturnsModal() {
+        const modal = document.getElementById('returnsModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Show customer returns with resellable/damaged totals per gift
+    async loadReturnsReport() {
+        const container = document.getElementById('returnsReportResult');
+        if (!container) return;
+
+        const params = new URLSearchParams();
+        const from = document.getElementById('returnsFrom').value;
+        const to = document.getElementById('returnsTo').value;
+        const condition = document.getElementById('returnsCondition').value;
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        if (condition) params.set('condition', condition);
+
+        try {
+            const report = await this.apiCall(`/api/reports/returns?${params.toString()}`);
+            if (report.returns.length === 0) {
+                container.innerHTML = '<div class="empty-state-text">查無退回紀錄</div>';
+                return;
+            }
+
+            container.innerHTML = `
+                <div class="valuation-summary">
+                    可再送出 ${report.resellableQuantity} 件｜損壞 ${report.damagedQuantity} 件 (${this.formatCost(report.damagedValue)})
+                </div>
+                <h4>各贈品</h4>
+                <div class="preview-table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>贈品</th><th>可再送出</th><th>損壞</th><th>損壞金額</th></tr></thead>
+                        <tbody>
+                            ${report.gifts.map(gift => `
+                                <tr>
+                                    <td>${gift.giftCode} - ${gift.giftName}</td>
+                                    <td>${gift.resellableQuantity}</td>
+                                    <td>${gift.damagedQuantity}</td>
+                                    <td>${this.formatCost(gift.damagedValue)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <h4>明細</h4>
+                <div class="preview-table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>日期</th><th>送出單</th><th>贈品</th><th>數量</th><th>狀況</th><th>經手員工</th><th>門店</th><th>原因</th></tr></thead>
+                        <tbody>
+                            ${report.returns.map(record => `
+                                <tr>
+                                    <td>${new Date(record.createdAt).toLocaleString('zh-TW')}</td>
+                                    <td>${record.documentNumber || '-'}</td>
+                                    <td>${record.gift ? record.gift.giftName : record.giftId}</td>
+                                    <td>${record.quantity}</td>
+                                    <td>${record.condition === 'damaged' ? '損壞' : '可再送出'}</td>
+                                    <td>${record.employeeName}</td>
+                                    <td>${record.storeName || '-'}</td>
+                                    <td>${record.reason || ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } catch (error) {
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Open shrinkage report modal
+    openShrinkageModal() {
+        const modal = document.getElementById('shrinkageModal');
+        if (!modal) return;
+
+        document.getElementById('shrinkageStore').innerHTML = '<option value="">全部門店</option>' +
+            this.data.stores.map(store => `<option value="${store.id}">${store.storeName}</option>`).join('');
+        document.getElementById('shrinkageFrom').value = '';
+        document.getElementById('shrinkageTo').value = '';
+        modal.classList.remove('hidden');
+        this.loadShrinkageReport();
+    }
+
+    // Close shrinkage report modal
+    closeShrinkageModal() {
+        const modal = document.getElementById('shrinkageModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Show write-offs, expired lots, disposed damaged returns and transit losses by store and gift
+    async loadShrinkageReport() {
+        const container = document.getElementById('shrinkageReportResult');
+        if (!container) return;
+
+        const params = new URLSearchParams();
+        const from = document.getElementById('shrinkageFrom').value;
+        const to = document.getElementById('shrinkageTo').value;
+        const storeId = document.getElementById('shrinkageStore').value;
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        if (storeId) params.set('storeId', storeId);
+
+        try {
+            const report = await this.apiCall(`/api/reports/shrinkage?${params.toString()}`);
+            if (report.stores.length === 0) {
+                container.innerHTML = '<div class="empty-state-text">查無損耗紀錄</div>';
+                return;
+            }
+
+            const categoryText = categories => Object.entries(categories)
+                .map(([category, quantity]) => `${report.categories[category] || category} ${quantity}`)
+                .join('、');
+
+            container.innerHTML = `
+                <div class="valuation-summary">損耗合計 ${report.totalQuantity} 件 (${this.formatCost(report.totalValue)})</div>
+                ${report.stores.map(store => `
+                    <h4>${store.storeName}｜${store.quantity} 件 (${this.formatCost(store.value)})</h4>
+                    <div class="preview-table-container">
+                        <table class="preview-table">
+                            <thead><tr><th>贈品</th><th>數量</th><th>金額</th><th>原因</th></tr></thead>
+                            <tbody>
+                                ${store.gifts.map(gift => `
+                                    <tr>
+                                        <td>${gift.giftCode} - ${gift.giftName}</td>
+                                        <td>${gift.quantity}</td>
+                                        <td>${this.formatCost(gift.value)}</td>
+                                        <td>${categoryText(gift.categories)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `).join('')}
+                <h4>明細</h4>
+                <div class="preview-table-container">
+                    <table class="preview-table">
+                        <thead><tr><th>日期</th><th>門店</th><th>持有者</th><th>贈品</th><th>數量</th><th>原因</th><th>說明</th></tr></thead>
+                        <tbody>
+                            ${report.records.map(record => `
+                                <tr>
+                                    <td>${new Date(record.createdAt).toLocaleString('zh-TW')}</td>
+                                    <td>${record.storeName}</td>
+                                    <td>${record.holderName}</td>
+                                    <td>${record.giftName}</td>
+                                    <td>${record.quantity}</td>
+                                    <td>${record.categoryText}</td>
+                                    <td>${record.reason || ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } catch (error) {
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Open stocktakes modal
+    async openStocktakesModal() {
+        const modal = document.getElementById('stocktakesModal');
+        if (!modal) return;
+
+        const storeSelect = document.getElementById('stocktakeStore');
+        storeSelect.innerHTML = '<option value="">全部門店</option>' +
+            this.data.stores.map(store => `<option value="${store.id}">${store.storeName}</option>`).join('');
+        document.getElementById('stocktakeNote').value = '';
+        document.getElementById('stocktakeDetail').classList.add('hidden');
+
+        modal.classList.remove('hidden');
+        await this.loadStocktakes();
+    }
+
+    // Close stocktakes modal
+    closeStocktakesModal() {
+        const modal = document.getElementById('stocktakesModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Load stocktake sessions with progress and actions
+    async loadStocktakes() {
+        const container = document.getElementById('stocktakesList');
+        if (!container) return;
+
+        try {
+            this.stocktakes = await this.apiCall('/api/stocktakes');
+            if (this.stocktakes.length === 0) {
+                container.innerHTML = '<div class="empty-state-text">暫無盤點單</div>';
+                return;
+            }
+
+            container.innerHTML = this.stocktakes.map(session => {
+                const actions = [`<button class="btn btn--outline btn--xs" onclick="app.showStocktakeDetail(${session.id})">明細</button>`];
+                if (session.status === 'counting') {
+                    actions.push(`<button class="btn btn--secondary btn--xs" onclick="app.updateStocktake(${session.id}, 'close')">結束盤點</button>`);
+                }
+                if (session.status === 'review') {
+                    actions.push(`<button class="btn btn--primary btn--xs" onclick="app.updateStocktake(${session.id}, 'post')">過帳</button>`);
+                }
+                if (['counting', 'review'].includes(session.status)) {
+                    actions.push(`<button class="btn btn--danger btn--xs" onclick="app.updateStocktake(${session.id}, 'cancel')">取消</button>`);
+                }
+
+                const summary = session.summary;
+                return `
+                    <div class="store-item">
+                        <div class="transfer-info">
+                            <div class="store-code">${session.sessionNumber}</div>
+                            <div>${session.storeName}${session.note ? `：${session.note}` : ''}</div>
+                            <div>已盤 ${summary.countedCount}/${summary.lineCount}，差異 ${summary.varianceCount} 項 (${summary.netVariance > 0 ? '+' : ''}${summary.netVariance}，${this.formatCost(summary.varianceValue)})</div>
+                            <div class="transfer-status ${session.status}">${session.statusText}</div>
+                        </div>
+                        <div class="store-actions">${actions.join('')}</div>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Load stocktakes error:', error);
+            container.innerHTML = `<div class="empty-state-text">${error.message}</div>`;
+        }
+    }
+
+    // Show the lines of a stocktake; variances can be reviewed while the session is in review
+    showStocktakeDetail(sessionId) {
+        const container = document.getElementById('stocktakeDetail');
+        const session = (this.stocktakes || []).find(s => s.id === sessionId);
+        if (!container || !session) return;
+
+        const reviewText = { pending: '未審核', accepted: '採用實盤', rejected: '維持帳面' };
+        const rows = session.lines.map(line => {
+            const varianceClass = line.variance > 0 ? 'variance-positive' : (line.variance < 0 ? 'variance-negative' : '');
+            let review = '';
+            if (line.variance) {
+                review = session.status === 'review'
+                    ? `${reviewText[line.review]}
+                       <button class="btn btn--primary btn--xs" onclick="app.reviewStocktakeLine(${session.id}, ${line.lineId}, 'accepted', ${line.gift && line.gift.serialized ? line.variance : 0})">採用</button>
+                       <button class="btn btn--outline btn--xs" onclick="app.reviewStocktakeLine(${session.id}, ${line.lineId}, 'rejected')">維持</button>`
+                    : reviewText[line.review];
+            }
+
+            return `
+                <tr>
+                    <td>${line.userName}</td>
+                    <td>${line.gift ? line.gift.giftName : line.giftId}</td>
+                    <td>${line.expectedQuantity}</td>
+                    <td>${line.countedQuantity ?? '-'}</td>
+                    <td class="${varianceClass}">${line.variance === null ? '-' : (line.variance > 0 ? '+' : '') + line.variance}</td>
+                    <td>${review}</td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <h4>${session.sessionNumber} 明細</h4>
+            <div class="preview-table-container">
+                <table class="preview-table">
+                    <thead><tr><th>員工</th><th>贈品</th><th>帳面</th><th>實盤</th><th>差異</th><th>審核</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+        container.classList.remove('hidden');
+        this.currentStocktakeId = sessionId;
+    }
+
+    // Open a stocktake session, freezing expected quantities
+    async startStocktake() {
+        const storeId = document.getElementById('stocktakeStore').value;
+        const note = document.getElementById('stocktakeNote').value.trim();
+
+        try {
+            const response = await this.apiCall('/api/stocktakes', {
+                method: 'POST',
+                body: JSON.stringify({ storeId: storeId ? parseInt(storeId) : null, note })
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                document.getElementById('stocktakeNote').value = '';
+                await this.loadStocktakes();
+            } else {
+                this.showError(response.message || '開始盤點失敗');
+            }
+        } catch (error) {
+            console.error('Start stocktake error:', error);
+            this.showError('開始盤點失敗：' + error.message);
+        }
+    }
+
+    // Close counting / post variances / cancel a stocktake
+    async updateStocktake(sessionId, action) {
+        const confirmText = {
+            close: '確定結束盤點？員工將無法再登錄數量。',
+            post: '確定過帳？採用的差異將以盤點調整入帳。',
+            cancel: '確定取消這次盤點？'
+        };
+        if (!confirm(confirmText[action])) return;
+
+        try {
+            const response = await this.apiCall(`/api/stocktakes/${sessionId}/${action}`, { method: 'PUT' });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                await this.loadStocktakes();
+                if (this.currentStocktakeId === sessionId) this.showStocktakeDetail(sessionId);
+                if (action === 'post') await this.refreshInventoryData();
+            } else {
+                this.showError(response.message || '操作失敗');
+            }
+        } catch (error) {
+            console.error('Update stocktake error:', error);
+            this.showError('操作失敗：' + error.message);
+        }
+    }
+
+    // Accept the counted quantity or keep the book quantity for one line
+    // serialVariance is the variance of a serialized gift, whose serials must be given when accepting
+    async reviewStocktakeLine(sessionId, lineId, decision, serialVariance = 0) {
+        const note = decision === 'rejected' ? prompt('請輸入維持帳面數量的原因 (選填)') : '';
+        if (note === null) return;
+
+        const serials = serialVariance ? prompt(serialVariance > 0
+            ? `請輸入盤盈的 ${serialVariance} 個序號 (以逗號分隔)`
+            : `請輸入盤虧的 ${-serialVariance} 個序號 (以逗號分隔)`) : '';
+        if (serials === null) return;
+
+        try {
+            const response = await this.apiCall(`/api/stocktakes/${sessionId}/lines/${lineId}/review`, {
+                method: 'PUT',
+                body: JSON.stringify({ decision, note, serials })
+            });
+
+            if (response.success) {
+                await this.loadStocktakes();
+                this.showStocktakeDetail(sessionId);
+            } else {
+                this.showError(response.message || '審核失敗');
+            }
+        } catch (error) {
+            console.error('Review stocktake line error:', error);
+            this.showError('審核失敗：' + error.message);
+        }
+    }
+
+    // Load transfers whose recipient reported they never arrived
+    async loadDisputes() {
+        const container = document.getElementById('disputeList');
+        if (!container) return;
+
+        try {
+            const requests = await this.apiCall('/api/requests/disputes');
+            container.innerHTML = requests.map(request => `
+                <div class="approval-item">
+                    <div class="item-header">
+                        <div class="item-type transfer">轉移簽收爭議</div>
+                        <div class="item-status disputed">${request.statusText}</div>
+                    </div>
+                    <div class="item-details">
+                        <div><strong>轉出人:</strong> ${request.requesterName}</div>
+                        <div><strong>接收人:</strong> ${request.targetUserName}</div>
+                        <div><strong>贈品:</strong> ${request.gift ? `${request.gift.giftCode} - ${request.gift.giftName}` : ''} × ${request.approvedQuantity}</div>
+                        <div><strong>未收到說明:</strong> ${request.receipt.disputeReason}</div>
+                        <div><strong>回報時間:</strong> ${new Date(request.receipt.disputedAt).toLocaleString('zh-TW')}</div>
+                    </div>
+                    <div class="item-actions">
+                        <button class="btn btn--outline btn--sm" onclick="app.resolveDispute(${request.id}, 'redeliver')">重新簽收</button>
+                        <button class="btn btn--danger btn--sm" onclick="app.resolveDispute(${request.id}, 'return')">退回轉出人</button>
+                    </div>
                 </div>
-            `;
+            `).join('');
+        } catch (error) {
+            console.error('Failed to load disputes:', error);
+            container.innerHTML = '';
+        }
+    }
+
+    // Resolve a receipt dispute: return the stock to the requester or ask the recipient to confirm again
+    async resolveDispute(requestId, decision) {
+        const note = prompt(decision === 'return' ? '請輸入退回原因 (選填)' : '請輸入交付說明 (選填)');
+        if (note === null) return;
+
+        try {
+            const response = await this.apiCall(`/api/requests/${requestId}/resolve-dispute`, {
+                method: 'PUT',
+                body: JSON.stringify({ decision, note })
+            });
+            if (response.success) {
+                this.showSuccess(response.message);
+                await this.loadDisputes();
+            } else {
+                this.showError(response.message || '處理失敗');
+            }
+        } catch (error) {
+            console.error('Resolve dispute error:', error);
+            this.showError('處理失敗：' + error.message);
         }
     }
 
@@ -1529,6 +4420,8 @@ Stores: ${state.stores}`;
         const container = document.getElementById('approvalList');
         if (!container) return;
 
+        this.loadDisputes();
+
         try {
             // Ensure we have fresh data
             if (!this.data.users || this.data.users.length === 0) {
@@ -1561,7 +4454,7 @@ Stores: ${state.stores}`;
                 return `
                     <div class="approval-item">
                         <div class="item-header">
-                            <div class="item-type ${request.requestType}">${request.requestType === 'increase' ? '增發' : '轉移'}</div>
+                            <div class="item-type ${request.requestType}">${this.getRequestTypeText(request.requestType)}${request.systemGenerated ? ' (系統自動)' : ''}</div>
                             <div class="item-status pending">待審批</div>
                         </div>
                         <div class="item-details">
@@ -1569,10 +4462,18 @@ Stores: ${state.stores}`;
                             <div><strong>贈品:</strong> ${gift.giftCode} - ${gift.giftName}</div>
                             <div><strong>數量:</strong> ${request.requestedQuantity}</div>
                             ${targetUser ? `<div><strong>接收人:</strong> ${targetUser.fullName} (${targetUser.employeeId})</div>` : ''}
+                            ${request.serials ? `<div><strong>序號:</strong> ${request.serials.join(', ')}</div>` : ''}
+                            ${request.transactionId ? `<div><strong>原送出交易:</strong> #${request.transactionId}</div>` : ''}
+                            ${request.reasonCategory ? `<div><strong>報廢原因:</strong> ${this.getWriteoffReasonText(request.reasonCategory)}</div>` : ''}
                             <div><strong>說明:</strong> ${request.purpose}</div>
+                            <div><strong>審批關卡:</strong> ${this.formatApprovalSteps(request.approvalSteps)}</div>
+                            ${request.onBehalfOf ? `<div><strong>代理審批:</strong> 代 ${request.onBehalfOf.fullName} 審批</div>` : ''}
+                            ${request.revisions.length > 0 ? `<div><strong>已修改:</strong> ${request.revisions.length} 次，最後於 ${new Date(request.revisions[request.revisions.length - 1].revisedAt).toLocaleString('zh-TW')}</div>` : ''}
+                            ${request.comments.length > 0 ? `<div><strong>留言:</strong> ${request.comments.length} 則</div>` : ''}
                             <div><strong>申請時間:</strong> ${new Date(request.createdAt).toLocaleString('zh-TW')}</div>
                         </div>
                         <div class="item-actions">
+                            ${request.photo ? `<button class="btn btn--outline btn--sm" onclick="app.viewRequestPhoto(${request.id})">查看照片</button>` : ''}
                             <button class="btn btn--primary btn--sm" onclick="app.openApprovalModal(${request.id})">處理申請</button>
                         </div>
                     </div>
@@ -1595,7 +4496,8 @@ Stores: ${state.stores}`;
         const request = this.data.pendingRequests.find(r => r.id === requestId);
         if (!request) return;
 
-        const requester = this.data.users.find(u => u.id === request.requesterId);
+        // Delegated employees have no user list, so fall back to the requester sent with the request
+        const requester = this.data.users.find(u => u.id === request.requesterId) || request.requester;
         const gift = this.data.gifts.find(g => g.id === request.giftId);
         
         const modal = document.getElementById('approvalModal');
@@ -1605,18 +4507,27 @@ Stores: ${state.stores}`;
         
         if (!modal || !title || !details || !quantityInput || !requester || !gift) return;
         
-        title.textContent = `審批${request.requestType === 'increase' ? '增發' : '轉移'}申請`;
+        title.textContent = `審批${this.getRequestTypeText(request.requestType)}申請`;
         quantityInput.value = request.requestedQuantity;
+        // Reversals always restore the full quantity of the original send
+        quantityInput.disabled = request.requestType === 'reversal';
         
         details.innerHTML = `
             <div class="item-details">
                 <div><strong>申請人:</strong> ${requester.fullName} (${requester.employeeId})</div>
                 <div><strong>贈品:</strong> ${gift.giftCode} - ${gift.giftName}</div>
                 <div><strong>申請數量:</strong> ${request.requestedQuantity}</div>
+                ${request.reasonCategory ? `<div><strong>報廢原因:</strong> ${this.getWriteoffReasonText(request.reasonCategory)}</div>` : ''}
                 <div><strong>說明:</strong> ${request.purpose}</div>
+                <div><strong>審批關卡:</strong> ${this.formatApprovalSteps(request.approvalSteps)}</div>
+                ${request.onBehalfOf ? `<div><strong>代理審批:</strong> 代 ${request.onBehalfOf.fullName} 審批</div>` : ''}
+                ${request.revisions.length > 0 ? `<div><strong>修改紀錄:</strong>${this.formatRevisions(request.revisions)}</div>` : ''}
+                ${request.photo ? `<button type="button" class="btn btn--outline btn--sm" onclick="app.viewRequestPhoto(${request.id})">查看照片</button>` : ''}
             </div>
         `;
         
+        this.loadRequestComments(request.id, 'approvalComments');
+        
         // Store current request ID for handling
         modal.dataset.requestId = requestId;
         modal.classList.remove('hidden');
@@ -1666,9 +4577,13 @@ Stores: ${state.stores}`;
                 await this.refreshAllData();
                 
                 this.closeModal();
-                await this.loadApprovals();
-                await this.loadDashboard();
-                this.showSuccess('申請已核准');
+                if (this.currentUser.role === 'manager') {
+                    await this.loadApprovals();
+                    await this.loadDashboard();
+                } else {
+                    await this.loadDelegatedApprovals();
+                }
+                this.showSuccess(response.message || '申請已核准');
             } else {
                 this.showError(response.message || '核准失敗');
             }
@@ -1711,7 +4626,11 @@ Stores: ${state.stores}`;
                 await this.refreshAllData();
                 
                 this.closeModal();
-                await this.loadApprovals();
+                if (this.currentUser.role === 'manager') {
+                    await this.loadApprovals();
+                } else {
+                    await this.loadDelegatedApprovals();
+                }
                 this.showSuccess('申請已駁回');
             } else {
                 this.showError(response.message || '駁回失敗');
@@ -1796,6 +4715,9 @@ Stores: ${state.stores}`;
             return;
         }
 
+        const serialsInput = document.getElementById('adjustmentSerials');
+        const serials = this.isSerializedGift(giftId) && serialsInput ? this.parseSerials(serialsInput.value) : [];
+
         this.showLoading(true);
         
         try {
@@ -1804,6 +4726,7 @@ Stores: ${state.stores}`;
                 method: 'PUT',
                 body: JSON.stringify({
                     quantity: quantity,
+                    serials: serials,
                     reason: reason
                 })
             });
@@ -1813,6 +4736,7 @@ Stores: ${state.stores}`;
                 await this.refreshAllData();
                 
                 this.resetForm('adjustmentForm');
+                this.updateAdjustmentSerialField();
                 await this.loadDashboard();
                 this.showSuccess('庫存調整完成');
             } else {
@@ -1833,7 +4757,8 @@ Stores: ${state.stores}`;
 
         try {
             const response = await this.apiCall('/api/users');
-            const employees = response.users || response;
+            // 已刪除的使用者只保留供歷史紀錄顯示姓名
+            const employees = (response.users || response).filter(employee => employee.status !== 'deleted');
             
             container.innerHTML = employees.map(employee => {
                 const store = this.data.stores.find(s => s.id === employee.storeId);
@@ -1926,6 +4851,36 @@ Stores: ${state.stores}`;
                     headers = result.headers;
                     fileName = `贈品庫存報表_${new Date().toISOString().split('T')[0]}`;
                     break;
+                case 'storeInventory':
+                    const storeInventoryResult = await this.exportStoreInventory(includeInactive, includeTimestamps);
+                    exportData = storeInventoryResult.data;
+                    headers = storeInventoryResult.headers;
+                    fileName = `門店庫存報表_${new Date().toISOString().split('T')[0]}`;
+                    break;
+                case 'inTransit':
+                    const inTransitResult = this.exportInTransit();
+                    exportData = inTransitResult.data;
+                    headers = inTransitResult.headers;
+                    fileName = `在途庫存報表_${new Date().toISOString().split('T')[0]}`;
+                    break;
+                case 'expiringLots':
+                    const expiringLotsResult = await this.exportExpiringLots();
+                    exportData = expiringLotsResult.data;
+                    headers = expiringLotsResult.headers;
+                    fileName = `批號效期報表_${new Date().toISOString().split('T')[0]}`;
+                    break;
+                case 'openPurchaseOrders':
+                    const openPurchaseOrdersResult = await this.exportOpenPurchaseOrders();
+                    exportData = openPurchaseOrdersResult.data;
+                    headers = openPurchaseOrdersResult.headers;
+                    fileName = `未結採購報表_${new Date().toISOString().split('T')[0]}`;
+                    break;
+                case 'valuation':
+                    const valuationResult = await this.exportValuation();
+                    exportData = valuationResult.data;
+                    headers = valuationResult.headers;
+                    fileName = `庫存估值報表_${new Date().toISOString().split('T')[0]}`;
+                    break;
                 case 'employees':
                     const employeeResult = await this.exportEmployees(includeInactive, includeTimestamps);
                     exportData = employeeResult.data;
@@ -1974,7 +4929,7 @@ Stores: ${state.stores}`;
 
     // Export Inventory Data
     async exportInventory(includeInactive, includeTimestamps) {
-        let users = this.data.users;
+        let users = this.data.users.filter(u => u.status !== 'deleted');
         if (!includeInactive) {
             users = users.filter(u => u.status === 'active');
         }
@@ -2031,9 +4986,127 @@ Stores: ${state.stores}`;
         return { data: exportData, headers };
     }
 
+    // Export Store Inventory Data (reported separately from employee holdings)
+    async exportStoreInventory(includeInactive, includeTimestamps) {
+        let stores = this.data.stores;
+        if (!includeInactive) {
+            stores = stores.filter(s => s.status === 'active');
+        }
+
+        const exportData = [];
+        const headers = ['門店編號', '門店名稱', '贈品編號', '贈品名稱', '數量'];
+
+        if (includeTimestamps) {
+            headers.push('最後更新時間');
+        }
+
+        stores.forEach(store => {
+            this.data.storeInventory.filter(item => item.storeId === store.id).forEach(item => {
+                const gift = this.data.gifts.find(g => g.id === item.giftId);
+                if (gift) {
+                    const row = {
+                        門店編號: store.storeCode,
+                        門店名稱: store.storeName,
+                        贈品編號: gift.giftCode,
+                        贈品名稱: gift.giftName,
+                        數量: item.quantity
+                    };
+
+                    if (includeTimestamps) {
+                        row['最後更新時間'] = item.lastUpdated ? new Date(item.lastUpdated).toLocaleString('zh-TW') : '';
+                    }
+
+                    exportData.push(row);
+                }
+            });
+        });
+
+        return { data: exportData, headers };
+    }
+
+    // Export In-Transit Store Transfers
+    exportInTransit() {
+        const headers = ['調撥單號', '調出門店', '調入門店', '贈品編號', '贈品名稱', '在途數量', '出貨時間'];
+        const exportData = this.data.inTransit.map(item => ({
+            調撥單號: item.id,
+            調出門店: item.fromStore.storeName,
+            調入門店: item.toStore.storeName,
+            贈品編號: item.gift.giftCode,
+            贈品名稱: item.gift.giftName,
+            在途數量: item.inTransitQuantity,
+            出貨時間: item.shippedAt ? new Date(item.shippedAt).toLocaleString('zh-TW') : ''
+        }));
+
+        return { data: exportData, headers };
+    }
+
+    // Export lots expiring within the warning window (expired lots included)
+    async exportExpiringLots() {
+        const report = await this.apiCall('/api/lots/expiring');
+        const headers = ['持有者', '贈品編號', '贈品名稱', '批號', '進貨日期', '有效期限', '數量', '狀態'];
+        const exportData = report.lots.map(lot => ({
+            持有者: lot.holderName,
+            贈品編號: lot.gift ? lot.gift.giftCode : '',
+            贈品名稱: lot.gift ? lot.gift.giftName : '',
+            批號: lot.lotNumber,
+            進貨日期: lot.receivedDate || '',
+            有效期限: lot.expiryDate,
+            數量: lot.quantity,
+            狀態: lot.expired ? '已過期' : '即將到期'
+        }));
+
+        return { data: exportData, headers };
+    }
+
+    // Export purchase order lines not yet fully received
+    async exportOpenPurchaseOrders() {
+        const report = await this.apiCall('/api/purchase-orders/open');
+        const headers = ['採購單號', '供應商', '贈品編號', '贈品名稱', '採購數量', '已收數量', '未收數量', '單位成本', '未收金額', '預計到貨日'];
+        const exportData = report.lines.map(line => ({
+            採購單號: line.poNumber,
+            供應商: line.supplier ? line.supplier.supplierName : '',
+            贈品編號: line.gift ? line.gift.giftCode : '',
+            贈品名稱: line.gift ? line.gift.giftName : '',
+            採購數量: line.orderedQuantity,
+            已收數量: line.receivedQuantity,
+            未收數量: line.outstandingQuantity,
+            單位成本: line.unitCost,
+            未收金額: line.outstandingValue,
+            預計到貨日: line.expectedDate || ''
+        }));
+
+        return { data: exportData, headers };
+    }
+
+    // Export Inventory Valuation (today, one row per holder and gift)
+    async exportValuation() {
+        const report = await this.apiCall('/api/reports/valuation');
+        const headers = ['持有者類型', '持有者', '門店', '贈品編號', '贈品名稱', '數量', '價值'];
+        const exportData = [];
+        const addRows = (holderType, holderName, storeName, gifts) => {
+            gifts.forEach(gift => exportData.push({
+                持有者類型: holderType,
+                持有者: holderName,
+                門店: storeName || '',
+                贈品編號: gift.giftCode,
+                贈品名稱: gift.giftName,
+                數量: gift.quantity,
+                價值: gift.value
+            }));
+        };
+
+        addRows('總部倉庫', '總部倉庫', '', report.warehouse.gifts);
+        addRows('在途', '在途', '', report.inTransit.gifts);
+        addRows('待簽收', '待簽收', '', report.pendingReceipt.gifts);
+        report.stores.forEach(store => addRows('門店', store.storeName, store.storeName, store.storeStock.gifts));
+        report.employees.forEach(employee => addRows('員工', employee.fullName, employee.storeName, employee.gifts));
+
+        return { data: exportData, headers };
+    }
+
     // Export Employees Data
     async exportEmployees(includeInactive, includeTimestamps) {
-        let users = this.data.users;
+        let users = this.data.users.filter(u => u.status !== 'deleted');
         if (!includeInactive) {
             users = users.filter(u => u.status === 'active');
         }
@@ -2373,6 +5446,15 @@ Stores: ${state.stores}`;
 
             const parsedData = await this.parseExcelFile(file);
             
+            // 匯入前先建立快照，匯入結果有誤時可還原
+            const snapshotResponse = await this.apiCall('/api/snapshots', {
+                method: 'POST',
+                body: JSON.stringify({ reason: 'import' })
+            });
+            if (!snapshotResponse.success) {
+                throw new Error(snapshotResponse.message || '無法建立匯入前快照');
+            }
+            
             // Process import based on type
             let result;
             switch (importType) {
@@ -2964,6 +6046,8 @@ Stores: ${state.stores}`;
                     <div class="gift-name">${gift.giftName}</div>
                     <div class="gift-category">${gift.category}</div>
                     <div class="gift-description">${gift.description || '無描述'}</div>
+                    <div class="gift-description">單位成本 ${this.formatCost(gift.unitCost)}</div>
+                    ${gift.serialized ? '<div class="gift-category">序號管理</div>' : ''}
                     <div class="gift-status ${gift.status}">${gift.status === 'active' ? '啟用' : '停用'}</div>
                 </div>
                 <div class="gift-actions">
@@ -2998,6 +6082,8 @@ Stores: ${state.stores}`;
                 document.getElementById('giftFormName').value = gift.giftName;
                 document.getElementById('giftFormCategory').value = gift.category;
                 document.getElementById('giftFormDescription').value = gift.description || '';
+                document.getElementById('giftFormSerialized').checked = Boolean(gift.serialized);
+                document.getElementById('giftFormUnitCost').value = gift.unitCost ?? 0;
                 document.getElementById('giftFormStatus').value = gift.status;
             }
         } else {
@@ -3038,12 +6124,19 @@ Stores: ${state.stores}`;
         const giftCategory = document.getElementById('giftFormCategory').value;
         const giftDescription = document.getElementById('giftFormDescription').value;
         const giftStatus = document.getElementById('giftFormStatus').value;
+        const giftSerialized = document.getElementById('giftFormSerialized').checked;
+        const giftUnitCost = parseFloat(document.getElementById('giftFormUnitCost').value || '0');
 
         if (!giftCode || !giftName || !giftCategory) {
             this.showError('贈品編號、名稱和類別為必填欄位');
             return;
         }
 
+        if (!Number.isFinite(giftUnitCost) || giftUnitCost < 0) {
+            this.showError('單位成本必須是非負數');
+            return;
+        }
+
         try {
             let response;
             if (giftId) {
@@ -3055,7 +6148,9 @@ Stores: ${state.stores}`;
                         giftName,
                         category: giftCategory,
                         description: giftDescription,
-                        status: giftStatus
+                        status: giftStatus,
+                        serialized: giftSerialized,
+                        unitCost: giftUnitCost
                     })
                 });
             } else {
@@ -3067,7 +6162,9 @@ Stores: ${state.stores}`;
                         giftName,
                         category: giftCategory,
                         description: giftDescription,
-                        status: giftStatus
+                        status: giftStatus,
+                        serialized: giftSerialized,
+                        unitCost: giftUnitCost
                     })
                 });
             }
@@ -3159,6 +6256,169 @@ Stores: ${state.stores}`;
         }
     }
 
+    // =============================================================================
+    // Snapshot Management Functions
+    // =============================================================================
+
+    // Snapshot reason labels
+    getSnapshotReasonText(reason) {
+        const reasonMap = {
+            'scheduled': '定期快照',
+            'manual': '手動建立',
+            'import': '批次匯入前',
+            'user-delete': '刪除使用者前',
+            'gift-delete': '刪除贈品前',
+            'pre-restore': '還原前'
+        };
+        return reasonMap[reason] || reason;
+    }
+
+    // Open Snapshots Modal
+    openSnapshotsModal() {
+        const modal = document.getElementById('snapshotsModal');
+        if (modal) {
+            modal.classList.remove('hidden');
+            document.getElementById('snapshotDiff').classList.add('hidden');
+            this.loadSnapshotsList();
+        }
+    }
+
+    // Close Snapshots Modal
+    closeSnapshotsModal() {
+        const modal = document.getElementById('snapshotsModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Load snapshots list
+    async loadSnapshotsList() {
+        const snapshotsList = document.getElementById('snapshotsList');
+        const schedule = document.getElementById('snapshotsSchedule');
+        if (!snapshotsList) return;
+
+        try {
+            const response = await this.apiCall('/api/snapshots');
+            if (!response.success) {
+                this.showError(response.message || '載入快照失敗');
+                return;
+            }
+
+            if (schedule) {
+                schedule.textContent = response.intervalMinutes > 0
+                    ? `每 ${response.intervalMinutes} 分鐘自動建立快照`
+                    : '未啟用定期快照';
+            }
+
+            if (response.snapshots.length === 0) {
+                snapshotsList.innerHTML = '<div class="empty-state">尚無快照</div>';
+                return;
+            }
+
+            snapshotsList.innerHTML = response.snapshots.map(snapshot => `
+                <div class="snapshot-item">
+                    <div class="snapshot-info">
+                        <div class="snapshot-time">${new Date(snapshot.createdAt).toLocaleString('zh-TW')}</div>
+                        <div class="snapshot-reason">${this.getSnapshotReasonText(snapshot.reason)}</div>
+                        <div class="snapshot-size">${(snapshot.size / 1024).toFixed(1)} KB</div>
+                    </div>
+                    <div class="snapshot-actions">
+                        <button class="btn btn--secondary btn--xs" onclick="app.showSnapshotDiff('${snapshot.id}')">比對</button>
+                        <button class="btn btn--danger btn--xs" onclick="app.restoreSnapshot('${snapshot.id}')">還原</button>
+                    </div>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Load snapshots error:', error);
+            this.showError('載入快照失敗：' + error.message);
+        }
+    }
+
+    // Create snapshot manually
+    async createSnapshot() {
+        try {
+            const response = await this.apiCall('/api/snapshots', {
+                method: 'POST',
+                body: JSON.stringify({ reason: 'manual' })
+            });
+
+            if (response.success) {
+                this.showSuccess('快照建立成功');
+                this.loadSnapshotsList();
+            } else {
+                this.showError(response.message || '建立快照失敗');
+            }
+        } catch (error) {
+            console.error('Create snapshot error:', error);
+            this.showError('建立快照失敗：' + error.message);
+        }
+    }
+
+    // Show differences between a snapshot and current data
+    async showSnapshotDiff(snapshotId) {
+        const diffContainer = document.getElementById('snapshotDiff');
+        if (!diffContainer) return;
+
+        try {
+            const response = await this.apiCall(`/api/snapshots/${snapshotId}/diff`);
+            if (!response.success) {
+                this.showError(response.message || '比對失敗');
+                return;
+            }
+
+            const collectionNames = {
+                users: '使用者',
+                stores: '門店',
+                gifts: '贈品',
+                giftInventory: '庫存',
+                giftRequests: '申請',
+                giftTransactions: '交易記錄'
+            };
+            const entries = Object.entries(response.diff);
+            const rows = entries.map(([name, change]) => {
+                const label = collectionNames[name] || name;
+                if (change.changed) {
+                    return `<li><strong>${label}</strong>：已變更</li>`;
+                }
+                return `<li><strong>${label}</strong>：新增 ${change.added.length} 筆、刪除 ${change.removed.length} 筆、修改 ${change.modified.length} 筆</li>`;
+            }).join('');
+
+            diffContainer.innerHTML = `
+                <h4>${new Date(response.snapshot.createdAt).toLocaleString('zh-TW')} 之後的變更</h4>
+                ${entries.length === 0 ? '<p>目前資料與快照相同</p>' : `<ul>${rows}</ul>`}
+            `;
+            diffContainer.classList.remove('hidden');
+        } catch (error) {
+            console.error('Snapshot diff error:', error);
+            this.showError('比對失敗：' + error.message);
+        }
+    }
+
+    // Restore data from a snapshot
+    async restoreSnapshot(snapshotId) {
+        if (!confirm('確定要將資料還原至此快照嗎？還原前會自動保存目前資料的快照。')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/api/snapshots/${snapshotId}/restore`, {
+                method: 'POST'
+            });
+
+            if (response.success) {
+                this.showSuccess('快照還原成功');
+                document.getElementById('snapshotDiff').classList.add('hidden');
+                this.loadSnapshotsList();
+                await this.refreshAllData();
+            } else {
+                this.showError(response.message || '還原失敗');
+            }
+        } catch (error) {
+            console.error('Restore snapshot error:', error);
+            this.showError('還原失敗：' + error.message);
+        }
+    }
+
     // Reset import modal
     resetImportModal() {
         const fileInfo = document.getElementById('fileInfo');
@@ -3432,11 +6692,25 @@ Stores: ${state.stores}`;
     }
 
     // Load history
-    loadHistory() {
+    async loadHistory() {
         const container = document.getElementById('historyList');
         if (!container || !this.currentUser) return;
 
-        const userRequests = this.data.pendingRequests.filter(req => req.requesterId === this.currentUser.id);
+        let userRequests;
+        try {
+            userRequests = await this.apiCall('/api/requests/my');
+            this.data.myRequests = userRequests;
+        } catch (error) {
+            console.error('Failed to load request history:', error);
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">❌</div>
+                    <div class="empty-state-text">載入申請紀錄失敗</div>
+                    <div class="empty-state-subtext">${error.message}</div>
+                </div>
+            `;
+            return;
+        }
         
         if (userRequests.length === 0) {
             container.innerHTML = `
@@ -3458,7 +6732,7 @@ Stores: ${state.stores}`;
             return `
                 <div class="history-item">
                     <div class="item-header">
-                        <div class="item-type ${request.requestType}">${request.requestType === 'increase' ? '增發' : '轉移'}</div>
+                        <div class="item-type ${request.requestType}">${this.getRequestTypeText(request.requestType)}</div>
                         <div class="item-status ${request.status}">${this.getStatusText(request.status)}</div>
                     </div>
                     <div class="item-details">
@@ -3466,22 +6740,178 @@ Stores: ${state.stores}`;
                         <div><strong>申請數量:</strong> ${request.requestedQuantity}</div>
                         ${request.approvedQuantity ? `<div><strong>核准數量:</strong> ${request.approvedQuantity}</div>` : ''}
                         ${targetUser ? `<div><strong>接收人:</strong> ${targetUser.fullName}</div>` : ''}
+                        ${request.reasonCategory ? `<div><strong>報廢原因:</strong> ${this.getWriteoffReasonText(request.reasonCategory)}</div>` : ''}
                         <div><strong>說明:</strong> ${request.purpose}</div>
+                        ${request.approvalSteps && request.approvalSteps.length > 1 ? `<div><strong>審批關卡:</strong> ${this.formatApprovalSteps(request.approvalSteps)}</div>` : ''}
                         <div><strong>申請時間:</strong> ${new Date(request.createdAt).toLocaleString('zh-TW')}</div>
+                        ${request.revisions && request.revisions.length > 0 ? `<div><strong>修改紀錄:</strong>${this.formatRevisions(request.revisions)}</div>` : ''}
+                        ${request.cancelledAt ? `<div><strong>取消時間:</strong> ${new Date(request.cancelledAt).toLocaleString('zh-TW')}</div>` : ''}
                         ${request.approvalComment || request.rejectionComment ? 
                             `<div><strong>審批意見:</strong> ${request.approvalComment || request.rejectionComment}</div>` : ''}
                     </div>
+                    <div class="item-actions">
+                        <button class="btn btn--outline btn--sm" onclick="app.toggleRequestComments(${request.id})">留言 (${(request.comments || []).length})</button>
+                        ${request.status === 'pending' ? `
+                            <button class="btn btn--outline btn--sm" onclick="app.cancelRequest(${request.id})">取消申請</button>
+                            <button class="btn btn--primary btn--sm" onclick="app.openEditRequestModal(${request.id})">修改</button>
+                        ` : ''}
+                    </div>
+                    <div id="requestComments${request.id}" class="request-comments hidden"></div>
                 </div>
             `;
         }).join('');
     }
 
+    // List the changes of each revision, e.g. "#1 數量 5 → 3、說明 ..."
+    formatRevisions(revisions) {
+        const fieldText = {
+            requestedQuantity: '數量', targetUserId: '接收人', reasonCategory: '原因類別', serials: '序號', purpose: '說明'
+        };
+        const valueText = (field, value) => {
+            if (value === null || value === undefined) return '無';
+            if (field === 'targetUserId') {
+                const user = this.data.users.find(u => u.id === value);
+                return user ? user.fullName : `#${value}`;
+            }
+            if (field === 'reasonCategory') return this.getWriteoffReasonText(value);
+            if (field === 'serials') return value.join(', ');
+            return value;
+        };
+
+        return revisions.map(revision => `
+            <div class="form-help">#${revision.revision} ${new Date(revision.revisedAt).toLocaleString('zh-TW')}：${
+                Object.entries(revision.changes).map(([field, change]) =>
+                    `${fieldText[field] || field} ${valueText(field, change.from)} → ${valueText(field, change.to)}`
+                ).join('、')
+            }</div>
+        `).join('');
+    }
+
+    // Open the edit form for one of the current employee's pending requests
+    openEditRequestModal(requestId) {
+        const request = (this.data.myRequests || []).find(r => r.id === requestId);
+        const modal = document.getElementById('editRequestModal');
+        if (!request || !modal) return;
+
+        const isReversal = request.requestType === 'reversal';
+        const toggle = (id, visible) => document.getElementById(id).classList.toggle('hidden', !visible);
+        toggle('editRequestQuantityGroup', !isReversal);
+        toggle('editRequestTargetGroup', request.requestType === 'transfer');
+        toggle('editRequestReasonGroup', request.requestType === 'writeoff');
+        toggle('editRequestSerialsGroup', Boolean(request.serials));
+
+        document.getElementById('editRequestSummary').textContent =
+            `${this.getRequestTypeText(request.requestType)}申請 - ${request.gift ? `${request.gift.giftCode} ${request.gift.giftName}` : ''}`;
+        document.getElementById('editRequestQuantity').value = request.requestedQuantity;
+        document.getElementById('editRequestTarget').innerHTML = document.getElementById('transferTarget').innerHTML;
+        document.getElementById('editRequestTarget').value = request.targetUserId || '';
+        document.getElementById('editRequestReason').value = request.reasonCategory || 'damaged';
+        document.getElementById('editRequestSerials').value = (request.serials || []).join(', ');
+        document.getElementById('editRequestPurpose').value = request.purpose;
+
+        modal.dataset.requestId = requestId;
+        modal.classList.remove('hidden');
+    }
+
+    // Close the edit request modal
+    closeEditRequestModal() {
+        const modal = document.getElementById('editRequestModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    // Save the edited request; the server only applies fields editable for its type
+    async handleEditRequest(e) {
+        e.preventDefault();
+
+        const modal = document.getElementById('editRequestModal');
+        const requestId = parseInt(modal.dataset.requestId);
+        const request = (this.data.myRequests || []).find(r => r.id === requestId);
+        if (!request) return;
+
+        const body = { purpose: document.getElementById('editRequestPurpose').value.trim() };
+        if (request.requestType !== 'reversal') {
+            body.requestedQuantity = parseInt(document.getElementById('editRequestQuantity').value);
+        }
+        if (request.requestType === 'transfer') {
+            body.targetUserId = parseInt(document.getElementById('editRequestTarget').value);
+        }
+        if (request.requestType === 'writeoff') {
+            body.reasonCategory = document.getElementById('editRequestReason').value;
+        }
+        if (request.serials) {
+            body.serials = this.parseSerials(document.getElementById('editRequestSerials').value);
+        }
+
+        try {
+            const response = await this.apiCall(`/api/requests/${requestId}`, {
+                method: 'PUT',
+                body: JSON.stringify(body)
+            });
+            if (response.success) {
+                this.closeEditRequestModal();
+                this.showSuccess(response.message);
+                await this.loadHistory();
+            } else {
+                this.showError(response.message || '修改失敗');
+            }
+        } catch (error) {
+            console.error('Edit request error:', error);
+            this.showError('修改失敗：' + error.message);
+        }
+    }
+
+    // Withdraw one of the current employee's pending requests
+    async cancelRequest(requestId) {
+        if (!confirm('確定要取消此申請嗎？')) return;
+
+        try {
+            const response = await this.apiCall(`/api/requests/${requestId}/cancel`, { method: 'PUT' });
+            if (response.success) {
+                this.showSuccess(response.message);
+                await this.loadHistory();
+            } else {
+                this.showError(response.message || '取消失敗');
+            }
+        } catch (error) {
+            console.error('Cancel request error:', error);
+            this.showError('取消失敗：' + error.message);
+        }
+    }
+
+    // Get request type text
+    getRequestTypeText(requestType) {
+        const typeMap = {
+            'increase': '增發',
+            'transfer': '轉移',
+            'reversal': '撤銷送出',
+            'writeoff': '報廢'
+        };
+        return typeMap[requestType] || requestType;
+    }
+
+    // Get write-off reason category text
+    getWriteoffReasonText(reasonCategory) {
+        const reasonMap = {
+            'damaged': '損壞',
+            'lost': '遺失',
+            'stolen': '失竊',
+            'other': '其他'
+        };
+        return reasonMap[reasonCategory] || reasonCategory;
+    }
+
     // Get status text
     getStatusText(status) {
         const statusMap = {
             'pending': '待審批',
             'approved': '已核准',
-            'rejected': '已駁回'
+            'rejected': '已駁回',
+            'awaiting_receipt': '待簽收',
+            'disputed': '簽收爭議',
+            'returned': '已退回',
+            'cancelled': '已取消'
         };
         return statusMap[status] || status;
     }
@@ -3548,6 +6978,9 @@ Stores: ${state.stores}`;
         // Load data for the view
         if (viewName === 'inventory') {
             await this.loadInventory();
+        } else if (viewName === 'distribution') {
+            this.renderDistributionCart();
+            this.loadRecentSends();
         } else if (viewName === 'history') {
             this.loadHistory();
         } else if (viewName === 'dashboard') {
@@ -3586,6 +7019,7 @@ Stores: ${state.stores}`;
         this.stopPeriodicDataRefresh();
         
         this.currentUser = null;
+        this.distributionCart = [];
         localStorage.removeItem('token');
         this.showScreen('login');
         this.resetAllForms();
@@ -3761,6 +7195,7 @@ Stores: ${state.stores}`;
         const employeeId = document.getElementById('newEmployeeId').value.trim();
         const storeId = parseInt(document.getElementById('newStoreId').value);
         const role = document.getElementById('newRole').value;
+        const approvalLevel = document.getElementById('newApprovalLevel').value;
 
         if (!username || !password || !fullName || !employeeId || !storeId || !role) {
             this.showError('請填寫所有必填欄位');
@@ -3778,7 +7213,8 @@ Stores: ${state.stores}`;
                     fullName,
                     employeeId,
                     storeId,
-                    role
+                    role,
+                    approvalLevel
                 })
             });
 
@@ -3837,6 +7273,7 @@ Stores: ${state.stores}`;
         storeIdInput.value = employee.storeId;
         roleInput.value = employee.role;
         statusInput.value = employee.status;
+        document.getElementById('editApprovalLevel').value = employee.approvalLevel || 'store';
 
         modal.classList.remove('hidden');
     }
@@ -3859,6 +7296,7 @@ Stores: ${state.stores}`;
         const storeId = parseInt(document.getElementById('editStoreId').value);
         const role = document.getElementById('editRole').value;
         const status = document.getElementById('editStatus').value;
+        const approvalLevel = document.getElementById('editApprovalLevel').value;
 
         if (!userId || !username || !fullName || !employeeId || !storeId || !role || !status) {
             this.showError('請填寫所有必填欄位');
@@ -3877,7 +7315,8 @@ Stores: ${state.stores}`;
                     employeeId,
                     storeId,
                     role,
-                    status
+                    status,
+                    approvalLevel
                 })
             });
 
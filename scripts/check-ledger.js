@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// 帳務一致性檢查命令列工具
+//
+// 用法: node scripts/check-ledger.js [--repair] [--json]
+//   --repair  以 adjust 交易補齊差額並修正 nextIds (建議先停止伺服器)
+//   --json    以 JSON 格式輸出結果
+const storage = require('../storage');
+const { checkLedger, repairLedger } = require('../lib/ledgerCheck');
+
+const ISSUE_LABELS = {
+    mismatchedBalances: '庫存與交易合計不符',
+    orphanedInventory: '孤立庫存 (使用者、門店或贈品不存在)',
+    negativeQuantities: '負數庫存',
+    danglingTargets: '申請的接收人不存在',
+    staleCounters: 'nextIds 計數器落後'
+};
+
+async function main() {
+    const args = process.argv.slice(2);
+    const repair = args.includes('--repair');
+    const asJson = args.includes('--json');
+
+    const store = storage.createStore();
+    await store.init();
+
+    try {
+        const data = await store.load();
+        if (!data) {
+            throw new Error(`找不到資料: ${store.describe()}`);
+        }
+
+        let repairs = [];
+        if (repair) {
+            repairs = repairLedger(data, null);
+            if (repairs.length > 0) {
+                await store.save(data);
+            }
+        }
+
+        const result = checkLedger(data);
+
+        if (asJson) {
+            console.log(JSON.stringify({ repairs, ...result }, null, 2));
+        } else {
+            printReport(result, repair ? repairs : null);
+        }
+
+        process.exitCode = result.issueCount > 0 ? 1 : 0;
+    } finally {
+        await store.close();
+    }
+}
+
+function printReport(result, repairs) {
+    if (repairs) {
+        console.log(`🔧 已修復 ${repairs.length} 筆`);
+        repairs.forEach(item => console.log('   ', JSON.stringify(item)));
+    }
+
+    if (result.issueCount === 0) {
+        console.log('✅ 帳務一致，未發現問題');
+        return;
+    }
+
+    console.log(`⚠️  發現 ${result.issueCount} 筆問題`);
+    Object.entries(result.issues).forEach(([type, list]) => {
+        if (list.length === 0) return;
+        console.log(`\n${ISSUE_LABELS[type]} (${list.length})`);
+        list.forEach(item => console.log('   ', JSON.stringify(item)));
+    });
+}
+
+main().catch(error => {
+    console.error('❌ 檢查失敗:', error.message);
+    process.exit(2);
+});
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// 一次性資料遷移：將 giftSystemData.json 匯入 SQLite 資料庫
+//
+// 用法: node scripts/migrate-json-to-sqlite.js [來源 JSON] [目標資料庫] [--force]
+//   --force  目標資料庫已有資料時先清空再匯入
+const fs = require('fs');
+const storage = require('../storage');
+const migrations = require('../storage/migrations');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const force = args.includes('--force');
+    const [sourceFile = storage.DATA_FILE, targetFile = storage.SQLITE_FILE] = args.filter(arg => !arg.startsWith('--'));
+
+    if (!fs.existsSync(sourceFile)) {
+        throw new Error(`找不到來源檔案: ${sourceFile}`);
+    }
+
+    const source = new storage.JsonStore(sourceFile);
+    const data = await source.load();
+
+    // 舊版資料先在記憶體中升級到最新結構，來源檔案不會被修改
+    const upgraded = migrations.upgradeData(data);
+    if (upgraded.length > 0) {
+        console.log(`📐 來源資料已升級至 v${data.schemaVersion}`);
+    }
+
+    const missing = storage.COLLECTIONS.filter(name => !Array.isArray(data[name]));
+    if (missing.length > 0) {
+        throw new Error(`來源資料缺少集合: ${missing.join(', ')}`);
+    }
+
+    const target = new storage.SqliteStore(targetFile);
+    await target.init();
+
+    try {
+        const existing = await target.load();
+        if (existing) {
+            if (!force) {
+                throw new Error(`目標資料庫已有資料: ${targetFile} (使用 --force 覆寫)`);
+            }
+            console.log('⚠️  清空目標資料庫既有資料');
+            await target.clear();
+        }
+
+        await target.save(data);
+
+        // 讀回比對，確認每個集合筆數一致
+        const imported = await target.load();
+        for (const name of storage.COLLECTIONS) {
+            const expected = data[name].length;
+            const actual = imported[name].length;
+            if (expected !== actual) {
+                throw new Error(`集合 ${name} 筆數不符: 來源 ${expected}，匯入 ${actual}`);
+            }
+            console.log(`  ${name}: ${actual} 筆`);
+        }
+    } finally {
+        await target.close();
+    }
+
+    console.log(`✅ 已將 ${sourceFile} 匯入 ${targetFile}`);
+    console.log('   設定 STORAGE_BACKEND=sqlite 後重新啟動伺服器即可使用 SQLite 後端');
+}
+
+main().catch(error => {
+    console.error('❌ 遷移失敗:', error.message);
+    process.exit(1);
+});
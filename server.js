@@ -1,25 +1,63 @@
 // 完整贈品管理系統後端伺服器
 const express = require('express');
 const fs = require('fs');
-const fsPromises = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const ExcelJS = require('exceljs');
+const multer = require('multer');
+const storage = require('./storage');
+const { Journal, takeQueuedEvents, queueJournalEvent } = require('./storage/journal');
+const { SnapshotManager, diffData } = require('./storage/snapshots');
+const migrations = require('./storage/migrations');
+const inventoryService = require('./lib/inventory');
+const lotService = require('./lib/lots');
+const serialService = require('./lib/serials');
+const thresholdService = require('./lib/thresholds');
+const purchasing = require('./lib/purchasing');
+const costing = require('./lib/costing');
+const stocktakes = require('./lib/stocktakes');
+const recipients = require('./lib/recipients');
+const distributions = require('./lib/distributions');
+const returns = require('./lib/returns');
+const writeoffs = require('./lib/writeoffs');
+const approvals = require('./lib/approvals');
+const receipts = require('./lib/receipts');
+const comments = require('./lib/comments');
+const { checkLedger, repairLedger } = require('./lib/ledgerCheck');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const BASE_PATH = process.env.BASE_PATH || '';
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
-// 資料檔案路徑
-const DATA_DIR = path.join(__dirname, 'data');
-const DATA_FILE = path.join(DATA_DIR, 'giftSystemData.json');
+// 資料檔案路徑與儲存後端
+const DATA_DIR = storage.DATA_DIR;
+const store = storage.createStore();
+const writeQueue = storage.writeQueue;
+const journal = new Journal(storage.JOURNAL_FILE);
+
+// 資料快照：定期保存並在破壞性操作前自動建立 (間隔 0 表示停用定期快照)
+const SNAPSHOT_INTERVAL_MINUTES = parseInt(process.env.SNAPSHOT_INTERVAL_MINUTES || '60');
+const snapshots = new SnapshotManager(storage.SNAPSHOT_DIR, {
+    retentionCount: parseInt(process.env.SNAPSHOT_RETENTION || '30'),
+    retentionDays: parseInt(process.env.SNAPSHOT_RETENTION_DAYS || '0')
+});
+
+// 批號效期：到期前幾天開始在首頁提醒
+const LOT_EXPIRY_WARNING_DAYS = parseInt(process.env.LOT_EXPIRY_WARNING_DAYS || '30');
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 同一客戶在幾天內再次領取相同贈品時標示為重複領取
+const REPEAT_RECIPIENT_DAYS = parseInt(process.env.REPEAT_RECIPIENT_DAYS || '30');
+
+// 員工可在送出後幾分鐘內自行撤銷，逾時需經主管審批
+const SEND_REVERSAL_WINDOW_MINUTES = parseInt(process.env.SEND_REVERSAL_WINDOW_MINUTES || '30');
 
 // 中間件設定
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // 靜態檔案服務 - 支援子路徑
@@ -49,7 +87,8 @@ async function ensureDataDirectory() {
 // 初始化資料
 function getInitialData() {
     const now = new Date().toISOString();
-    return {
+    const data = {
+        schemaVersion: migrations.LATEST_SCHEMA_VERSION,
         users: [
             {
                 id: 1,
@@ -83,6 +122,7 @@ function getInitialData() {
                 employeeId: "M001",
                 storeId: 1,
                 role: "manager",
+                approvalLevel: "head_office",
                 status: "active",
                 createdAt: now,
                 updatedAt: now
@@ -95,7 +135,8 @@ function getInitialData() {
                 storeCode: "TPE001",
                 address: "台北市信義區信義路五段7號",
                 status: "active",
-                createdAt: now
+                createdAt: now,
+                updatedAt: now
             }
         ],
         gifts: [
@@ -106,7 +147,10 @@ function getInitialData() {
                 category: "配件",
                 description: "高質感商務手錶",
                 status: "active",
-                createdAt: now
+                serialized: false,
+                unitCost: 1200,
+                createdAt: now,
+                updatedAt: now
             },
             {
                 id: 2,
@@ -115,7 +159,10 @@ function getInitialData() {
                 category: "食品",
                 description: "精選咖啡豆禮盒",
                 status: "active",
-                createdAt: now
+                serialized: false,
+                unitCost: 350,
+                createdAt: now,
+                updatedAt: now
             },
             {
                 id: 3,
@@ -124,7 +171,10 @@ function getInitialData() {
                 category: "生活用品", 
                 description: "316不鏽鋼保溫杯",
                 status: "active",
-                createdAt: now
+                serialized: false,
+                unitCost: 280,
+                createdAt: now,
+                updatedAt: now
             },
             {
                 id: 4,
@@ -133,7 +183,10 @@ function getInitialData() {
                 category: "電子產品",
                 description: "無線藍牙立體聲耳機",
                 status: "active",
-                createdAt: now
+                serialized: false,
+                unitCost: 900,
+                createdAt: now,
+                updatedAt: now
             },
             {
                 id: 5,
@@ -142,7 +195,10 @@ function getInitialData() {
                 category: "美妝",
                 description: "精選香水三件組",
                 status: "active",
-                createdAt: now
+                serialized: false,
+                unitCost: 650,
+                createdAt: now,
+                updatedAt: now
             }
         ],
         giftInventory: [
@@ -153,6 +209,29 @@ function getInitialData() {
             { id: 5, userId: 2, giftId: 4, quantity: 6, lastUpdated: now },
             { id: 6, userId: 2, giftId: 5, quantity: 4, lastUpdated: now }
         ],
+        storeInventory: [
+            { id: 1, storeId: 1, giftId: 1, quantity: 10, lastUpdated: now },
+            { id: 2, storeId: 1, giftId: 2, quantity: 20, lastUpdated: now },
+            { id: 3, storeId: 1, giftId: 3, quantity: 15, lastUpdated: now }
+        ],
+        transitInventory: [],
+        warehouseInventory: [
+            { id: 1, giftId: 1, quantity: 50, lastUpdated: now },
+            { id: 2, giftId: 2, quantity: 100, lastUpdated: now },
+            { id: 3, giftId: 3, quantity: 80, lastUpdated: now },
+            { id: 4, giftId: 4, quantity: 40, lastUpdated: now },
+            { id: 5, giftId: 5, quantity: 30, lastUpdated: now }
+        ],
+        writeOffInventory: [],
+        pendingReceiptInventory: [],
+        giftSerials: [],
+        stockThresholds: [],
+        approvalPolicies: [],
+        approvalDelegations: [],
+        suppliers: [],
+        purchaseOrders: [],
+        stocktakes: [],
+        distributions: [],
         giftRequests: [
             {
                 id: 1,
@@ -163,6 +242,7 @@ function getInitialData() {
                 approvedQuantity: null,
                 targetUserId: null,
                 purpose: "客戶活動需求",
+                systemGenerated: false,
                 status: "pending",
                 approverId: null,
                 rejectionReason: null,
@@ -178,6 +258,7 @@ function getInitialData() {
                 approvedQuantity: null,
                 targetUserId: 1,
                 purpose: "門店調配需求",
+                systemGenerated: false,
                 status: "pending",
                 approverId: null,
                 rejectionReason: null,
@@ -185,39 +266,83 @@ function getInitialData() {
                 approvedAt: null
             }
         ],
+        storeTransfers: [],
         giftTransactions: [],
         nextIds: {
             users: 4,
             stores: 2,
             gifts: 6,
             giftInventory: 7,
+            storeInventory: 4,
+            transitInventory: 1,
+            warehouseInventory: 6,
+            writeOffInventory: 1,
+            pendingReceiptInventory: 1,
+            giftSerials: 1,
+            stockThresholds: 1,
+            approvalPolicies: 1,
+            approvalDelegations: 1,
+            suppliers: 1,
+            purchaseOrders: 1,
+            stocktakes: 1,
+            distributions: 1,
             giftRequests: 3,
+            storeTransfers: 1,
             giftTransactions: 1
         }
     };
+    
+    // 範例申請依審批政策建立審批關卡
+    data.giftRequests.forEach(request => {
+        request.approvalSteps = approvals.buildSteps(data, request);
+    });
+    
+    // 範例庫存以期初調整交易入帳，全新安裝的帳務檢查才會一致
+    inventoryService.allHoldings(data).forEach(holding => {
+        inventoryService.recordTransaction(data, {
+            holderType: holding.holderType,
+            holderId: holding.holderId,
+            userId: holding.holderId,
+            giftId: holding.giftId,
+            transactionType: 'adjust',
+            quantity: holding.quantity,
+            reason: '期初庫存',
+            createdBy: 3,
+            createdAt: now
+        });
+    });
+    return data;
 }
 
 // 讀取資料
 async function readData() {
-    try {
-        console.log('Reading data from file:', DATA_FILE);
-        const data = await fsPromises.readFile(DATA_FILE, 'utf8');
-        const parsedData = JSON.parse(data);
-        console.log('Data loaded successfully, gifts count:', parsedData.gifts ? parsedData.gifts.length : 'undefined');
-        return parsedData;
-    } catch (error) {
+    console.log(`Reading data from ${store.name} store:`, store.describe());
+    const parsedData = await store.load();
+    
+    // 只有資料不存在時才建立初始資料；讀取失敗必須回報錯誤，不可覆寫既有資料
+    if (!parsedData) {
         console.log('初次啟動，建立初始資料...');
         const initialData = getInitialData();
         await writeData(initialData);
         return initialData;
     }
+    
+    console.log('Data loaded successfully, gifts count:', parsedData.gifts ? parsedData.gifts.length : 'undefined');
+    return parsedData;
 }
 
 // 寫入資料
 async function writeData(data) {
     try {
-        console.log('Writing data to file:', DATA_FILE);
-        await fsPromises.writeFile(DATA_FILE, JSON.stringify(data, null, 2), 'utf8');
+        console.log(`Writing data to ${store.name} store:`, store.describe());
+        
+        // 事件日誌為庫存的最終依據，先寫日誌再寫資料
+        const events = takeQueuedEvents(data);
+        if (events.length > 0) {
+            await journal.append(events);
+        }
+        
+        await store.save(data);
         console.log('Data written successfully');
     } catch (error) {
         console.error('Error writing data:', error);
@@ -225,6 +350,55 @@ async function writeData(data) {
     }
 }
 
+// 執行尚未套用的資料結構遷移 (須在開始接受請求前完成)
+async function migrateData() {
+    await writeQueue.run(async () => {
+        const data = await readData();
+        const currentVersion = migrations.getSchemaVersion(data);
+        
+        if (currentVersion > migrations.LATEST_SCHEMA_VERSION) {
+            throw new Error(`資料結構版本 v${currentVersion} 比程式支援的 v${migrations.LATEST_SCHEMA_VERSION} 新，請更新程式`);
+        }
+        
+        const applied = await migrations.runMigrations(data, {
+            backupDir: path.join(DATA_DIR, 'backups'),
+            save: writeData
+        });
+        
+        if (applied.length === 0) {
+            console.log(`📐 資料結構版本: v${currentVersion}`);
+        }
+    });
+}
+
+// 事件日誌為空時，將既有庫存寫入期初餘額，作為日後重播的起點
+async function initializeJournal() {
+    await journal.init();
+    if (!journal.isEmpty()) return;
+    
+    await writeQueue.run(async () => {
+        const data = await readData();
+        const events = inventoryService.openingBalanceEvents(data);
+        await journal.append(events);
+        console.log(`📒 事件日誌已建立，寫入 ${events.length} 筆期初餘額`);
+    });
+}
+
+// 定期建立資料快照；在寫入佇列中執行，確保快照不會包含寫到一半的資料
+function scheduleSnapshots() {
+    if (!(SNAPSHOT_INTERVAL_MINUTES > 0)) return;
+    
+    const timer = setInterval(() => {
+        writeQueue.run(async () => {
+            const snapshot = await snapshots.create(await readData(), 'scheduled');
+            console.log(`📸 已建立定期快照: ${snapshot.id}`);
+        }).catch(error => {
+            console.error('Scheduled snapshot error:', error);
+        });
+    }, SNAPSHOT_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+}
+
 // JWT 中間件
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
@@ -253,6 +427,33 @@ function requireRole(roles) {
     };
 }
 
+// 審批權限檢查中間件 - 主管，或代理期間內受託代理審批的使用者
+async function requireApprover(req, res, next) {
+    if (req.user.role === 'manager') {
+        return next();
+    }
+    try {
+        const data = await readData();
+        if (approvals.activeDelegations(data, req.user.id).length === 0) {
+            return res.status(403).json({ success: false, message: '權限不足' });
+        }
+        next();
+    } catch (error) {
+        console.error('Check approver error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+}
+
+// 寫入序列化中間件 - 異動請求依序取得寫入權，直到回應結束才釋放，
+// 避免兩個請求讀到同一份資料後互相覆蓋
+function serializeWrites(req, res, next) {
+    writeQueue.acquire().then(release => {
+        res.on('finish', release);
+        res.on('close', release);
+        next();
+    });
+}
+
 // =============================================================================
 // 認證 API
 // =============================================================================
@@ -320,7 +521,10 @@ app.get(`${BASE_PATH}/api/inventory/my`, authenticateToken, async (req, res) =>
             .filter(inv => inv.userId === req.user.id)
             .map(inv => {
                 const gift = data.gifts.find(g => g.id === inv.giftId);
-                return { ...inv, gift };
+                const serials = gift && gift.serialized
+                    ? serialService.heldSerials(data, 'user', req.user.id, gift.id).map(serial => serial.serialNumber)
+                    : [];
+                return { ...inv, gift, serials };
             })
             .filter(inv => inv.gift && inv.gift.status === 'active');
             
@@ -354,6 +558,17 @@ app.get(`${BASE_PATH}/api/inventory/all`, authenticateToken, requireRole(['manag
             inv.gift.status === 'active'
         );
         
+        // 門店庫存 (門店自有，不隨員工調動)
+        let storeInventory = data.storeInventory.map(item => {
+            const store = data.stores.find(s => s.id === item.storeId);
+            const gift = data.gifts.find(g => g.id === item.giftId);
+            return { ...item, store, gift };
+        }).filter(item => 
+            item.store && 
+            item.gift && 
+            item.gift.status === 'active'
+        );
+        
         // 搜尋過濾
         if (search) {
             const searchLower = search.toLowerCase();
@@ -363,58 +578,239 @@ app.get(`${BASE_PATH}/api/inventory/all`, authenticateToken, requireRole(['manag
                 inv.gift.giftName.toLowerCase().includes(searchLower) ||
                 inv.gift.giftCode.toLowerCase().includes(searchLower)
             );
+            storeInventory = storeInventory.filter(item => 
+                item.store.storeName.toLowerCase().includes(searchLower) ||
+                item.store.storeCode.toLowerCase().includes(searchLower) ||
+                item.gift.giftName.toLowerCase().includes(searchLower) ||
+                item.gift.giftCode.toLowerCase().includes(searchLower)
+            );
         }
         
         // 門店過濾
         if (storeId) {
             inventory = inventory.filter(inv => inv.user.storeId == storeId);
+            storeInventory = storeInventory.filter(item => item.storeId == storeId);
         }
         
-        res.json(inventory);
+        // 在途庫存 (已出貨、尚未收貨的門店調撥)
+        let inTransit = data.transitInventory
+            .filter(item => item.quantity !== 0)
+            .map(item => describeTransfer(data, {
+                ...data.storeTransfers.find(t => t.id === item.transferId),
+                inTransitQuantity: item.quantity
+            }))
+            .filter(item => item.gift && item.fromStore && item.toStore);
+        if (storeId) {
+            inTransit = inTransit.filter(item => item.fromStoreId == storeId || item.toStoreId == storeId);
+        }
+        
+        res.json({ employees: inventory, stores: storeInventory, inTransit });
     } catch (error) {
         console.error('Get all inventory error:', error);
         res.status(500).json({ success: false, message: '伺服器錯誤' });
     }
 });
 
-// 送出贈品
-app.post(`${BASE_PATH}/api/inventory/send`, authenticateToken, async (req, res) => {
+// 取得所屬門店的庫存
+app.get(`${BASE_PATH}/api/inventory/store`, authenticateToken, async (req, res) => {
+    try {
+        const data = await readData();
+        const user = data.users.find(u => u.id === req.user.id);
+        const store = user ? data.stores.find(s => s.id === user.storeId) : null;
+        
+        if (!store) {
+            return res.status(404).json({ success: false, message: '尚未設定所屬門店' });
+        }
+        
+        const inventory = data.storeInventory
+            .filter(item => item.storeId === store.id)
+            .map(item => {
+                const gift = data.gifts.find(g => g.id === item.giftId);
+                return { ...item, gift };
+            })
+            .filter(item => item.gift && item.gift.status === 'active');
+            
+        res.json({ store, inventory });
+    } catch (error) {
+        console.error('Get store inventory error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 門店領用 (draw) 與歸還 (return)：在員工與所屬門店之間移動庫存
+app.post(`${BASE_PATH}/api/inventory/store/:action`, authenticateToken, serializeWrites, async (req, res) => {
     try {
+        const { action } = req.params;
         const { giftId, quantity, reason } = req.body;
+        const moveQuantity = parseInt(quantity);
+        
+        if (!['draw', 'return'].includes(action)) {
+            return res.status(404).json({ success: false, message: 'API 路徑不存在' });
+        }
+        if (!giftId || !Number.isInteger(moveQuantity) || moveQuantity <= 0) {
+            return res.status(400).json({ success: false, message: '請選擇贈品並輸入正確數量' });
+        }
+        
         const data = await readData();
+        const user = data.users.find(u => u.id === req.user.id);
+        const store = user ? data.stores.find(s => s.id === user.storeId) : null;
+        if (!store) {
+            return res.status(400).json({ success: false, message: '尚未設定所屬門店' });
+        }
         
-        // 檢查庫存
-        const invIndex = data.giftInventory.findIndex(inv => 
-            inv.userId === req.user.id && inv.giftId === giftId
-        );
+        const gift = data.gifts.find(g => g.id === parseInt(giftId));
+        if (!gift) {
+            return res.status(404).json({ success: false, message: '找不到贈品' });
+        }
         
-        if (invIndex === -1 || data.giftInventory[invIndex].quantity < quantity) {
+        const drawing = action === 'draw';
+        const available = drawing
+            ? inventoryService.onHand(data, 'store', store.id, gift.id)
+            : inventoryService.onHand(data, 'user', user.id, gift.id);
+        if (available < moveQuantity) {
             return res.status(400).json({ 
                 success: false, 
-                message: '庫存不足' 
+                message: drawing ? `門店庫存不足 (現有 ${available})` : `個人庫存不足 (現有 ${available})` 
             });
         }
         
-        // 更新庫存
-        data.giftInventory[invIndex].quantity -= quantity;
-        data.giftInventory[invIndex].lastUpdated = new Date().toISOString();
+        const now = new Date().toISOString();
+        const transactionType = drawing ? 'store_draw' : 'store_return';
+        const defaultReason = drawing ? `自 ${store.storeName} 領用` : `歸還 ${store.storeName}`;
+        
+        const storeSide = { holderType: 'store', holderId: store.id, transactionType, referenceUserId: user.id };
+        const userSide = { userId: user.id, transactionType };
+        inventoryService.moveStock(data, {
+            giftId: gift.id,
+            quantity: moveQuantity,
+            reason: reason || defaultReason,
+            createdBy: req.user.id,
+            createdAt: now
+        }, drawing ? storeSide : userSide, drawing ? userSide : storeSide);
+        
+        await writeData(data);
+        res.json({ 
+            success: true, 
+            storeQuantity: inventoryService.onHand(data, 'store', store.id, gift.id),
+            userQuantity: inventoryService.onHand(data, 'user', user.id, gift.id),
+            message: drawing ? '領用成功' : '歸還成功' 
+        });
+    } catch (error) {
+        console.error('Store inventory movement error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 送出贈品：可一次送出多項 (lines)，同一次送出歸為一張送出單
+app.post(`${BASE_PATH}/api/inventory/send`, authenticateToken, serializeWrites, async (req, res) => {
+    try {
+        const { reason } = req.body;
+        const { lines, error } = distributions.normalizeLines(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        
+        const data = await readData();
+        
+        // 逐項檢查庫存與序號，任一項不符時整張送出單都不送出
+        for (const line of lines) {
+            const gift = data.gifts.find(g => g.id === line.giftId);
+            if (!gift) {
+                return res.status(404).json({ success: false, message: '找不到贈品' });
+            }
+            
+            // 過期批號不可送出，需先以過期報廢處理
+            const inventory = inventoryService.findInventory(data, req.user.id, line.giftId);
+            const expired = lotService.expiredQuantity(inventory);
+            if (!inventory || inventory.quantity - expired < line.quantity) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: expired > 0 ? `${gift.giftName} 庫存不足 (其中 ${expired} 件已過期，需先報廢)` : `${gift.giftName} 庫存不足` 
+                });
+            }
+            
+            // 序號管理的贈品須指定送出的序號
+            line.serials = serialService.normalizeSerials(line.serials);
+            const serialError = requireSerials(data, line.giftId, line.serials, () =>
+                serialService.checkOutgoing(data, 'user', req.user.id, line.giftId, line.serials, line.quantity));
+            if (serialError) {
+                return res.status(400).json({ success: false, message: `${gift.giftName}：${serialError}` });
+            }
+        }
+        
+        // 領取人資料 (選填)；提醒期間內同一客戶再次領取相同贈品時標示為重複領取
+        const recipient = recipients.normalizeRecipient(req.body.recipient);
+        if (recipient) {
+            const previous = lines.flatMap(line =>
+                recipients.previousSends(data, line.giftId, recipient, REPEAT_RECIPIENT_DAYS));
+            recipient.repeat = previous.length > 0;
+            recipient.previousTransactionIds = previous.map(transaction => transaction.id);
+        }
         
-        // 記錄交易
-        data.giftTransactions.push({
-            id: data.nextIds.giftTransactions++,
+        const now = new Date().toISOString();
+        const id = data.nextIds.distributions++;
+        const distribution = {
+            id,
+            documentNumber: distributions.documentNumberFor(id, now),
             userId: req.user.id,
-            giftId: giftId,
-            transactionType: 'send',
-            quantity: -quantity,
-            referenceUserId: null,
+            recipient,
             reason: reason || '當日送出',
-            status: 'completed',
-            createdBy: req.user.id,
-            createdAt: new Date().toISOString()
+            lines: [],
+            createdAt: now
+        };
+        
+        // 扣減庫存並記錄交易 (有批號時先到期先出)
+        const transactions = lines.map(line => {
+            const transaction = inventoryService.postMovement(data, {
+                userId: req.user.id,
+                giftId: line.giftId,
+                transactionType: 'send',
+                quantity: -line.quantity,
+                serials: line.serials,
+                recipient: recipient,
+                reference: { type: 'distribution', id },
+                reason: distribution.reason,
+                createdBy: req.user.id,
+                createdAt: now
+            });
+            distribution.lines.push({
+                giftId: line.giftId,
+                quantity: line.quantity,
+                serials: transaction.serials,
+                transactionId: transaction.id
+            });
+            return transaction;
         });
+        data.distributions.push(distribution);
+        
+        // 低於安全庫存下限時自動建立補貨申請
+        const replenishmentRequests = lines
+            .map(line => thresholdService.createReplenishmentRequest(data, req.user.id, line.giftId, now))
+            .filter(Boolean);
+        
+        const messages = [`送出單 ${distribution.documentNumber} 已登記`];
+        if (recipient && recipient.repeat) {
+            messages.push(`此客戶 ${REPEAT_RECIPIENT_DAYS} 天內已領取過相同贈品 ${recipient.previousTransactionIds.length} 次`);
+        }
+        if (replenishmentRequests.length > 0) {
+            messages.push(`${replenishmentRequests.length} 項贈品庫存低於下限，已自動申請補貨`);
+        }
         
         await writeData(data);
-        res.json({ success: true, message: '贈品送出成功' });
+        res.json({
+            success: true,
+            distribution,
+            transactions: transactions.map(transaction => ({
+                id: transaction.id,
+                giftId: transaction.giftId,
+                lots: transaction.lots,
+                serials: transaction.serials,
+                costOfGoods: transaction.costOfGoods
+            })),
+            recipient,
+            replenishmentRequests,
+            message: messages.join('，')
+        });
         
     } catch (error) {
         console.error('Send gift error:', error);
@@ -422,47 +818,186 @@ app.post(`${BASE_PATH}/api/inventory/send`, authenticateToken, async (req, res)
     }
 });
 
-// 手動調整庫存 (主管)
-app.put(`${BASE_PATH}/api/inventory/:userId/:giftId`, authenticateToken, requireRole(['manager']), async (req, res) => {
+// 客戶退回：可對應原送出單 (distributionId)；可再送出的退回員工庫存，損壞品放入門店待報廢區
+app.post(`${BASE_PATH}/api/inventory/returns`, authenticateToken, serializeWrites, async (req, res) => {
     try {
-        const userId = parseInt(req.params.userId);
-        const giftId = parseInt(req.params.giftId);
-        const { quantity, reason } = req.body;
+        const { condition, reason } = req.body;
+        const giftId = parseInt(req.body.giftId);
+        const quantity = parseInt(req.body.quantity);
+        const distributionId = req.body.distributionId ? parseInt(req.body.distributionId) : null;
+        
+        if (!giftId || !Number.isInteger(quantity) || quantity <= 0) {
+            return res.status(400).json({ success: false, message: '請選擇贈品並輸入正確數量' });
+        }
+        if (!returns.RETURN_CONDITIONS[condition]) {
+            return res.status(400).json({ success: false, message: '請選擇退回品狀況' });
+        }
+        
         const data = await readData();
+        const gift = data.gifts.find(g => g.id === giftId);
+        if (!gift) {
+            return res.status(404).json({ success: false, message: '找不到贈品' });
+        }
         
-        // 尋找或建立庫存記錄
-        let invIndex = data.giftInventory.findIndex(inv => 
-            inv.userId === userId && inv.giftId === giftId
-        );
+        // 對應原送出單時，退回數量不得超過該項尚未退回的送出數量
+        let distribution = null;
+        let line = null;
+        let original = null;
+        if (distributionId) {
+            distribution = data.distributions.find(d => d.id === distributionId);
+            if (!distribution || (req.user.role !== 'manager' && distribution.userId !== req.user.id)) {
+                return res.status(404).json({ success: false, message: '找不到送出單' });
+            }
+            line = distribution.lines.find(l => l.giftId === giftId);
+            if (!line) {
+                return res.status(400).json({ success: false, message: '送出單中沒有此贈品' });
+            }
+            original = data.giftTransactions.find(t => t.id === line.transactionId);
+            if (original && original.reversedBy) {
+                return res.status(400).json({ success: false, message: '此送出已撤銷，不能再登錄退回' });
+            }
+            if (quantity > returns.returnableQuantity(line)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: `退回數量超過可退回數量 (${returns.returnableQuantity(line)})` 
+                });
+            }
+        }
         
-        const oldQuantity = invIndex !== -1 ? data.giftInventory[invIndex].quantity : 0;
+        // 序號管理的贈品須指定退回的序號 (對應送出單時須為原送出的序號)
+        const serials = serialService.normalizeSerials(req.body.serials);
+        const serialError = requireSerials(data, giftId, serials, () =>
+            (line && returns.checkReturnedSerials(line, serials)) ||
+            serialService.checkIncoming(data, giftId, serials, quantity));
+        if (serialError) {
+            return res.status(400).json({ success: false, message: serialError });
+        }
+        
+        // 經手員工：對應送出單時為原送出的員工，否則為登錄者
+        const employeeId = distribution ? distribution.userId : req.user.id;
         const now = new Date().toISOString();
+        const movement = {
+            giftId,
+            transactionType: 'return',
+            quantity,
+            serials,
+            condition,
+            recipient: distribution ? distribution.recipient : recipients.normalizeRecipient(req.body.recipient),
+            costLayers: original ? costing.sliceLayers(original.costLayers, line.returnedQuantity || 0, quantity) : null,
+            reference: distribution ? { type: 'distribution', id: distribution.id } : null,
+            reason: reason || `客戶退回 (${returns.RETURN_CONDITIONS[condition]})`,
+            createdBy: req.user.id,
+            createdAt: now
+        };
         
-        if (invIndex !== -1) {
-            data.giftInventory[invIndex].quantity = quantity;
-            data.giftInventory[invIndex].lastUpdated = now;
-        } else {
-            data.giftInventory.push({
-                id: data.nextIds.giftInventory++,
-                userId: userId,
-                giftId: giftId,
-                quantity: quantity,
-                lastUpdated: now
+        const transaction = condition === 'resellable'
+            ? inventoryService.postMovement(data, { ...movement, userId: employeeId })
+            : inventoryService.postMovement(data, {
+                ...movement,
+                holderType: 'writeoff',
+                holderId: userStoreId(data, employeeId) || null,
+                referenceUserId: employeeId
             });
+        
+        if (line) {
+            line.returnedQuantity = (line.returnedQuantity || 0) + quantity;
+            line.returnTransactionIds = [...(line.returnTransactionIds || []), transaction.id];
+        }
+        
+        await writeData(data);
+        res.json({
+            success: true,
+            transaction,
+            message: condition === 'resellable' ? '退回已登記，贈品已加回庫存' : '退回已登記，損壞品已放入待報廢區'
+        });
+    } catch (error) {
+        console.error('Record return error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 待報廢區的庫存 (客戶退回的損壞品)，依門店列出 (主管)
+app.get(`${BASE_PATH}/api/inventory/writeoff`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const data = await readData();
+        const items = data.writeOffInventory
+            .filter(item => item.quantity > 0)
+            .map(item => ({
+                ...item,
+                storeName: item.storeId ? holderName(data, 'store', item.storeId) : '未指派門店',
+                gift: data.gifts.find(g => g.id === item.giftId) || null
+            }));
+        res.json(items);
+    } catch (error) {
+        console.error('Get write-off inventory error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 報廢處理待報廢區的損壞品，以 dispose 交易扣除並計入損耗報表 (主管)
+app.post(`${BASE_PATH}/api/inventory/writeoff/dispose`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const storeId = req.body.storeId ? parseInt(req.body.storeId) : null;
+        const giftId = parseInt(req.body.giftId);
+        const quantity = parseInt(req.body.quantity);
+        if (!giftId || !Number.isInteger(quantity) || quantity <= 0) {
+            return res.status(400).json({ success: false, message: '請選擇贈品並輸入正確數量' });
+        }
+        
+        const data = await readData();
+        const available = inventoryService.onHand(data, 'writeoff', storeId, giftId);
+        if (available < quantity) {
+            return res.status(400).json({ success: false, message: `待報廢數量不足 (現有 ${available}，需要 ${quantity})` });
+        }
+        
+        const transaction = inventoryService.postMovement(data, {
+            holderType: 'writeoff',
+            holderId: storeId,
+            giftId,
+            transactionType: 'dispose',
+            quantity: -quantity,
+            reason: req.body.reason || '客戶退回損壞品報廢',
+            createdBy: req.user.id
+        });
+        
+        await writeData(data);
+        res.json({ success: true, transaction, message: `已報廢 ${quantity} 件損壞品` });
+    } catch (error) {
+        console.error('Dispose write-off inventory error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 手動調整庫存 (主管)
+app.put(`${BASE_PATH}/api/inventory/:userId/:giftId`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+        const giftId = parseInt(req.params.giftId);
+        const { quantity, reason } = req.body;
+        const data = await readData();
+        
+        // 以差額調整至指定數量，記錄不存在時自動建立
+        const inventory = inventoryService.findInventory(data, userId, giftId);
+        const oldQuantity = inventory ? inventory.quantity : 0;
+        const delta = quantity - oldQuantity;
+        
+        // 序號管理的贈品：增加時登記新序號，減少時指定扣除的序號
+        const serials = serialService.normalizeSerials(req.body.serials);
+        const serialError = delta !== 0 && requireSerials(data, giftId, serials, () => delta > 0
+            ? serialService.checkIncoming(data, giftId, serials, delta)
+            : serialService.checkOutgoing(data, 'user', userId, giftId, serials, -delta));
+        if (serialError) {
+            return res.status(400).json({ success: false, message: serialError });
         }
         
-        // 記錄交易
-        data.giftTransactions.push({
-            id: data.nextIds.giftTransactions++,
+        inventoryService.postMovement(data, {
             userId: userId,
             giftId: giftId,
             transactionType: 'adjust',
-            quantity: quantity - oldQuantity,
-            referenceUserId: null,
+            quantity: delta,
+            serials: serials,
             reason: reason,
-            status: 'completed',
-            createdBy: req.user.id,
-            createdAt: now
+            createdBy: req.user.id
         });
         
         await writeData(data);
@@ -475,7 +1010,7 @@ app.put(`${BASE_PATH}/api/inventory/:userId/:giftId`, authenticateToken, require
 });
 
 // 刪除庫存記錄 (主管)
-app.delete(`${BASE_PATH}/api/inventory/:userId/:giftId`, authenticateToken, requireRole(['manager']), async (req, res) => {
+app.delete(`${BASE_PATH}/api/inventory/:userId/:giftId`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
     try {
         const userId = parseInt(req.params.userId);
         const giftId = parseInt(req.params.giftId);
@@ -483,40 +1018,29 @@ app.delete(`${BASE_PATH}/api/inventory/:userId/:giftId`, authenticateToken, requ
         const data = await readData();
         
         // 尋找庫存記錄
-        const invIndex = data.giftInventory.findIndex(inv => 
-            inv.userId === userId && inv.giftId === giftId
-        );
+        const inventory = inventoryService.findInventory(data, userId, giftId);
         
-        if (invIndex === -1) {
+        if (!inventory) {
             return res.status(404).json({ 
                 success: false, 
                 message: '找不到庫存記錄' 
             });
         }
         
-        // 記錄交易
-        const inventory = data.giftInventory[invIndex];
-        data.giftTransactions.push({
-            id: data.nextIds.giftTransactions++,
-            userId: userId,
-            giftId: giftId,
-            transactionType: 'delete',
-            quantity: -inventory.quantity, // Negative to indicate removal
-            referenceUserId: null,
-            reason: '贈品刪除時自動清理庫存記錄',
-            status: 'completed',
-            createdBy: req.user.id,
-            createdAt: new Date().toISOString()
-        });
-        
-        // 移除庫存記錄
-        data.giftInventory.splice(invIndex, 1);
+        // 記錄交易並移除庫存記錄
+        const deletedInventory = { ...inventory };
+        inventoryService.removeInventory(
+            data,
+            inv => inv.userId === userId && inv.giftId === giftId,
+            '贈品刪除時自動清理庫存記錄',
+            req.user.id
+        );
         
         await writeData(data);
         res.json({ 
             success: true, 
             message: '庫存記錄刪除成功',
-            deletedInventory: inventory
+            deletedInventory
         });
         
     } catch (error) {
@@ -526,60 +1050,2003 @@ app.delete(`${BASE_PATH}/api/inventory/:userId/:giftId`, authenticateToken, requ
 });
 
 // =============================================================================
-// 申請管理 API
+// 總部倉庫 API (主管)
 // =============================================================================
 
-// 提交申請
-app.post(`${BASE_PATH}/api/requests`, authenticateToken, async (req, res) => {
+// 取得各贈品的倉庫現有數量、門店、在途與員工持有數量
+app.get(`${BASE_PATH}/api/warehouse`, authenticateToken, requireRole(['manager']), async (req, res) => {
     try {
-        const { giftId, requestType, requestedQuantity, targetUserId, purpose } = req.body;
         const data = await readData();
-        
-        // 驗證目標使用者 (轉移申請)
-        if (requestType === 'transfer' && targetUserId) {
-            const targetUser = data.users.find(u => u.id === targetUserId && u.status === 'active');
-            if (!targetUser) {
-                return res.status(400).json({ 
-                    success: false, 
-                    message: '目標使用者不存在' 
-                });
-            }
+        const activeUserIds = new Set(data.users.filter(u => u.status === 'active').map(u => u.id));
+        
+        const warehouse = data.gifts.map(gift => {
+            const holding = inventoryService.findHolding(data, 'warehouse', null, gift.id);
+            const warehouseQuantity = holding ? holding.quantity : 0;
+            const staffQuantity = data.giftInventory
+                .filter(inv => inv.giftId === gift.id && activeUserIds.has(inv.userId))
+                .reduce((sum, inv) => sum + inv.quantity, 0);
+            const storeQuantity = data.storeInventory
+                .filter(item => item.giftId === gift.id)
+                .reduce((sum, item) => sum + item.quantity, 0);
+            const transitQuantity = data.transitInventory
+                .filter(item => item.giftId === gift.id)
+                .reduce((sum, item) => sum + item.quantity, 0);
             
-            // 檢查是否有足夠庫存
-            const inventory = data.giftInventory.find(inv => 
-                inv.userId === req.user.id && inv.giftId === giftId
-            );
-            if (!inventory || inventory.quantity < requestedQuantity) {
-                return res.status(400).json({ 
-                    success: false, 
-                    message: '庫存不足，無法轉移' 
-                });
-            }
-        }
-        
-        const newRequest = {
-            id: data.nextIds.giftRequests++,
-            requesterId: req.user.id,
-            giftId: giftId,
-            requestType: requestType,
-            requestedQuantity: requestedQuantity,
-            approvedQuantity: null,
-            targetUserId: targetUserId || null,
-            purpose: purpose,
-            status: 'pending',
-            approverId: null,
-            rejectionReason: null,
-            createdAt: new Date().toISOString(),
-            approvedAt: null
-        };
-        
-        data.giftRequests.push(newRequest);
-        await writeData(data);
-        
-        res.json({ success: true, request: newRequest, message: '申請已提交' });
+            return {
+                gift,
+                warehouseQuantity,
+                storeQuantity,
+                transitQuantity,
+                staffQuantity,
+                totalQuantity: warehouseQuantity + storeQuantity + transitQuantity + staffQuantity,
+                lots: holding && holding.lots ? holding.lots : [],
+                lastUpdated: holding ? holding.lastUpdated : null
+            };
+        });
         
+        res.json(warehouse);
     } catch (error) {
-        console.error('Submit request error:', error);
+        console.error('Get warehouse error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 倉庫進貨
+app.post(`${BASE_PATH}/api/warehouse/receive`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const { giftId, quantity, reason, lotNumber, receivedDate, expiryDate } = req.body;
+        const serials = serialService.normalizeSerials(req.body.serials);
+        const receivedQuantity = parseInt(quantity);
+        const hasUnitCost = req.body.unitCost !== undefined && req.body.unitCost !== null && req.body.unitCost !== '';
+        const unitCost = hasUnitCost ? Number(req.body.unitCost) : null;
+        
+        if (!giftId || !Number.isInteger(receivedQuantity) || receivedQuantity <= 0) {
+            return res.status(400).json({ success: false, message: '請選擇贈品並輸入正確的進貨數量' });
+        }
+        
+        if (hasUnitCost && (!Number.isFinite(unitCost) || unitCost < 0)) {
+            return res.status(400).json({ success: false, message: '單位成本必須是非負數' });
+        }
+        
+        if ((receivedDate && !DATE_PATTERN.test(receivedDate)) || (expiryDate && !DATE_PATTERN.test(expiryDate))) {
+            return res.status(400).json({ success: false, message: '日期格式應為 YYYY-MM-DD' });
+        }
+        
+        if (expiryDate && !lotNumber) {
+            return res.status(400).json({ success: false, message: '填寫有效期限時請一併輸入批號' });
+        }
+        
+        const data = await readData();
+        const gift = data.gifts.find(g => g.id === parseInt(giftId));
+        if (!gift) {
+            return res.status(404).json({ success: false, message: '找不到贈品' });
+        }
+        
+        // 序號管理的贈品進貨時逐件登記序號
+        const serialError = requireSerials(data, gift.id, serials, () =>
+            serialService.checkIncoming(data, gift.id, serials, receivedQuantity));
+        if (serialError) {
+            return res.status(400).json({ success: false, message: serialError });
+        }
+        
+        const transaction = inventoryService.postMovement(data, {
+            holderType: 'warehouse',
+            giftId: gift.id,
+            transactionType: 'purchase',
+            quantity: receivedQuantity,
+            lots: lotNumber ? [{ lotNumber, receivedDate, expiryDate, quantity: receivedQuantity }] : null,
+            serials: serials,
+            unitCost: unitCost ?? gift.unitCost,
+            reason: reason || '總部倉庫進貨',
+            createdBy: req.user.id
+        });
+        
+        await writeData(data);
+        res.json({
+            success: true,
+            transaction,
+            warehouseQuantity: inventoryService.warehouseOnHand(data, gift.id),
+            message: '進貨成功'
+        });
+    } catch (error) {
+        console.error('Receive warehouse stock error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 倉庫撥補門店
+app.post(`${BASE_PATH}/api/warehouse/dispatch`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const { storeId, giftId, quantity, reason } = req.body;
+        const dispatchQuantity = parseInt(quantity);
+        
+        if (!storeId || !giftId || !Number.isInteger(dispatchQuantity) || dispatchQuantity <= 0) {
+            return res.status(400).json({ success: false, message: '請選擇門店、贈品並輸入正確數量' });
+        }
+        
+        const data = await readData();
+        const store = data.stores.find(s => s.id === parseInt(storeId));
+        const gift = data.gifts.find(g => g.id === parseInt(giftId));
+        if (!store || !gift) {
+            return res.status(404).json({ success: false, message: '找不到門店或贈品' });
+        }
+        
+        const warehouseQuantity = inventoryService.warehouseOnHand(data, gift.id);
+        if (warehouseQuantity < dispatchQuantity) {
+            return res.status(400).json({
+                success: false,
+                message: `總部倉庫庫存不足 (現有 ${warehouseQuantity}，需要 ${dispatchQuantity})`
+            });
+        }
+        
+        inventoryService.moveStock(data, {
+            giftId: gift.id,
+            quantity: dispatchQuantity,
+            createdBy: req.user.id
+        }, {
+            holderType: 'warehouse',
+            transactionType: 'issue',
+            reason: reason || `撥補門店: ${store.storeName}`
+        }, {
+            holderType: 'store',
+            holderId: store.id,
+            transactionType: 'receive',
+            reason: reason || '總部倉庫撥補'
+        });
+        
+        await writeData(data);
+        res.json({
+            success: true,
+            warehouseQuantity: inventoryService.warehouseOnHand(data, gift.id),
+            storeQuantity: inventoryService.onHand(data, 'store', store.id, gift.id),
+            message: '撥補成功'
+        });
+    } catch (error) {
+        console.error('Dispatch warehouse stock error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// =============================================================================
+// 供應商與採購單 API (主管)
+// =============================================================================
+
+// 取得供應商列表
+app.get(`${BASE_PATH}/api/suppliers`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const data = await readData();
+        res.json(data.suppliers);
+    } catch (error) {
+        console.error('Get suppliers error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 新增供應商
+app.post(`${BASE_PATH}/api/suppliers`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const { supplierCode, supplierName, contactName, phone, email, status = 'active' } = req.body;
+        
+        if (!supplierCode || !supplierName) {
+            return res.status(400).json({ 
+                success: false, 
+                message: '供應商編號和名稱為必填欄位' 
+            });
+        }
+        
+        const data = await readData();
+        
+        if (data.suppliers.find(s => s.supplierCode === supplierCode)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: '供應商編號已存在' 
+            });
+        }
+        
+        const now = new Date().toISOString();
+        const newSupplier = {
+            id: data.nextIds.suppliers++,
+            supplierCode,
+            supplierName,
+            contactName: contactName || '',
+            phone: phone || '',
+            email: email || '',
+            status,
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        data.suppliers.push(newSupplier);
+        await writeData(data);
+        
+        res.json({ success: true, supplier: newSupplier, message: '供應商新增成功' });
+    } catch (error) {
+        console.error('Create supplier error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 更新供應商
+app.put(`${BASE_PATH}/api/suppliers/:id`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const supplierId = parseInt(req.params.id);
+        const { supplierCode, supplierName, contactName, phone, email, status } = req.body;
+        const data = await readData();
+        
+        const supplier = data.suppliers.find(s => s.id === supplierId);
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: '找不到供應商' });
+        }
+        
+        if (supplierCode && data.suppliers.find(s => s.supplierCode === supplierCode && s.id !== supplierId)) {
+            return res.status(400).json({ success: false, message: '供應商編號已存在' });
+        }
+        
+        if (supplierCode) supplier.supplierCode = supplierCode;
+        if (supplierName) supplier.supplierName = supplierName;
+        if (contactName !== undefined) supplier.contactName = contactName;
+        if (phone !== undefined) supplier.phone = phone;
+        if (email !== undefined) supplier.email = email;
+        if (status !== undefined) supplier.status = status;
+        supplier.updatedAt = new Date().toISOString();
+        
+        await writeData(data);
+        res.json({ success: true, supplier, message: '供應商更新成功' });
+    } catch (error) {
+        console.error('Update supplier error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 附加供應商、贈品與狀態說明
+function describePurchaseOrder(data, order) {
+    return {
+        ...order,
+        statusText: purchasing.PO_STATUS_TEXT[order.status],
+        supplier: data.suppliers.find(s => s.id === order.supplierId) || null,
+        lines: order.lines.map(line => ({
+            ...line,
+            outstandingQuantity: purchasing.outstandingQuantity(line),
+            gift: data.gifts.find(g => g.id === line.giftId) || null
+        })),
+        totalCost: Math.round(order.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0) * 100) / 100
+    };
+}
+
+// 採購單列表 (可依 status 篩選)
+app.get(`${BASE_PATH}/api/purchase-orders`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const data = await readData();
+        const orders = req.query.status
+            ? data.purchaseOrders.filter(order => order.status === req.query.status)
+            : data.purchaseOrders;
+        
+        res.json(orders
+            .map(order => describePurchaseOrder(data, order))
+            .sort((a, b) => b.id - a.id));
+    } catch (error) {
+        console.error('Get purchase orders error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 未結採購報表：尚未收齊的採購明細
+app.get(`${BASE_PATH}/api/purchase-orders/open`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const data = await readData();
+        const lines = purchasing.openLines(data);
+        
+        res.json({
+            lines,
+            outstandingQuantity: lines.reduce((sum, line) => sum + line.outstandingQuantity, 0),
+            outstandingValue: Math.round(lines.reduce((sum, line) => sum + line.outstandingValue, 0) * 100) / 100
+        });
+    } catch (error) {
+        console.error('Get open purchase orders error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 建立採購單
+app.post(`${BASE_PATH}/api/purchase-orders`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const { supplierId, expectedDate, note, lines } = req.body;
+        
+        if (!supplierId || !Array.isArray(lines) || lines.length === 0) {
+            return res.status(400).json({ success: false, message: '請選擇供應商並至少填寫一項採購明細' });
+        }
+        
+        if (expectedDate && !DATE_PATTERN.test(expectedDate)) {
+            return res.status(400).json({ success: false, message: '日期格式應為 YYYY-MM-DD' });
+        }
+        
+        const data = await readData();
+        const supplier = data.suppliers.find(s => s.id === parseInt(supplierId) && s.status === 'active');
+        if (!supplier) {
+            return res.status(404).json({ success: false, message: '找不到供應商' });
+        }
+        
+        const orderLines = [];
+        for (const line of lines) {
+            const giftId = parseInt(line.giftId);
+            const quantity = parseInt(line.quantity);
+            const unitCost = Number(line.unitCost);
+            
+            if (!data.gifts.find(g => g.id === giftId)) {
+                return res.status(404).json({ success: false, message: '找不到贈品' });
+            }
+            if (!Number.isInteger(quantity) || quantity <= 0 || !Number.isFinite(unitCost) || unitCost < 0) {
+                return res.status(400).json({ success: false, message: '採購數量須為正整數，單位成本不可為負數' });
+            }
+            
+            orderLines.push({ lineId: orderLines.length + 1, giftId, quantity, unitCost, receivedQuantity: 0 });
+        }
+        
+        const now = new Date().toISOString();
+        const id = data.nextIds.purchaseOrders++;
+        const order = {
+            id,
+            poNumber: purchasing.poNumberFor(id, now),
+            supplierId: supplier.id,
+            status: 'open',
+            expectedDate: expectedDate || null,
+            note: note || '',
+            lines: orderLines,
+            receipts: [],
+            createdBy: req.user.id,
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        data.purchaseOrders.push(order);
+        await writeData(data);
+        
+        res.json({ success: true, purchaseOrder: describePurchaseOrder(data, order), message: `採購單 ${order.poNumber} 已建立` });
+    } catch (error) {
+        console.error('Create purchase order error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 採購收貨 (可部分收貨)：收貨數量計入總部倉庫並產生 purchase 交易
+app.post(`${BASE_PATH}/api/purchase-orders/:id/receipts`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const orderId = parseInt(req.params.id);
+        const { note } = req.body;
+        const data = await readData();
+        
+        const order = data.purchaseOrders.find(o => o.id === orderId);
+        if (!order) {
+            return res.status(404).json({ success: false, message: '找不到採購單' });
+        }
+        
+        if (!purchasing.isOpen(order)) {
+            return res.status(400).json({ success: false, message: `採購單${purchasing.PO_STATUS_TEXT[order.status]}，無法收貨` });
+        }
+        
+        const receiptLines = (req.body.lines || [])
+            .map(line => ({
+                line: order.lines.find(item => item.lineId === parseInt(line.lineId)),
+                quantity: parseInt(line.quantity),
+                lotNumber: line.lotNumber || null,
+                expiryDate: line.expiryDate || null,
+                serials: serialService.normalizeSerials(line.serials)
+            }))
+            .filter(item => item.quantity > 0);
+        
+        if (receiptLines.length === 0) {
+            return res.status(400).json({ success: false, message: '請至少填寫一項收貨數量' });
+        }
+        
+        // 同一明細只能出現一次，否則每列各自比對未收數量會讓合計超收
+        const lineIds = receiptLines.filter(item => item.line).map(item => item.line.lineId);
+        const repeatedLineId = lineIds.find((lineId, index) => lineIds.indexOf(lineId) !== index);
+        if (repeatedLineId !== undefined) {
+            return res.status(400).json({ success: false, message: `明細 ${repeatedLineId} 重複，請合併為一列` });
+        }
+        
+        // 序號須在整張收貨單內唯一 (不同明細可能是同一贈品)
+        const receivedSerials = new Set();
+        for (const item of receiptLines) {
+            if (!item.line) {
+                return res.status(404).json({ success: false, message: '找不到採購明細' });
+            }
+            
+            const repeatedSerials = item.serials.filter(serialNumber => receivedSerials.has(`${item.line.giftId}:${serialNumber}`));
+            if (repeatedSerials.length > 0) {
+                return res.status(400).json({ success: false, message: `序號重複: ${repeatedSerials.join(', ')}` });
+            }
+            item.serials.forEach(serialNumber => receivedSerials.add(`${item.line.giftId}:${serialNumber}`));
+            
+            const outstanding = purchasing.outstandingQuantity(item.line);
+            if (item.quantity > outstanding) {
+                return res.status(400).json({ success: false, message: `收貨數量超過未收數量 (明細 ${item.line.lineId} 尚未收 ${outstanding})` });
+            }
+            
+            if ((item.expiryDate && !DATE_PATTERN.test(item.expiryDate)) || (item.expiryDate && !item.lotNumber)) {
+                return res.status(400).json({ success: false, message: '有效期限格式應為 YYYY-MM-DD，且需一併輸入批號' });
+            }
+            
+            const serialError = requireSerials(data, item.line.giftId, item.serials, () =>
+                serialService.checkIncoming(data, item.line.giftId, item.serials, item.quantity));
+            if (serialError) {
+                return res.status(400).json({ success: false, message: serialError });
+            }
+        }
+        
+        const supplier = data.suppliers.find(s => s.id === order.supplierId);
+        const now = new Date().toISOString();
+        const receipt = {
+            id: order.receipts.length + 1,
+            receivedAt: now,
+            receivedBy: req.user.id,
+            note: note || '',
+            lines: []
+        };
+        
+        receiptLines.forEach(item => {
+            const transaction = inventoryService.postMovement(data, {
+                holderType: 'warehouse',
+                giftId: item.line.giftId,
+                transactionType: 'purchase',
+                quantity: item.quantity,
+                lots: item.lotNumber ? [{ lotNumber: item.lotNumber, expiryDate: item.expiryDate, quantity: item.quantity }] : null,
+                serials: item.serials,
+                unitCost: item.line.unitCost,
+                reference: { type: 'purchaseOrder', id: order.id },
+                reason: `採購單 ${order.poNumber} 收貨${supplier ? ` (${supplier.supplierName})` : ''}`,
+                createdBy: req.user.id,
+                createdAt: now
+            });
+            
+            item.line.receivedQuantity += item.quantity;
+            receipt.lines.push({
+                lineId: item.line.lineId,
+                giftId: item.line.giftId,
+                quantity: item.quantity,
+                lotNumber: item.lotNumber,
+                expiryDate: item.expiryDate,
+                serials: item.serials.length > 0 ? item.serials : null,
+                unitCost: item.line.unitCost,
+                transactionId: transaction.id
+            });
+        });
+        
+        order.receipts.push(receipt);
+        purchasing.refreshStatus(order);
+        order.updatedAt = now;
+        
+        await writeData(data);
+        res.json({
+            success: true,
+            purchaseOrder: describePurchaseOrder(data, order),
+            receipt,
+            message: order.status === 'received' ? '收貨完成，採購單已收齊' : '部分收貨完成'
+        });
+    } catch (error) {
+        console.error('Receive purchase order error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 取消採購單 (已收貨的數量不受影響)
+app.put(`${BASE_PATH}/api/purchase-orders/:id/cancel`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const orderId = parseInt(req.params.id);
+        const data = await readData();
+        
+        const order = data.purchaseOrders.find(o => o.id === orderId);
+        if (!order) {
+            return res.status(404).json({ success: false, message: '找不到採購單' });
+        }
+        
+        if (!purchasing.isOpen(order)) {
+            return res.status(400).json({ success: false, message: `採購單${purchasing.PO_STATUS_TEXT[order.status]}，無法取消` });
+        }
+        
+        order.status = 'cancelled';
+        order.cancelledBy = req.user.id;
+        order.cancelledAt = new Date().toISOString();
+        order.updatedAt = order.cancelledAt;
+        
+        await writeData(data);
+        res.json({ success: true, purchaseOrder: describePurchaseOrder(data, order), message: '採購單已取消' });
+    } catch (error) {
+        console.error('Cancel purchase order error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// =============================================================================
+// 庫存估值 API (主管)
+// =============================================================================
+
+// 依持有者彙總估值明細 (數量、價值與各贈品明細)
+function summarizeValuation(data, balances) {
+    const summary = { quantity: 0, value: 0, gifts: [] };
+    balances.forEach(balance => {
+        const gift = data.gifts.find(g => g.id === balance.giftId);
+        summary.quantity += balance.quantity;
+        summary.value += balance.value;
+        summary.gifts.push({
+            giftId: balance.giftId,
+            giftCode: gift ? gift.giftCode : '',
+            giftName: gift ? gift.giftName : `贈品 #${balance.giftId}`,
+            quantity: balance.quantity,
+            value: balance.value
+        });
+    });
+    summary.value = costing.roundCost(summary.value);
+    return summary;
+}
+
+// 指定日期 (預設今天) 的庫存估值：各門店 (門店庫存與所屬員工持有) 與各員工的庫存價值
+app.get(`${BASE_PATH}/api/reports/valuation`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const asOf = req.query.asOf || lotService.today();
+        if (!DATE_PATTERN.test(asOf)) {
+            return res.status(400).json({ success: false, message: '日期格式應為 YYYY-MM-DD' });
+        }
+        
+        const data = await readData();
+        const balances = costing.valuationAsOf(inventoryService.allHoldings(data), data.giftTransactions, data.gifts, asOf);
+        const balancesOf = (holderType, holderId) => balances.filter(balance =>
+            balance.holderType === holderType && (holderId === undefined || balance.holderId === holderId));
+        
+        const employees = [...new Set(balancesOf('user').map(balance => balance.holderId))].map(userId => {
+            const user = data.users.find(u => u.id === userId);
+            const store = user && user.storeId ? data.stores.find(s => s.id === user.storeId) : null;
+            return {
+                userId,
+                fullName: holderName(data, 'user', userId),
+                storeId: store ? store.id : null,
+                storeName: store ? store.storeName : null,
+                ...summarizeValuation(data, balancesOf('user', userId))
+            };
+        });
+        
+        const stores = data.stores.map(store => {
+            const storeStock = summarizeValuation(data, balancesOf('store', store.id));
+            const staff = employees.filter(employee => employee.storeId === store.id);
+            const employeeStock = {
+                quantity: staff.reduce((sum, employee) => sum + employee.quantity, 0),
+                value: costing.roundCost(staff.reduce((sum, employee) => sum + employee.value, 0))
+            };
+            return {
+                storeId: store.id,
+                storeName: store.storeName,
+                storeStock,
+                employeeStock,
+                quantity: storeStock.quantity + employeeStock.quantity,
+                value: costing.roundCost(storeStock.value + employeeStock.value)
+            };
+        }).filter(store => store.quantity !== 0);
+        
+        const warehouse = summarizeValuation(data, balancesOf('warehouse'));
+        const inTransit = summarizeValuation(data, balancesOf('transit'));
+        const pendingReceipt = summarizeValuation(data, balancesOf('receipt'));
+        // 待報廢區的損壞品另列，不計入庫存總值
+        const writeOff = summarizeValuation(data, balancesOf('writeoff'));
+        const total = summarizeValuation(data, balances.filter(balance => balance.holderType !== 'writeoff'));
+        
+        res.json({
+            asOf,
+            method: costing.valuationMethod(),
+            totalQuantity: total.quantity,
+            totalValue: total.value,
+            warehouse,
+            inTransit,
+            pendingReceipt,
+            writeOff,
+            stores,
+            employees
+        });
+    } catch (error) {
+        console.error('Get valuation report error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// =============================================================================
+// 客戶退回報表 API (主管)
+// =============================================================================
+
+// 客戶退回明細與各贈品彙總，可依日期區間、門店與退回品狀況篩選
+app.get(`${BASE_PATH}/api/reports/returns`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const { from, to, storeId, condition } = req.query;
+        if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+            return res.status(400).json({ success: false, message: '日期格式應為 YYYY-MM-DD' });
+        }
+        
+        const data = await readData();
+        const returnRecords = data.giftTransactions
+            .filter(trans => trans.transactionType === 'return')
+            .map(trans => {
+                const employeeId = trans.holderType === 'writeoff' ? trans.referenceUserId : trans.userId;
+                const employeeStoreId = trans.holderType === 'writeoff' ? trans.holderId : userStoreId(data, employeeId);
+                const store = data.stores.find(s => s.id === employeeStoreId);
+                const distribution = trans.reference && trans.reference.type === 'distribution'
+                    ? data.distributions.find(d => d.id === trans.reference.id)
+                    : null;
+                return {
+                    id: trans.id,
+                    giftId: trans.giftId,
+                    gift: data.gifts.find(g => g.id === trans.giftId) || null,
+                    userId: employeeId,
+                    employeeName: holderName(data, 'user', employeeId),
+                    storeId: store ? store.id : null,
+                    storeName: store ? store.storeName : null,
+                    quantity: trans.quantity,
+                    condition: trans.condition,
+                    value: trans.costOfGoods,
+                    documentNumber: distribution ? distribution.documentNumber : null,
+                    recipient: trans.recipient,
+                    serials: trans.serials,
+                    reason: trans.reason,
+                    createdAt: trans.createdAt
+                };
+            })
+            .filter(record =>
+                (!from || record.createdAt >= from) &&
+                (!to || record.createdAt <= `${to}T23:59:59.999Z`) &&
+                (!storeId || record.storeId === parseInt(storeId)) &&
+                (!condition || record.condition === condition)
+            )
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        
+        // 各贈品的可再送出與損壞數量、金額
+        const gifts = [];
+        returnRecords.forEach(record => {
+            let summary = gifts.find(item => item.giftId === record.giftId);
+            if (!summary) {
+                summary = {
+                    giftId: record.giftId,
+                    giftCode: record.gift ? record.gift.giftCode : '',
+                    giftName: record.gift ? record.gift.giftName : `贈品 #${record.giftId}`,
+                    resellableQuantity: 0,
+                    damagedQuantity: 0,
+                    damagedValue: 0
+                };
+                gifts.push(summary);
+            }
+            if (record.condition === 'damaged') {
+                summary.damagedQuantity += record.quantity;
+                summary.damagedValue = costing.roundCost(summary.damagedValue + (record.value || 0));
+            } else {
+                summary.resellableQuantity += record.quantity;
+            }
+        });
+        
+        res.json({
+            returns: returnRecords,
+            gifts,
+            resellableQuantity: gifts.reduce((sum, item) => sum + item.resellableQuantity, 0),
+            damagedQuantity: gifts.reduce((sum, item) => sum + item.damagedQuantity, 0),
+            damagedValue: costing.roundCost(gifts.reduce((sum, item) => sum + item.damagedValue, 0))
+        });
+    } catch (error) {
+        console.error('Get returns report error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// =============================================================================
+// 損耗報表 API (主管)
+// =============================================================================
+
+// 損耗交易所屬的門店：員工持有依員工門店，門店庫存依門店，在途短少依調入門店
+function shrinkageStoreId(data, transaction) {
+    if (['store', 'writeoff'].includes(transaction.holderType)) return transaction.holderId;
+    if (transaction.holderType === 'user') return userStoreId(data, transaction.userId) || null;
+    if (transaction.holderType === 'transit') {
+        const transfer = data.storeTransfers.find(t => t.id === transaction.holderId);
+        return transfer ? transfer.toStoreId : null;
+    }
+    return null;
+}
+
+// 報廢、過期報廢、損壞退回品報廢與在途短少依門店、贈品彙總，可依日期區間與門店篩選
+app.get(`${BASE_PATH}/api/reports/shrinkage`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const { from, to, storeId } = req.query;
+        if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+            return res.status(400).json({ success: false, message: '日期格式應為 YYYY-MM-DD' });
+        }
+        
+        const data = await readData();
+        const records = data.giftTransactions
+            .filter(trans =>
+                trans.transactionType in writeoffs.SHRINKAGE_TYPES &&
+                (!from || trans.createdAt >= from) &&
+                (!to || trans.createdAt <= `${to}T23:59:59.999Z`)
+            )
+            .map(trans => {
+                const recordStoreId = shrinkageStoreId(data, trans);
+                const category = writeoffs.shrinkageCategory(data, trans);
+                const gift = data.gifts.find(g => g.id === trans.giftId);
+                return {
+                    id: trans.id,
+                    transactionType: trans.transactionType,
+                    category,
+                    categoryText: writeoffs.SHRINKAGE_CATEGORY_TEXT[category] || category,
+                    storeId: recordStoreId,
+                    storeName: recordStoreId ? holderName(data, 'store', recordStoreId) : '總部倉庫',
+                    holderName: holderName(data, trans.holderType, trans.holderId),
+                    giftId: trans.giftId,
+                    giftCode: gift ? gift.giftCode : '',
+                    giftName: gift ? gift.giftName : `贈品 #${trans.giftId}`,
+                    quantity: -trans.quantity,
+                    value: trans.costOfGoods || 0,
+                    reason: trans.reason,
+                    createdAt: trans.createdAt
+                };
+            })
+            .filter(record => !storeId || record.storeId === parseInt(storeId))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        
+        // 依門店彙總，各門店再依贈品與原因類別細分
+        const stores = [];
+        records.forEach(record => {
+            let store = stores.find(item => item.storeId === record.storeId);
+            if (!store) {
+                store = { storeId: record.storeId, storeName: record.storeName, quantity: 0, value: 0, gifts: [] };
+                stores.push(store);
+            }
+            let gift = store.gifts.find(item => item.giftId === record.giftId);
+            if (!gift) {
+                gift = { giftId: record.giftId, giftCode: record.giftCode, giftName: record.giftName, quantity: 0, value: 0, categories: {} };
+                store.gifts.push(gift);
+            }
+            store.quantity += record.quantity;
+            store.value = costing.roundCost(store.value + record.value);
+            gift.quantity += record.quantity;
+            gift.value = costing.roundCost(gift.value + record.value);
+            gift.categories[record.category] = (gift.categories[record.category] || 0) + record.quantity;
+        });
+        
+        res.json({
+            totalQuantity: stores.reduce((sum, store) => sum + store.quantity, 0),
+            totalValue: costing.roundCost(stores.reduce((sum, store) => sum + store.value, 0)),
+            categories: writeoffs.SHRINKAGE_CATEGORY_TEXT,
+            stores,
+            records
+        });
+    } catch (error) {
+        console.error('Get shrinkage report error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// =============================================================================
+// 批號效期 API (主管)
+// =============================================================================
+
+// 持有者顯示名稱
+function holderName(data, holderType, holderId) {
+    if (holderType === 'warehouse') return '總部倉庫';
+    if (holderType === 'transit') return `調撥單 #${holderId}`;
+    if (holderType === 'receipt') return `待簽收 (申請 #${holderId})`;
+    if (holderType === 'writeoff') {
+        const store = data.stores.find(s => s.id === holderId);
+        return `待報廢區 (${store ? store.storeName : '未指派門店'})`;
+    }
+    if (holderType === 'store') {
+        const store = data.stores.find(s => s.id === holderId);
+        return store ? store.storeName : `門店 #${holderId}`;
+    }
+    const user = data.users.find(u => u.id === holderId);
+    return user ? user.fullName : `使用者 #${holderId}`;
+}
+
+// 即將到期與已過期的批號 (預設提醒天數由 LOT_EXPIRY_WARNING_DAYS 設定)
+app.get(`${BASE_PATH}/api/lots/expiring`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const days = req.query.days !== undefined ? parseInt(req.query.days) : LOT_EXPIRY_WARNING_DAYS;
+        if (!Number.isInteger(days) || days < 0) {
+            return res.status(400).json({ success: false, message: '天數必須為非負整數' });
+        }
+        
+        const data = await readData();
+        const lots = lotService.expiringLots(inventoryService.allHoldings(data), days).map(lot => ({
+            ...lot,
+            holderName: holderName(data, lot.holderType, lot.holderId),
+            gift: data.gifts.find(g => g.id === lot.giftId) || null
+        }));
+        
+        res.json({
+            days,
+            asOf: lotService.today(),
+            expiredCount: lots.filter(lot => lot.expired).length,
+            lots
+        });
+    } catch (error) {
+        console.error('Get expiring lots error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 報廢所有已過期批號，以 expired_writeoff 交易扣除庫存
+app.post(`${BASE_PATH}/api/lots/write-off-expired`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const expired = lotService.expiringLots(inventoryService.allHoldings(data), 0).filter(lot => lot.expired);
+        
+        if (expired.length === 0) {
+            return res.json({ success: true, transactions: [], message: '沒有已過期的批號' });
+        }
+        
+        // 過帳前先確認每個批號仍足額，避免報廢到一半才發現不足
+        for (const lot of expired) {
+            const holding = inventoryService.findHolding(data, lot.holderType, lot.holderId, lot.giftId);
+            const shortage = lotService.findShortage(holding, [lot]);
+            if (shortage) {
+                const gift = data.gifts.find(g => g.id === lot.giftId);
+                return res.status(400).json({
+                    success: false,
+                    message: `${gift ? gift.giftName : `贈品 #${lot.giftId}`} 批號 ${shortage.lotNumber} 數量不足 (需要 ${shortage.requested}，現有 ${shortage.available}，短少 ${shortage.requested - shortage.available})`
+                });
+            }
+        }
+        
+        const transactions = expired.map(lot => inventoryService.postMovement(data, {
+            holderType: lot.holderType,
+            holderId: lot.holderId,
+            userId: lot.holderId,
+            giftId: lot.giftId,
+            transactionType: 'expired_writeoff',
+            quantity: -lot.quantity,
+            lots: [lot],
+            reason: `過期報廢: 批號 ${lot.lotNumber} (有效期限 ${lot.expiryDate})`,
+            createdBy: req.user.id
+        }));
+        
+        await writeData(data);
+        res.json({
+            success: true,
+            transactions,
+            message: `已報廢 ${transactions.length} 個過期批號，共 ${transactions.reduce((sum, t) => sum - t.quantity, 0)} 件`
+        });
+    } catch (error) {
+        console.error('Write off expired lots error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// =============================================================================
+// 序號管理 API
+// =============================================================================
+
+// 序號管理的贈品必須指定序號並通過 check 檢查；非序號管理的贈品不可指定序號。回傳錯誤訊息或 null
+function requireSerials(data, giftId, serials, check) {
+    const gift = data.gifts.find(g => g.id === giftId);
+    if (!gift || !gift.serialized) {
+        return serials.length > 0 ? '此贈品未採序號管理，不需指定序號' : null;
+    }
+    if (serials.length === 0) {
+        return '此贈品採序號管理，請指定序號';
+    }
+    return check();
+}
+
+// 附加贈品、持有者與狀態說明
+function describeSerial(data, serial) {
+    return {
+        ...serial,
+        statusText: serialService.SERIAL_STATUS_TEXT[serial.status],
+        holderName: serial.status === 'in_stock' ? holderName(data, serial.holderType, serial.holderId) : null,
+        gift: data.gifts.find(g => g.id === serial.giftId) || null
+    };
+}
+
+// 序號列表 (可依贈品、狀態、持有者與序號關鍵字篩選)
+app.get(`${BASE_PATH}/api/serials`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const { giftId, status, holderType, holderId, search } = req.query;
+        const data = await readData();
+        
+        let serials = data.giftSerials;
+        if (giftId) serials = serials.filter(serial => serial.giftId === parseInt(giftId));
+        if (status) serials = serials.filter(serial => serial.status === status);
+        if (holderType) serials = serials.filter(serial => serial.holderType === holderType);
+        if (holderId) serials = serials.filter(serial => serial.holderId === parseInt(holderId));
+        if (search) serials = serials.filter(serial => serial.serialNumber.includes(search));
+        
+        res.json(serials.map(serial => describeSerial(data, serial)));
+    } catch (error) {
+        console.error('Get serials error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 序號查詢：自進貨到最終送出對象的完整保管紀錄
+app.get(`${BASE_PATH}/api/serials/:serialNumber`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const serialNumber = req.params.serialNumber.trim();
+        const data = await readData();
+        const userName = id => {
+            const user = id ? data.users.find(u => u.id === id) : null;
+            return user ? user.fullName : null;
+        };
+        
+        const matches = data.giftSerials.filter(serial => serial.serialNumber === serialNumber);
+        if (matches.length === 0) {
+            return res.status(404).json({ success: false, message: '找不到序號' });
+        }
+        
+        res.json(matches.map(serial => ({
+            ...describeSerial(data, serial),
+            custody: serialService.custodyChain(data, serial).map(transaction => ({
+                transactionId: transaction.id,
+                transactionType: transaction.transactionType,
+                direction: transaction.quantity > 0 ? 'in' : 'out',
+                holderType: transaction.holderType,
+                holderId: transaction.holderId,
+                holderName: holderName(data, transaction.holderType, transaction.holderId),
+                recipient: transaction.transactionType === 'send' ? transaction.recipient || null : null,
+                reason: transaction.reason,
+                createdAt: transaction.createdAt,
+                createdByName: userName(transaction.createdBy)
+            }))
+        })));
+    } catch (error) {
+        console.error('Get serial custody error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// =============================================================================
+// 門店調撥 API
+// =============================================================================
+
+// 調撥單狀態：requested (申請) → approved (核准) → shipped (出貨、在途) → received (收貨)；
+// 出貨前可被拒絕 (rejected)
+const TRANSFER_STATUS_TEXT = {
+    requested: '待核准',
+    approved: '待出貨',
+    shipped: '在途',
+    received: '已收貨',
+    rejected: '已拒絕'
+};
+
+// 取得使用者目前所屬的門店 id
+function userStoreId(data, userId) {
+    const user = data.users.find(u => u.id === userId);
+    return user ? user.storeId : null;
+}
+
+// 附加門店、贈品與經手人資料
+function describeTransfer(data, transfer) {
+    const userName = id => {
+        const user = id ? data.users.find(u => u.id === id) : null;
+        return user ? user.fullName : null;
+    };
+    
+    return {
+        ...transfer,
+        statusText: TRANSFER_STATUS_TEXT[transfer.status],
+        fromStore: data.stores.find(s => s.id === transfer.fromStoreId) || null,
+        toStore: data.stores.find(s => s.id === transfer.toStoreId) || null,
+        gift: data.gifts.find(g => g.id === transfer.giftId) || null,
+        requestedByName: userName(transfer.requestedBy),
+        shippedByName: userName(transfer.shippedBy),
+        receivedByName: userName(transfer.receivedBy)
+    };
+}
+
+// 取得調撥單 (主管看全部，員工只看所屬門店相關的調撥)
+app.get(`${BASE_PATH}/api/store-transfers`, authenticateToken, async (req, res) => {
+    try {
+        const data = await readData();
+        const { status } = req.query;
+        
+        let transfers = data.storeTransfers;
+        if (req.user.role !== 'manager') {
+            const storeId = userStoreId(data, req.user.id);
+            transfers = transfers.filter(t => t.fromStoreId === storeId || t.toStoreId === storeId);
+        }
+        if (status) {
+            transfers = transfers.filter(t => t.status === status);
+        }
+        
+        res.json(transfers
+            .map(transfer => describeTransfer(data, transfer))
+            .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt)));
+    } catch (error) {
+        console.error('Get store transfers error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 申請調撥 (員工只能申請調入自己的門店)
+app.post(`${BASE_PATH}/api/store-transfers`, authenticateToken, serializeWrites, async (req, res) => {
+    try {
+        const { giftId, quantity, reason } = req.body;
+        const transferQuantity = parseInt(quantity);
+        const data = await readData();
+        
+        const fromStoreId = parseInt(req.body.fromStoreId);
+        const toStoreId = req.user.role === 'manager'
+            ? parseInt(req.body.toStoreId)
+            : userStoreId(data, req.user.id);
+        
+        if (!Number.isInteger(transferQuantity) || transferQuantity <= 0) {
+            return res.status(400).json({ success: false, message: '請輸入正確的調撥數量' });
+        }
+        if (!fromStoreId || !toStoreId || fromStoreId === toStoreId) {
+            return res.status(400).json({ success: false, message: '請選擇不同的調出與調入門店' });
+        }
+        
+        const fromStore = data.stores.find(s => s.id === fromStoreId);
+        const toStore = data.stores.find(s => s.id === toStoreId);
+        const gift = data.gifts.find(g => g.id === parseInt(giftId));
+        if (!fromStore || !toStore || !gift) {
+            return res.status(404).json({ success: false, message: '找不到門店或贈品' });
+        }
+        
+        const transfer = {
+            id: data.nextIds.storeTransfers++,
+            fromStoreId: fromStore.id,
+            toStoreId: toStore.id,
+            giftId: gift.id,
+            quantity: transferQuantity,
+            reason: reason || '',
+            status: 'requested',
+            requestedBy: req.user.id,
+            requestedAt: new Date().toISOString(),
+            approvedBy: null,
+            approvedAt: null,
+            rejectionReason: null,
+            shippedBy: null,
+            shippedAt: null,
+            receivedBy: null,
+            receivedAt: null,
+            receivedQuantity: null,
+            discrepancy: null,
+            discrepancyNote: null
+        };
+        
+        data.storeTransfers.push(transfer);
+        await writeData(data);
+        
+        res.json({ success: true, transfer, message: '調撥申請已提交' });
+    } catch (error) {
+        console.error('Create store transfer error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 核准調撥 (主管)
+app.put(`${BASE_PATH}/api/store-transfers/:id/approve`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const transfer = data.storeTransfers.find(t => t.id === parseInt(req.params.id));
+        
+        if (!transfer || transfer.status !== 'requested') {
+            return res.status(404).json({ success: false, message: '調撥單不存在或已處理' });
+        }
+        
+        transfer.status = 'approved';
+        transfer.approvedBy = req.user.id;
+        transfer.approvedAt = new Date().toISOString();
+        
+        await writeData(data);
+        res.json({ success: true, transfer, message: '調撥已核准' });
+    } catch (error) {
+        console.error('Approve store transfer error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 拒絕調撥 (主管，出貨前)
+app.put(`${BASE_PATH}/api/store-transfers/:id/reject`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const transfer = data.storeTransfers.find(t => t.id === parseInt(req.params.id));
+        
+        if (!transfer || !['requested', 'approved'].includes(transfer.status)) {
+            return res.status(404).json({ success: false, message: '調撥單不存在或已出貨' });
+        }
+        
+        transfer.status = 'rejected';
+        transfer.approvedBy = req.user.id;
+        transfer.approvedAt = new Date().toISOString();
+        transfer.rejectionReason = req.body.reason || '';
+        
+        await writeData(data);
+        res.json({ success: true, transfer, message: '調撥已拒絕' });
+    } catch (error) {
+        console.error('Reject store transfer error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 出貨：庫存離開調出門店，轉為在途 (調出門店人員或主管)
+app.put(`${BASE_PATH}/api/store-transfers/:id/ship`, authenticateToken, serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const transfer = data.storeTransfers.find(t => t.id === parseInt(req.params.id));
+        
+        if (!transfer || transfer.status !== 'approved') {
+            return res.status(404).json({ success: false, message: '調撥單不存在或尚未核准' });
+        }
+        if (req.user.role !== 'manager' && userStoreId(data, req.user.id) !== transfer.fromStoreId) {
+            return res.status(403).json({ success: false, message: '只有調出門店人員可以出貨' });
+        }
+        
+        const available = inventoryService.onHand(data, 'store', transfer.fromStoreId, transfer.giftId);
+        if (available < transfer.quantity) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `調出門店庫存不足 (現有 ${available}，需要 ${transfer.quantity})` 
+            });
+        }
+        
+        const now = new Date().toISOString();
+        const reference = { type: 'storeTransfer', id: transfer.id };
+        
+        inventoryService.moveStock(data, {
+            giftId: transfer.giftId,
+            quantity: transfer.quantity,
+            reference,
+            createdBy: req.user.id,
+            createdAt: now
+        }, {
+            holderType: 'store',
+            holderId: transfer.fromStoreId,
+            transactionType: 'store_transfer_out',
+            reason: `調撥單 #${transfer.id} 出貨`
+        }, {
+            holderType: 'transit',
+            holderId: transfer.id,
+            transactionType: 'in_transit',
+            reason: `調撥單 #${transfer.id} 在途`
+        });
+        
+        transfer.status = 'shipped';
+        transfer.shippedBy = req.user.id;
+        transfer.shippedAt = now;
+        
+        await writeData(data);
+        res.json({ success: true, transfer, message: '已出貨，庫存轉為在途' });
+    } catch (error) {
+        console.error('Ship store transfer error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 收貨確認：實收數量入調入門店，短少的數量記錄為差異 (調入門店人員或主管)
+app.put(`${BASE_PATH}/api/store-transfers/:id/receive`, authenticateToken, serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const transfer = data.storeTransfers.find(t => t.id === parseInt(req.params.id));
+        
+        if (!transfer || transfer.status !== 'shipped') {
+            return res.status(404).json({ success: false, message: '調撥單不存在或尚未出貨' });
+        }
+        if (req.user.role !== 'manager' && userStoreId(data, req.user.id) !== transfer.toStoreId) {
+            return res.status(403).json({ success: false, message: '只有調入門店人員可以收貨' });
+        }
+        
+        const receivedQuantity = req.body.receivedQuantity === undefined
+            ? transfer.quantity
+            : parseInt(req.body.receivedQuantity);
+        if (!Number.isInteger(receivedQuantity) || receivedQuantity < 0 || receivedQuantity > transfer.quantity) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `實收數量需介於 0 與出貨數量 ${transfer.quantity} 之間` 
+            });
+        }
+        
+        const discrepancy = receivedQuantity - transfer.quantity;
+        if (discrepancy !== 0 && !req.body.note) {
+            return res.status(400).json({ success: false, message: '實收數量與出貨數量不符，請填寫差異說明' });
+        }
+        
+        const now = new Date().toISOString();
+        const reference = { type: 'storeTransfer', id: transfer.id };
+        
+        if (receivedQuantity > 0) {
+            inventoryService.moveStock(data, {
+                giftId: transfer.giftId,
+                quantity: receivedQuantity,
+                reference,
+                reason: `調撥單 #${transfer.id} 收貨`,
+                createdBy: req.user.id,
+                createdAt: now
+            }, {
+                holderType: 'transit',
+                holderId: transfer.id,
+                transactionType: 'in_transit'
+            }, {
+                holderType: 'store',
+                holderId: transfer.toStoreId,
+                transactionType: 'store_transfer_in'
+            });
+        }
+        if (discrepancy !== 0) {
+            inventoryService.postMovement(data, {
+                holderType: 'transit',
+                holderId: transfer.id,
+                giftId: transfer.giftId,
+                transactionType: 'transit_loss',
+                quantity: discrepancy,
+                reference,
+                reason: `調撥單 #${transfer.id} 收貨短少: ${req.body.note}`,
+                createdBy: req.user.id,
+                createdAt: now
+            });
+        }
+        
+        // 在途數量已歸零，移除該調撥單的在途記錄
+        data.transitInventory = data.transitInventory.filter(item => !(item.transferId === transfer.id && item.quantity === 0));
+        
+        transfer.status = 'received';
+        transfer.receivedBy = req.user.id;
+        transfer.receivedAt = now;
+        transfer.receivedQuantity = receivedQuantity;
+        transfer.discrepancy = discrepancy;
+        transfer.discrepancyNote = discrepancy !== 0 ? req.body.note : null;
+        
+        await writeData(data);
+        res.json({ 
+            success: true, 
+            transfer, 
+            message: discrepancy === 0 ? '已確認收貨' : `已確認收貨，短少 ${-discrepancy} 個已記錄` 
+        });
+    } catch (error) {
+        console.error('Receive store transfer error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// =============================================================================
+// 安全庫存上下限 API (主管)
+// =============================================================================
+
+// 附加贈品與適用對象名稱
+function describeThreshold(data, threshold) {
+    let scopeName = '全部員工';
+    if (threshold.scope === 'store') {
+        const store = data.stores.find(s => s.id === threshold.scopeId);
+        scopeName = store ? store.storeName : `門店 #${threshold.scopeId}`;
+    } else if (threshold.scope === 'user') {
+        const user = data.users.find(u => u.id === threshold.scopeId);
+        scopeName = user ? user.fullName : `使用者 #${threshold.scopeId}`;
+    }
+    
+    return {
+        ...threshold,
+        scopeName,
+        gift: data.gifts.find(g => g.id === threshold.giftId) || null
+    };
+}
+
+// 上下限列表
+app.get(`${BASE_PATH}/api/thresholds`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const data = await readData();
+        res.json(data.stockThresholds.map(threshold => describeThreshold(data, threshold)));
+    } catch (error) {
+        console.error('Get thresholds error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 設定上下限 (同一贈品與適用對象已有設定時覆寫)
+app.put(`${BASE_PATH}/api/thresholds`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const { scope = 'global' } = req.body;
+        const giftId = parseInt(req.body.giftId);
+        const scopeId = scope === 'global' ? null : parseInt(req.body.scopeId);
+        const minQuantity = parseInt(req.body.minQuantity);
+        const maxQuantity = parseInt(req.body.maxQuantity);
+        
+        if (!thresholdService.THRESHOLD_SCOPES.includes(scope)) {
+            return res.status(400).json({ success: false, message: '不支援的適用範圍' });
+        }
+        
+        if (!Number.isInteger(minQuantity) || !Number.isInteger(maxQuantity) || minQuantity < 0 || maxQuantity <= minQuantity) {
+            return res.status(400).json({ success: false, message: '下限須為非負整數，且上限須大於下限' });
+        }
+        
+        const data = await readData();
+        if (!data.gifts.find(g => g.id === giftId)) {
+            return res.status(404).json({ success: false, message: '找不到贈品' });
+        }
+        
+        if ((scope === 'store' && !data.stores.find(s => s.id === scopeId)) ||
+            (scope === 'user' && !data.users.find(u => u.id === scopeId))) {
+            return res.status(404).json({ success: false, message: '找不到適用的門店或員工' });
+        }
+        
+        let threshold = thresholdService.findThreshold(data, giftId, scope, scopeId);
+        if (!threshold) {
+            threshold = { id: data.nextIds.stockThresholds++, giftId, scope, scopeId };
+            data.stockThresholds.push(threshold);
+        }
+        threshold.minQuantity = minQuantity;
+        threshold.maxQuantity = maxQuantity;
+        threshold.updatedBy = req.user.id;
+        threshold.updatedAt = new Date().toISOString();
+        
+        await writeData(data);
+        res.json({ success: true, threshold: describeThreshold(data, threshold), message: '安全庫存已設定' });
+    } catch (error) {
+        console.error('Set threshold error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 刪除上下限
+app.delete(`${BASE_PATH}/api/thresholds/:id`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const thresholdId = parseInt(req.params.id);
+        const data = await readData();
+        
+        if (!data.stockThresholds.find(threshold => threshold.id === thresholdId)) {
+            return res.status(404).json({ success: false, message: '找不到安全庫存設定' });
+        }
+        
+        data.stockThresholds = data.stockThresholds.filter(threshold => threshold.id !== thresholdId);
+        await writeData(data);
+        res.json({ success: true, message: '安全庫存設定已刪除' });
+    } catch (error) {
+        console.error('Delete threshold error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// =============================================================================
+// 盤點 API
+// =============================================================================
+
+// 附加門店、員工、贈品、差異與狀態說明；onlyUserId 時只列出該員工的盤點項目
+function describeStocktake(data, session, onlyUserId = null) {
+    const lines = onlyUserId ? session.lines.filter(line => line.userId === onlyUserId) : session.lines;
+    const store = session.storeId ? data.stores.find(s => s.id === session.storeId) : null;
+
+    return {
+        ...session,
+        statusText: stocktakes.STOCKTAKE_STATUS_TEXT[session.status],
+        storeName: store ? store.storeName : '全部門店',
+        summary: stocktakes.summarize(data, { ...session, lines }),
+        lines: lines.map(line => ({
+            ...line,
+            variance: stocktakes.variance(line),
+            userName: holderName(data, 'user', line.userId),
+            gift: data.gifts.find(g => g.id === line.giftId) || null
+        }))
+    };
+}
+
+function findStocktake(data, id) {
+    return data.stocktakes.find(session => session.id === parseInt(id));
+}
+
+// 盤點單列表：主管看全部；員工只看盤點中且有自己項目的盤點單
+app.get(`${BASE_PATH}/api/stocktakes`, authenticateToken, async (req, res) => {
+    try {
+        const data = await readData();
+        
+        if (req.user.role === 'manager') {
+            return res.json(data.stocktakes
+                .map(session => describeStocktake(data, session))
+                .sort((a, b) => b.id - a.id));
+        }
+        
+        res.json(data.stocktakes
+            .filter(session => session.status === 'counting' && session.lines.some(line => line.userId === req.user.id))
+            .map(session => describeStocktake(data, session, req.user.id))
+            .sort((a, b) => b.id - a.id));
+    } catch (error) {
+        console.error('Get stocktakes error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 開始盤點：凍結範圍內員工的帳面數量 (storeId 空白為全部門店)
+app.post(`${BASE_PATH}/api/stocktakes`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const { storeId, note } = req.body;
+        const data = await readData();
+        
+        const scopeStoreId = storeId ? parseInt(storeId) : null;
+        if (scopeStoreId && !data.stores.find(s => s.id === scopeStoreId)) {
+            return res.status(404).json({ success: false, message: '找不到門店' });
+        }
+        
+        const open = data.stocktakes.find(session =>
+            stocktakes.isOpen(session) && (!session.storeId || !scopeStoreId || session.storeId === scopeStoreId));
+        if (open) {
+            return res.status(400).json({ success: false, message: `盤點單 ${open.sessionNumber} 尚未完成，請先過帳或取消` });
+        }
+        
+        const lines = stocktakes.freezeLines(data, scopeStoreId);
+        if (lines.length === 0) {
+            return res.status(400).json({ success: false, message: '盤點範圍內沒有員工或贈品' });
+        }
+        
+        const now = new Date().toISOString();
+        const id = data.nextIds.stocktakes++;
+        const session = {
+            id,
+            sessionNumber: stocktakes.sessionNumberFor(id, now),
+            storeId: scopeStoreId,
+            status: 'counting',
+            note: note || '',
+            lines,
+            createdBy: req.user.id,
+            createdAt: now,
+            closedAt: null,
+            postedBy: null,
+            postedAt: null
+        };
+        
+        data.stocktakes.push(session);
+        await writeData(data);
+        
+        res.json({ success: true, stocktake: describeStocktake(data, session), message: `盤點單 ${session.sessionNumber} 已開始` });
+    } catch (error) {
+        console.error('Create stocktake error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 登錄實盤數量 { counts: [{ lineId, countedQuantity }] }：員工只能登錄自己的項目
+app.put(`${BASE_PATH}/api/stocktakes/:id/counts`, authenticateToken, serializeWrites, async (req, res) => {
+    try {
+        const { counts } = req.body;
+        if (!Array.isArray(counts) || counts.length === 0) {
+            return res.status(400).json({ success: false, message: '請輸入盤點數量' });
+        }
+        
+        const data = await readData();
+        const session = findStocktake(data, req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, message: '找不到盤點單' });
+        }
+        
+        if (session.status !== 'counting') {
+            return res.status(400).json({ success: false, message: '盤點已結束，無法再登錄數量' });
+        }
+        
+        const updates = [];
+        for (const count of counts) {
+            const line = session.lines.find(l => l.lineId === parseInt(count.lineId));
+            const countedQuantity = parseInt(count.countedQuantity);
+            
+            if (!line || (req.user.role !== 'manager' && line.userId !== req.user.id)) {
+                return res.status(404).json({ success: false, message: '找不到盤點項目' });
+            }
+            if (!Number.isInteger(countedQuantity) || countedQuantity < 0) {
+                return res.status(400).json({ success: false, message: '盤點數量必須為非負整數' });
+            }
+            updates.push({ line, countedQuantity });
+        }
+        
+        const now = new Date().toISOString();
+        updates.forEach(({ line, countedQuantity }) => {
+            line.countedQuantity = countedQuantity;
+            line.countedBy = req.user.id;
+            line.countedAt = now;
+            line.review = 'pending';
+            line.reviewNote = '';
+            line.serials = [];
+        });
+        
+        await writeData(data);
+        
+        const onlyUserId = req.user.role === 'manager' ? null : req.user.id;
+        res.json({ success: true, stocktake: describeStocktake(data, session, onlyUserId), message: '盤點數量已儲存' });
+    } catch (error) {
+        console.error('Save stocktake counts error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 結束盤點，進入差異審核
+app.put(`${BASE_PATH}/api/stocktakes/:id/close`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const session = findStocktake(data, req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, message: '找不到盤點單' });
+        }
+        
+        if (session.status !== 'counting') {
+            return res.status(400).json({ success: false, message: '只有盤點中的盤點單可以結束盤點' });
+        }
+        
+        session.status = 'review';
+        session.closedAt = new Date().toISOString();
+        
+        await writeData(data);
+        res.json({ success: true, stocktake: describeStocktake(data, session), message: '盤點已結束，請審核差異' });
+    } catch (error) {
+        console.error('Close stocktake error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 盤點差異的序號檢查：盤盈登記新序號，盤虧扣除員工目前持有的序號
+function stocktakeSerialError(data, line, serials) {
+    const quantity = stocktakes.variance(line);
+    if (!quantity) return null;
+    return requireSerials(data, line.giftId, serials, () => quantity > 0
+        ? serialService.checkIncoming(data, line.giftId, serials, quantity)
+        : serialService.checkOutgoing(data, 'user', line.userId, line.giftId, serials, -quantity));
+}
+
+// 審核單項差異 { decision: accepted | rejected, note, serials }
+app.put(`${BASE_PATH}/api/stocktakes/:id/lines/:lineId/review`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const { decision, note } = req.body;
+        if (!['accepted', 'rejected'].includes(decision)) {
+            return res.status(400).json({ success: false, message: '審核結果必須為 accepted 或 rejected' });
+        }
+        
+        const data = await readData();
+        const session = findStocktake(data, req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, message: '找不到盤點單' });
+        }
+        
+        if (session.status !== 'review') {
+            return res.status(400).json({ success: false, message: '盤點單不在待審核狀態' });
+        }
+        
+        const line = session.lines.find(l => l.lineId === parseInt(req.params.lineId));
+        if (!line) {
+            return res.status(404).json({ success: false, message: '找不到盤點項目' });
+        }
+        
+        if (line.countedQuantity === null) {
+            return res.status(400).json({ success: false, message: '此項目尚未盤點' });
+        }
+        
+        // 序號管理的贈品：採用差異時需指定盤盈登記或盤虧扣除的序號
+        const serials = decision === 'accepted' ? serialService.normalizeSerials(req.body.serials) : [];
+        const serialError = stocktakeSerialError(data, line, serials);
+        if (serialError) {
+            return res.status(400).json({ success: false, message: serialError });
+        }
+        
+        line.review = decision;
+        line.reviewNote = note || '';
+        line.serials = serials;
+        
+        await writeData(data);
+        res.json({ success: true, stocktake: describeStocktake(data, session), message: decision === 'accepted' ? '已採用實盤數量' : '已維持帳面數量' });
+    } catch (error) {
+        console.error('Review stocktake line error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 過帳：採用的差異以 count_adjust 交易入帳 (所有差異都需先審核)
+app.put(`${BASE_PATH}/api/stocktakes/:id/post`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const session = findStocktake(data, req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, message: '找不到盤點單' });
+        }
+        
+        if (session.status !== 'review') {
+            return res.status(400).json({ success: false, message: '請先結束盤點並審核差異' });
+        }
+        
+        const summary = stocktakes.summarize(data, session);
+        if (summary.pendingReviewCount > 0) {
+            return res.status(400).json({ success: false, message: `尚有 ${summary.pendingReviewCount} 項差異未審核` });
+        }
+        
+        const accepted = session.lines.filter(line => line.review === 'accepted' && stocktakes.variance(line) !== 0);
+        
+        // 差異以數量增減入帳；盤點期間已送出的數量可能使盤虧無法扣除
+        const shortages = accepted.filter(line =>
+            inventoryService.onHand(data, 'user', line.userId, line.giftId) + stocktakes.variance(line) < 0);
+        if (shortages.length > 0) {
+            const names = shortages.map(line => {
+                const gift = data.gifts.find(g => g.id === line.giftId);
+                return `${holderName(data, 'user', line.userId)} ${gift ? gift.giftName : line.giftId}`;
+            });
+            return res.status(400).json({ success: false, message: `目前庫存不足以扣除盤虧：${names.join('、')}` });
+        }
+        
+        // 序號在審核後可能已被送出或移轉，過帳前重新檢查
+        for (const line of accepted) {
+            const serialError = stocktakeSerialError(data, line, line.serials || []);
+            if (serialError) {
+                const gift = data.gifts.find(g => g.id === line.giftId);
+                return res.status(400).json({ success: false, message: `${holderName(data, 'user', line.userId)} ${gift ? gift.giftName : line.giftId}：${serialError}，請重新審核此項目` });
+            }
+        }
+        
+        const now = new Date().toISOString();
+        accepted.forEach(line => {
+            const transaction = inventoryService.postMovement(data, {
+                userId: line.userId,
+                giftId: line.giftId,
+                transactionType: 'count_adjust',
+                quantity: stocktakes.variance(line),
+                serials: line.serials,
+                reference: { type: 'stocktake', id: session.id },
+                reason: `盤點 ${session.sessionNumber} 差異：帳面 ${line.expectedQuantity}，實盤 ${line.countedQuantity}`,
+                createdBy: req.user.id,
+                createdAt: now
+            });
+            line.transactionId = transaction.id;
+        });
+        
+        session.status = 'posted';
+        session.postedBy = req.user.id;
+        session.postedAt = now;
+        
+        await writeData(data);
+        res.json({ success: true, stocktake: describeStocktake(data, session), message: `盤點已過帳，共 ${accepted.length} 筆差異調整` });
+    } catch (error) {
+        console.error('Post stocktake error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 取消盤點 (過帳前)
+app.put(`${BASE_PATH}/api/stocktakes/:id/cancel`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const session = findStocktake(data, req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, message: '找不到盤點單' });
+        }
+        
+        if (!stocktakes.isOpen(session)) {
+            return res.status(400).json({ success: false, message: '已過帳或已取消的盤點單無法取消' });
+        }
+        
+        session.status = 'cancelled';
+        session.closedAt = session.closedAt || new Date().toISOString();
+        
+        await writeData(data);
+        res.json({ success: true, stocktake: describeStocktake(data, session), message: '盤點已取消' });
+    } catch (error) {
+        console.error('Cancel stocktake error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// =============================================================================
+// 審批政策 API (主管)
+// =============================================================================
+
+// 審批政策列表 (門店層級一律需要，不需設定)
+app.get(`${BASE_PATH}/api/approval-policies`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const data = await readData();
+        res.json(data.approvalPolicies.map(policy => ({
+            ...policy,
+            levelText: approvals.APPROVAL_LEVEL_TEXT[policy.level]
+        })));
+    } catch (error) {
+        console.error('Get approval policies error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 設定區域或總部的審批門檻 (同一層級已有政策時覆寫，只有總部主管可設定)
+app.put(`${BASE_PATH}/api/approval-policies`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const { level } = req.body;
+        if (!['regional', 'head_office'].includes(level)) {
+            return res.status(400).json({ success: false, message: '審批層級須為區域或總部' });
+        }
+        
+        // 門檻留空表示不以該條件判斷；三項都留空時該層級一律需要審批
+        const limits = {};
+        for (const field of ['minQuantity', 'minUnitCost', 'minValue']) {
+            const raw = req.body[field];
+            limits[field] = raw === undefined || raw === null || raw === '' ? null : Number(raw);
+            if (limits[field] !== null && (!Number.isFinite(limits[field]) || limits[field] < 0)) {
+                return res.status(400).json({ success: false, message: '審批門檻必須是非負數' });
+            }
+        }
+        
+        const data = await readData();
+        const manager = data.users.find(u => u.id === req.user.id);
+        if (!manager || manager.approvalLevel !== 'head_office') {
+            return res.status(403).json({ success: false, message: '只有總部主管可以設定審批政策' });
+        }
+        
+        let policy = data.approvalPolicies.find(p => p.level === level);
+        if (!policy) {
+            policy = { id: data.nextIds.approvalPolicies++, level };
+            data.approvalPolicies.push(policy);
+        }
+        Object.assign(policy, limits);
+        policy.updatedBy = req.user.id;
+        policy.updatedAt = new Date().toISOString();
+        
+        await writeData(data);
+        res.json({ success: true, policy, message: '審批政策已設定，新提交的申請依此建立審批關卡' });
+    } catch (error) {
+        console.error('Set approval policy error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 刪除審批政策 (該層級不再需要審批，已建立的審批關卡不受影響)
+app.delete(`${BASE_PATH}/api/approval-policies/:id`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const policyId = parseInt(req.params.id);
+        const data = await readData();
+        
+        const manager = data.users.find(u => u.id === req.user.id);
+        if (!manager || manager.approvalLevel !== 'head_office') {
+            return res.status(403).json({ success: false, message: '只有總部主管可以設定審批政策' });
+        }
+        if (!data.approvalPolicies.find(policy => policy.id === policyId)) {
+            return res.status(404).json({ success: false, message: '找不到審批政策' });
+        }
+        
+        data.approvalPolicies = data.approvalPolicies.filter(policy => policy.id !== policyId);
+        await writeData(data);
+        res.json({ success: true, message: '審批政策已刪除' });
+    } catch (error) {
+        console.error('Delete approval policy error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// =============================================================================
+// 代理審批 API (主管)
+// =============================================================================
+
+// 代理記錄附加委託主管、代理人名稱與目前狀態
+function describeDelegation(data, delegation, now) {
+    return {
+        ...delegation,
+        delegatorName: holderName(data, 'user', delegation.delegatorId),
+        delegateName: holderName(data, 'user', delegation.delegateId),
+        status: approvals.delegationStatus(delegation, now)
+    };
+}
+
+// 自己委託或受託的代理記錄 (受託的代理人可能是員工)
+app.get(`${BASE_PATH}/api/approval-delegations`, authenticateToken, async (req, res) => {
+    try {
+        const data = await readData();
+        const now = new Date().toISOString();
+        const delegations = data.approvalDelegations
+            .filter(delegation => delegation.delegatorId === req.user.id || delegation.delegateId === req.user.id)
+            .map(delegation => describeDelegation(data, delegation, now))
+            .sort((a, b) => b.startsAt.localeCompare(a.startsAt));
+        
+        res.json(delegations);
+    } catch (error) {
+        console.error('Get approval delegations error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 設定代理：期間內由代理人以自己的審批權限處理申請 (開始時間空白為立即生效)
+app.post(`${BASE_PATH}/api/approval-delegations`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const delegateId = parseInt(req.body.delegateId);
+        const now = new Date().toISOString();
+        const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : new Date(now);
+        const endsAt = new Date(req.body.endsAt);
+        
+        if (isNaN(startsAt.getTime()) || isNaN(endsAt.getTime())) {
+            return res.status(400).json({ success: false, message: '請輸入正確的代理期間' });
+        }
+        if (endsAt <= startsAt || endsAt.toISOString() <= now) {
+            return res.status(400).json({ success: false, message: '代理結束時間必須晚於開始時間與現在' });
+        }
+        if (delegateId === req.user.id) {
+            return res.status(400).json({ success: false, message: '不能指定自己為代理人' });
+        }
+        
+        const data = await readData();
+        const delegate = data.users.find(u => u.id === delegateId && u.status === 'active');
+        if (!delegate) {
+            return res.status(400).json({ success: false, message: '代理人必須是在職的使用者' });
+        }
+        
+        const delegation = {
+            id: data.nextIds.approvalDelegations++,
+            delegatorId: req.user.id,
+            delegateId,
+            startsAt: startsAt.toISOString(),
+            endsAt: endsAt.toISOString(),
+            reason: String(req.body.reason || '').trim(),
+            createdAt: now,
+            cancelledAt: null
+        };
+        data.approvalDelegations.push(delegation);
+        
+        await writeData(data);
+        res.json({
+            success: true,
+            delegation: describeDelegation(data, delegation, now),
+            message: `已委託 ${delegate.fullName} 代理審批`
+        });
+    } catch (error) {
+        console.error('Create approval delegation error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 提前結束代理 (委託主管)
+app.put(`${BASE_PATH}/api/approval-delegations/:id/cancel`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const now = new Date().toISOString();
+        const delegation = data.approvalDelegations.find(d =>
+            d.id === parseInt(req.params.id) && d.delegatorId === req.user.id
+        );
+        if (!delegation) {
+            return res.status(404).json({ success: false, message: '找不到代理記錄' });
+        }
+        if (['cancelled', 'expired'].includes(approvals.delegationStatus(delegation, now))) {
+            return res.status(400).json({ success: false, message: '代理已結束' });
+        }
+        
+        delegation.cancelledAt = now;
+        await writeData(data);
+        res.json({ success: true, delegation: describeDelegation(data, delegation, now), message: '代理已取消' });
+    } catch (error) {
+        console.error('Cancel approval delegation error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// =============================================================================
+// 申請管理 API
+// =============================================================================
+
+const WRITEOFF_PHOTO_DIR = path.join(storage.UPLOAD_DIR, 'writeoffs');
+
+// 報廢照片先保留在記憶體，申請檢查通過後才寫入上傳目錄；JSON 格式的申請不經過 multer
+const writeoffPhotoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: writeoffs.MAX_PHOTO_BYTES, files: 1 }
+}).single('photo');
+
+function uploadWriteoffPhoto(req, res, next) {
+    writeoffPhotoUpload(req, res, error => {
+        if (!error) return next();
+        const message = error.code === 'LIMIT_FILE_SIZE' ? '照片不可超過 5MB'
+            : ['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(error.code) ? '每筆申請只能附一張照片'
+            : '照片上傳失敗';
+        res.status(400).json({ success: false, message });
+    });
+}
+
+// 儲存報廢申請的照片，回傳記錄在申請上的照片資訊
+async function saveWriteoffPhoto(requestId, file) {
+    const fileName = `request-${requestId}.${writeoffs.PHOTO_TYPES[file.mimetype]}`;
+    await fs.promises.mkdir(WRITEOFF_PHOTO_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(WRITEOFF_PHOTO_DIR, fileName), file.buffer);
+    return { fileName, mimeType: file.mimetype, size: file.size };
+}
+
+// 審批關卡附加層級、審批人與委託主管 (代理審批時) 名稱
+function describeApprovalSteps(data, request) {
+    return (request.approvalSteps || []).map(step => ({
+        ...step,
+        levelText: approvals.APPROVAL_LEVEL_TEXT[step.level],
+        approverName: step.approverId ? holderName(data, 'user', step.approverId) : null,
+        onBehalfOfName: step.onBehalfOfId ? holderName(data, 'user', step.onBehalfOfId) : null
+    }));
+}
+
+// 檢查申請內容 (提交與修改共用)，回傳錯誤訊息或 null
+function requestFieldsError(data, requesterId, fields) {
+    const { giftId, requestType, requestedQuantity, targetUserId, reasonCategory, serials } = fields;
+    
+    // 驗證目標使用者 (轉移申請)
+    if (requestType === 'transfer' && targetUserId) {
+        const targetUser = data.users.find(u => u.id === targetUserId && u.status === 'active');
+        if (!targetUser) {
+            return '目標使用者不存在';
+        }
+        
+        // 檢查是否有足夠庫存
+        const inventory = inventoryService.findInventory(data, requesterId, giftId);
+        if (!inventory || inventory.quantity < requestedQuantity) {
+            return '庫存不足，無法轉移';
+        }
+        
+        // 序號管理的贈品須指定要轉移的序號
+        return requireSerials(data, giftId, serials, () =>
+            serialService.checkOutgoing(data, 'user', requesterId, giftId, serials, requestedQuantity));
+    }
+    
+    // 報廢申請：須選擇原因類別，數量不得超過持有量
+    if (requestType === 'writeoff') {
+        if (!writeoffs.WRITEOFF_REASONS[reasonCategory]) {
+            return '請選擇報廢原因';
+        }
+        if (!Number.isInteger(requestedQuantity) || requestedQuantity <= 0) {
+            return '請輸入正確的報廢數量';
+        }
+        
+        const inventory = inventoryService.findInventory(data, requesterId, giftId);
+        if (!inventory || inventory.quantity < requestedQuantity) {
+            return '庫存不足，無法報廢';
+        }
+        
+        return requireSerials(data, giftId, serials, () =>
+            serialService.checkOutgoing(data, 'user', requesterId, giftId, serials, requestedQuantity));
+    }
+    
+    return null;
+}
+
+// 提交申請
+app.post(`${BASE_PATH}/api/requests`, authenticateToken, uploadWriteoffPhoto, serializeWrites, async (req, res) => {
+    try {
+        const { requestType, purpose, reasonCategory } = req.body;
+        // 附照片的報廢申請以 multipart/form-data 送出，欄位皆為字串
+        const giftId = parseInt(req.body.giftId);
+        const requestedQuantity = parseInt(req.body.requestedQuantity);
+        const targetUserId = req.body.targetUserId ? parseInt(req.body.targetUserId) : null;
+        const data = await readData();
+        const serials = ['transfer', 'writeoff'].includes(requestType) ? serialService.normalizeSerials(req.body.serials) : [];
+        
+        const fieldsError = requestFieldsError(data, req.user.id, {
+            giftId, requestType, requestedQuantity, targetUserId, reasonCategory, serials
+        });
+        if (fieldsError) {
+            return res.status(400).json({ success: false, message: fieldsError });
+        }
+        
+        // 報廢申請的照片 (選填)
+        const photo = requestType === 'writeoff' ? req.file : null;
+        if (photo) {
+            const photoError = writeoffs.checkPhoto(photo);
+            if (photoError) {
+                return res.status(400).json({ success: false, message: photoError });
+            }
+        }
+        
+        const newRequest = {
+            id: data.nextIds.giftRequests++,
+            requesterId: req.user.id,
+            giftId: giftId,
+            requestType: requestType,
+            requestedQuantity: requestedQuantity,
+            approvedQuantity: null,
+            targetUserId: targetUserId || null,
+            serials: serials.length > 0 ? serials : null,
+            reasonCategory: requestType === 'writeoff' ? reasonCategory : null,
+            photo: null,
+            purpose: purpose,
+            systemGenerated: false,
+            status: 'pending',
+            approverId: null,
+            onBehalfOfId: null,
+            rejectionReason: null,
+            revisions: [],
+            comments: [],
+            createdAt: new Date().toISOString(),
+            approvedAt: null,
+            cancelledAt: null
+        };
+        
+        newRequest.approvalSteps = approvals.buildSteps(data, newRequest);
+        if (photo) {
+            newRequest.photo = await saveWriteoffPhoto(newRequest.id, photo);
+        }
+        
+        data.giftRequests.push(newRequest);
+        await writeData(data);
+        
+        res.json({ success: true, request: newRequest, message: '申請已提交' });
+        
+    } catch (error) {
+        console.error('Submit request error:', error);
         res.status(500).json({ success: false, message: '伺服器錯誤' });
     }
 });
@@ -589,19 +3056,23 @@ app.get(`${BASE_PATH}/api/requests/my`, authenticateToken, async (req, res) => {
     try {
         const data = await readData();
         const requests = data.giftRequests
-            .filter(req => req.requesterId === req.user.id)
+            .filter(request => request.requesterId === req.user.id)
             .map(req => {
                 const gift = data.gifts.find(g => g.id === req.giftId);
                 const targetUser = req.targetUserId ? 
                     data.users.find(u => u.id === req.targetUserId) : null;
                 const approver = req.approverId ? 
                     data.users.find(u => u.id === req.approverId) : null;
+                const onBehalfOf = req.onBehalfOfId ?
+                    data.users.find(u => u.id === req.onBehalfOfId) : null;
                 
                 return {
                     ...req,
                     gift,
                     targetUser: targetUser ? { ...targetUser, password: undefined } : null,
-                    approver: approver ? { ...approver, password: undefined } : null
+                    approver: approver ? { ...approver, password: undefined } : null,
+                    onBehalfOf: onBehalfOf ? { ...onBehalfOf, password: undefined } : null,
+                    approvalSteps: describeApprovalSteps(data, req)
                 };
             })
             .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -614,22 +3085,37 @@ app.get(`${BASE_PATH}/api/requests/my`, authenticateToken, async (req, res) => {
 });
 
 // 取得待審批申請 (主管)
-app.get(`${BASE_PATH}/api/requests/pending`, authenticateToken, requireRole(['manager']), async (req, res) => {
+app.get(`${BASE_PATH}/api/requests/pending`, authenticateToken, requireApprover, async (req, res) => {
     try {
         const data = await readData();
+        const manager = data.users.find(u => u.id === req.user.id);
+        const authorities = new Map();
+        
+        // 只列出目前關卡由此主管處理 (或代理處理) 的申請
         const requests = data.giftRequests
-            .filter(req => req.status === 'pending')
+            .filter(request => request.status === 'pending')
+            .filter(request => {
+                approvals.ensureSteps(data, request);
+                const authority = approvals.resolveAuthority(data, manager, request);
+                if (authority) authorities.set(request.id, authority);
+                return Boolean(authority);
+            })
             .map(req => {
                 const requester = data.users.find(u => u.id === req.requesterId);
                 const gift = data.gifts.find(g => g.id === req.giftId);
                 const targetUser = req.targetUserId ? 
                     data.users.find(u => u.id === req.targetUserId) : null;
+                const authority = authorities.get(req.id);
                 
                 return {
                     ...req,
                     requester: requester ? { ...requester, password: undefined } : null,
                     gift,
-                    targetUser: targetUser ? { ...targetUser, password: undefined } : null
+                    targetUser: targetUser ? { ...targetUser, password: undefined } : null,
+                    approvalSteps: describeApprovalSteps(data, req),
+                    onBehalfOf: authority.delegate
+                        ? { id: authority.manager.id, fullName: authority.manager.fullName }
+                        : null
                 };
             })
             .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
@@ -641,8 +3127,259 @@ app.get(`${BASE_PATH}/api/requests/pending`, authenticateToken, requireRole(['ma
     }
 });
 
+// 報廢申請的照片 (申請者或主管)
+app.get(`${BASE_PATH}/api/requests/:id/photo`, authenticateToken, async (req, res) => {
+    try {
+        const data = await readData();
+        const request = findViewableRequest(data, req.user, parseInt(req.params.id));
+        if (!request || !request.photo) {
+            return res.status(404).json({ success: false, message: '找不到照片' });
+        }
+        
+        res.setHeader('Content-Type', request.photo.mimeType);
+        res.sendFile(path.join(WRITEOFF_PHOTO_DIR, request.photo.fileName), error => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ success: false, message: '找不到照片' });
+            }
+        });
+    } catch (error) {
+        console.error('Get request photo error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+const REQUEST_ATTACHMENT_DIR = path.join(storage.UPLOAD_DIR, 'requests');
+
+// 留言附件先保留在記憶體，檢查申請與權限後才寫入上傳目錄
+const commentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: comments.MAX_ATTACHMENT_SIZE, files: comments.MAX_ATTACHMENTS }
+}).array('attachments', comments.MAX_ATTACHMENTS);
+
+function uploadCommentFiles(req, res, next) {
+    commentUpload(req, res, error => {
+        if (!error) return next();
+        const message = error.code === 'LIMIT_FILE_SIZE' ? '單一附件不能超過 10MB'
+            : ['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(error.code) ? `每則留言最多 ${comments.MAX_ATTACHMENTS} 個附件`
+            : '附件上傳失敗';
+        res.status(400).json({ success: false, message });
+    });
+}
+
+// 申請者、主管與代理審批人可查看申請的留言與附件
+function findViewableRequest(data, user, requestId) {
+    const request = data.giftRequests.find(r => r.id === requestId);
+    if (!request) return null;
+    if (user.role === 'manager' || request.requesterId === user.id) return request;
+    
+    // 代理審批的員工可以查看目前由自己代理處理的申請
+    const delegate = data.users.find(u => u.id === user.id);
+    return request.status === 'pending' && approvals.resolveAuthority(data, delegate, request) ? request : null;
+}
+
+// 留言附加留言人名稱
+function describeComments(data, request) {
+    return (request.comments || []).map(comment => ({
+        ...comment,
+        userName: holderName(data, 'user', comment.userId)
+    }));
+}
+
+// 申請的留言串 (申請者或主管)
+app.get(`${BASE_PATH}/api/requests/:id/comments`, authenticateToken, async (req, res) => {
+    try {
+        const data = await readData();
+        const request = findViewableRequest(data, req.user, parseInt(req.params.id));
+        if (!request) {
+            return res.status(404).json({ success: false, message: '申請不存在' });
+        }
+        
+        res.json(describeComments(data, request));
+    } catch (error) {
+        console.error('Get request comments error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 新增留言，可以 multipart/form-data 附加檔案 (欄位 attachments) (申請者或主管)
+app.post(`${BASE_PATH}/api/requests/:id/comments`, authenticateToken, uploadCommentFiles, serializeWrites, async (req, res) => {
+    try {
+        const body = String(req.body.body || '').trim();
+        const files = req.files || [];
+        if (!body && files.length === 0) {
+            return res.status(400).json({ success: false, message: '請輸入留言或附加檔案' });
+        }
+        if (body.length > comments.MAX_COMMENT_LENGTH) {
+            return res.status(400).json({ success: false, message: `留言不能超過 ${comments.MAX_COMMENT_LENGTH} 字` });
+        }
+        const fileError = comments.checkFiles(files);
+        if (fileError) {
+            return res.status(400).json({ success: false, message: fileError });
+        }
+        
+        const data = await readData();
+        const request = findViewableRequest(data, req.user, parseInt(req.params.id));
+        if (!request) {
+            return res.status(404).json({ success: false, message: '申請不存在' });
+        }
+        
+        const now = new Date().toISOString();
+        const directory = path.join(REQUEST_ATTACHMENT_DIR, String(request.id));
+        const firstId = comments.nextAttachmentId(request);
+        const attachments = files.map((file, index) => ({
+            id: firstId + index,
+            fileName: `${firstId + index}-${Date.now()}.${comments.ATTACHMENT_TYPES[file.mimetype]}`,
+            originalName: comments.decodeFileName(file.originalname),
+            mimeType: file.mimetype,
+            size: file.size
+        }));
+        
+        if (attachments.length > 0) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            await Promise.all(attachments.map((attachment, index) =>
+                fs.promises.writeFile(path.join(directory, attachment.fileName), files[index].buffer)));
+        }
+        
+        request.comments = request.comments || [];
+        const comment = {
+            id: request.comments.length + 1,
+            userId: req.user.id,
+            body,
+            attachments,
+            createdAt: now
+        };
+        request.comments.push(comment);
+        
+        await writeData(data);
+        res.json({
+            success: true,
+            comment: { ...comment, userName: holderName(data, 'user', comment.userId) },
+            message: '留言已送出'
+        });
+    } catch (error) {
+        console.error('Add request comment error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 下載留言附件 (申請者或主管)
+app.get(`${BASE_PATH}/api/requests/:id/attachments/:attachmentId`, authenticateToken, async (req, res) => {
+    try {
+        const data = await readData();
+        const request = findViewableRequest(data, req.user, parseInt(req.params.id));
+        const attachmentId = parseInt(req.params.attachmentId);
+        const attachment = request && (request.comments || [])
+            .flatMap(comment => comment.attachments)
+            .find(item => item.id === attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ success: false, message: '找不到附件' });
+        }
+        
+        res.setHeader('Content-Type', attachment.mimeType);
+        res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`);
+        res.sendFile(path.join(REQUEST_ATTACHMENT_DIR, String(request.id), attachment.fileName), error => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ success: false, message: '找不到附件' });
+            }
+        });
+    } catch (error) {
+        console.error('Get request attachment error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 申請者可修改的欄位 (撤銷送出申請的數量固定為原送出數量，只能修改說明)
+const EDITABLE_REQUEST_FIELDS = {
+    increase: ['requestedQuantity', 'purpose'],
+    transfer: ['requestedQuantity', 'targetUserId', 'serials', 'purpose'],
+    writeoff: ['requestedQuantity', 'reasonCategory', 'serials', 'purpose'],
+    reversal: ['purpose']
+};
+
+// 修改待審批的申請 (申請者)：保留修改紀錄，已核准的關卡需重新審批
+app.put(`${BASE_PATH}/api/requests/:id`, authenticateToken, serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const request = data.giftRequests.find(r => r.id === parseInt(req.params.id));
+        if (!request || request.requesterId !== req.user.id) {
+            return res.status(404).json({ success: false, message: '申請不存在' });
+        }
+        if (request.status !== 'pending') {
+            return res.status(400).json({ success: false, message: '只能修改待審批的申請' });
+        }
+        
+        const updated = {};
+        (EDITABLE_REQUEST_FIELDS[request.requestType] || []).forEach(field => {
+            if (req.body[field] === undefined) return;
+            updated[field] = field === 'serials' ? serialService.normalizeSerials(req.body[field]) : req.body[field];
+        });
+        if (updated.serials) updated.serials = updated.serials.length > 0 ? updated.serials : null;
+        
+        const changes = {};
+        Object.entries(updated).forEach(([field, value]) => {
+            if (JSON.stringify(value) !== JSON.stringify(request[field])) {
+                changes[field] = { from: request[field], to: value };
+            }
+        });
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ success: false, message: '申請內容沒有變更' });
+        }
+        
+        const revised = { ...request, ...updated };
+        if (request.requestType !== 'reversal' &&
+            (!Number.isInteger(revised.requestedQuantity) || revised.requestedQuantity <= 0)) {
+            return res.status(400).json({ success: false, message: '請輸入正確的數量' });
+        }
+        const fieldsError = requestFieldsError(data, req.user.id, { ...revised, serials: revised.serials || [] });
+        if (fieldsError) {
+            return res.status(400).json({ success: false, message: fieldsError });
+        }
+        
+        const now = new Date().toISOString();
+        Object.assign(request, updated);
+        request.revisions = request.revisions || [];
+        request.revisions.push({
+            revision: request.revisions.length + 1,
+            changes,
+            revisedBy: req.user.id,
+            revisedAt: now
+        });
+        // 內容已變更，先前的核准不再適用，依目前的政策重新建立審批關卡
+        request.approvalSteps = approvals.buildSteps(data, request);
+        
+        await writeData(data);
+        res.json({ success: true, request, message: '申請已修改，將重新審批' });
+    } catch (error) {
+        console.error('Edit request error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 取消待審批的申請 (申請者)
+app.put(`${BASE_PATH}/api/requests/:id/cancel`, authenticateToken, serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const request = data.giftRequests.find(r => r.id === parseInt(req.params.id));
+        if (!request || request.requesterId !== req.user.id) {
+            return res.status(404).json({ success: false, message: '申請不存在' });
+        }
+        if (request.status !== 'pending') {
+            return res.status(400).json({ success: false, message: '只能取消待審批的申請' });
+        }
+        
+        request.status = 'cancelled';
+        request.cancelledAt = new Date().toISOString();
+        
+        await writeData(data);
+        res.json({ success: true, request, message: '申請已取消' });
+    } catch (error) {
+        console.error('Cancel request error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
 // 審批申請 (主管)
-app.put(`${BASE_PATH}/api/requests/:id/approve`, authenticateToken, requireRole(['manager']), async (req, res) => {
+app.put(`${BASE_PATH}/api/requests/:id/approve`, authenticateToken, requireApprover, serializeWrites, async (req, res) => {
     try {
         const requestId = parseInt(req.params.id);
         const { approvedQuantity } = req.body;
@@ -656,142 +3393,378 @@ app.put(`${BASE_PATH}/api/requests/:id/approve`, authenticateToken, requireRole(
             });
         }
         
-        const finalQuantity = approvedQuantity || request.requestedQuantity;
+        // 核准數量須為正整數，未填寫時沿用上一關核准的數量或申請數量
+        const hasQuantity = approvedQuantity !== undefined && approvedQuantity !== null && approvedQuantity !== '';
+        if (hasQuantity && (!Number.isInteger(Number(approvedQuantity)) || Number(approvedQuantity) <= 0)) {
+            return res.status(400).json({ success: false, message: '核准數量必須是正整數' });
+        }
+        
+        // 轉移對象在申請後可能已停用或刪除
+        if (request.requestType === 'transfer' && !data.users.some(u => u.id === request.targetUserId && u.status === 'active')) {
+            return res.status(400).json({ success: false, message: '轉移對象已停用或刪除，無法批准' });
+        }
+        
+        const manager = data.users.find(u => u.id === req.user.id);
         const now = new Date().toISOString();
+        approvals.ensureSteps(data, request);
+        const authority = approvals.resolveAuthority(data, manager, request, now);
+        if (!authority) {
+            return res.status(403).json({ success: false, message: '此申請目前不在您的審批關卡' });
+        }
+        
+        const finalQuantity = hasQuantity
+            ? Number(approvedQuantity)
+            : approvals.lastApprovedQuantity(request) || request.requestedQuantity;
+        
+        // 依序核准審批關卡，還有後續關卡時先記錄本關卡的核准
+        if (!approvals.approveSteps(request, authority, finalQuantity, req.body.reason, now)) {
+            const next = approvals.currentStep(request);
+            await writeData(data);
+            return res.json({
+                success: true,
+                request,
+                message: `已核准此關卡，待${approvals.APPROVAL_LEVEL_TEXT[next.level]}審批`
+            });
+        }
+        
+        // 增發的數量由總部倉庫撥出，倉庫不足時不可批准
+        if (request.requestType === 'increase') {
+            const warehouseQuantity = inventoryService.warehouseOnHand(data, request.giftId);
+            if (warehouseQuantity < finalQuantity) {
+                return res.status(400).json({
+                    success: false,
+                    message: `總部倉庫庫存不足 (現有 ${warehouseQuantity}，需要 ${finalQuantity})`
+                });
+            }
+        }
+        
+        // 轉移與報廢的數量由申請者的庫存扣除，持有量不足時不可批准
+        if (['transfer', 'writeoff'].includes(request.requestType)) {
+            const inventory = inventoryService.findInventory(data, request.requesterId, request.giftId);
+            if (!inventory || inventory.quantity < finalQuantity) {
+                return res.status(400).json({
+                    success: false,
+                    message: `申請者庫存不足 (現有 ${inventory ? inventory.quantity : 0}，需要 ${finalQuantity})`
+                });
+            }
+        }
+        
+        // 撤銷送出的申請：原送出交易須仍可撤銷，數量固定為原送出數量
+        let original = null;
+        if (request.requestType === 'reversal') {
+            original = data.giftTransactions.find(t => t.id === request.transactionId);
+            const reversalError = sendReversalError(data, original, request.id);
+            if (reversalError) {
+                return res.status(400).json({ success: false, message: reversalError });
+            }
+        }
+        
+        // 轉移序號管理的贈品須指定序號：主管可另外指定 (例如核准數量不同)，否則沿用申請時的序號
+        const serials = serialService.normalizeSerials(req.body.serials || request.serials);
+        if (['transfer', 'writeoff'].includes(request.requestType)) {
+            const serialError = requireSerials(data, request.giftId, serials, () =>
+                serialService.checkOutgoing(data, 'user', request.requesterId, request.giftId, serials, finalQuantity));
+            if (serialError) {
+                return res.status(400).json({ success: false, message: serialError });
+            }
+            if (serials.length > 0) request.serials = serials;
+        }
         
         // 更新申請狀態
         request.status = 'approved';
         request.approverId = req.user.id;
-        request.approvedQuantity = finalQuantity;
+        request.onBehalfOfId = authority.delegate ? authority.manager.id : null;
+        request.approvedQuantity = original ? -original.quantity : finalQuantity;
         request.approvedAt = now;
         
-        // 處理庫存變更
+        // 處理庫存變更 (批號隨數量移轉)
         if (request.requestType === 'increase') {
-            // 增發申請
-            const invIndex = data.giftInventory.findIndex(inv => 
-                inv.userId === request.requesterId && inv.giftId === request.giftId
-            );
-            
-            if (invIndex !== -1) {
-                data.giftInventory[invIndex].quantity += finalQuantity;
-                data.giftInventory[invIndex].lastUpdated = now;
-            } else {
-                data.giftInventory.push({
-                    id: data.nextIds.giftInventory++,
-                    userId: request.requesterId,
-                    giftId: request.giftId,
-                    quantity: finalQuantity,
-                    lastUpdated: now
-                });
-            }
-            
-            // 記錄交易
-            data.giftTransactions.push({
-                id: data.nextIds.giftTransactions++,
-                userId: request.requesterId,
+            // 增發申請：從總部倉庫撥給申請者
+            inventoryService.moveStock(data, {
                 giftId: request.giftId,
-                transactionType: 'receive',
                 quantity: finalQuantity,
-                referenceUserId: null,
                 reason: `增發申請批准: ${request.purpose}`,
-                status: 'completed',
                 createdBy: req.user.id,
                 createdAt: now
+            }, {
+                holderType: 'warehouse',
+                transactionType: 'issue',
+                referenceUserId: request.requesterId
+            }, {
+                userId: request.requesterId,
+                transactionType: 'receive'
             });
             
         } else if (request.requestType === 'transfer') {
-            // 轉移申請
-            // 從申請者扣除
-            const fromInvIndex = data.giftInventory.findIndex(inv => 
-                inv.userId === request.requesterId && inv.giftId === request.giftId
-            );
-            
-            if (fromInvIndex !== -1) {
-                data.giftInventory[fromInvIndex].quantity -= finalQuantity;
-                data.giftInventory[fromInvIndex].lastUpdated = now;
-            }
-            
-            // 給目標使用者增加
-            const toInvIndex = data.giftInventory.findIndex(inv => 
-                inv.userId === request.targetUserId && inv.giftId === request.giftId
-            );
-            
-            if (toInvIndex !== -1) {
-                data.giftInventory[toInvIndex].quantity += finalQuantity;
-                data.giftInventory[toInvIndex].lastUpdated = now;
-            } else {
-                data.giftInventory.push({
-                    id: data.nextIds.giftInventory++,
-                    userId: request.targetUserId,
-                    giftId: request.giftId,
-                    quantity: finalQuantity,
-                    lastUpdated: now
-                });
-            }
-            
-            // 記錄轉出交易
-            data.giftTransactions.push({
-                id: data.nextIds.giftTransactions++,
-                userId: request.requesterId,
+            // 轉移申請：從申請者扣除，放入待簽收區，接收人確認後才轉入其庫存
+            inventoryService.moveStock(data, {
                 giftId: request.giftId,
-                transactionType: 'transfer',
-                quantity: -finalQuantity,
-                referenceUserId: request.targetUserId,
-                reason: `轉移申請批准: ${request.purpose}`,
-                status: 'completed',
+                quantity: finalQuantity,
+                serials: serials,
+                reference: { type: 'request', id: request.id },
                 createdBy: req.user.id,
                 createdAt: now
+            }, {
+                userId: request.requesterId,
+                transactionType: 'transfer',
+                referenceUserId: request.targetUserId,
+                reason: `轉移申請批准: ${request.purpose}`
+            }, {
+                holderType: 'receipt',
+                holderId: request.id,
+                transactionType: 'pending_receipt',
+                referenceUserId: request.targetUserId,
+                reason: `待 ${holderName(data, 'user', request.targetUserId)} 簽收: ${request.purpose}`
             });
+            request.status = 'awaiting_receipt';
+            request.receipt = receipts.emptyReceipt();
+            
+        } else if (request.requestType === 'reversal') {
+            // 撤銷送出申請：把原送出的數量退回申請者
+            reverseSend(data, original, request.purpose, req.user.id, now);
             
-            // 記錄轉入交易
-            data.giftTransactions.push({
-                id: data.nextIds.giftTransactions++,
-                userId: request.targetUserId,
+        } else if (request.requestType === 'writeoff') {
+            // 報廢申請：從申請者扣除，交易連結申請以便損耗報表取得原因類別
+            inventoryService.postMovement(data, {
+                userId: request.requesterId,
                 giftId: request.giftId,
-                transactionType: 'receive',
-                quantity: finalQuantity,
-                referenceUserId: request.requesterId,
-                reason: `接收轉移: ${request.purpose}`,
-                status: 'completed',
+                transactionType: 'writeoff',
+                quantity: -finalQuantity,
+                serials: serials,
+                reference: { type: 'request', id: request.id },
+                reason: `報廢申請批准 (${writeoffs.WRITEOFF_REASONS[request.reasonCategory]}): ${request.purpose}`,
                 createdBy: req.user.id,
                 createdAt: now
             });
         }
         
         await writeData(data);
-        res.json({ success: true, request, message: '申請已批准' });
+        res.json({
+            success: true,
+            request,
+            message: request.status === 'awaiting_receipt' ? '申請已批准，待接收人簽收' : '申請已批准'
+        });
+        
+    } catch (error) {
+        console.error('Approve request error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 拒絕申請 (主管)
+app.put(`${BASE_PATH}/api/requests/:id/reject`, authenticateToken, requireApprover, serializeWrites, async (req, res) => {
+    try {
+        const requestId = parseInt(req.params.id);
+        const { reason } = req.body;
+        const data = await readData();
+        
+        const request = data.giftRequests.find(r => r.id === requestId);
+        if (!request || request.status !== 'pending') {
+            return res.status(404).json({ 
+                success: false, 
+                message: '申請不存在或已處理' 
+            });
+        }
+        
+        const manager = data.users.find(u => u.id === req.user.id);
+        const now = new Date().toISOString();
+        approvals.ensureSteps(data, request);
+        const authority = approvals.resolveAuthority(data, manager, request, now);
+        if (!authority) {
+            return res.status(403).json({ success: false, message: '此申請目前不在您的審批關卡' });
+        }
+        
+        approvals.rejectStep(request, authority, reason, now);
+        request.status = 'rejected';
+        request.approverId = req.user.id;
+        request.onBehalfOfId = authority.delegate ? authority.manager.id : null;
+        request.rejectionReason = reason;
+        request.approvedAt = now;
+        
+        await writeData(data);
+        res.json({ success: true, request, message: '申請已拒絕' });
+        
+    } catch (error) {
+        console.error('Reject request error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 轉移簽收的申請附加贈品、申請者與接收人
+function describeReceiptRequest(data, request) {
+    const gift = data.gifts.find(g => g.id === request.giftId);
+    return {
+        ...request,
+        gift,
+        requesterName: holderName(data, 'user', request.requesterId),
+        targetUserName: holderName(data, 'user', request.targetUserId),
+        statusText: receipts.RECEIPT_STATUS_TEXT[request.status] || request.status
+    };
+}
+
+// 待自己簽收或有爭議的轉移 (接收人)
+app.get(`${BASE_PATH}/api/requests/incoming`, authenticateToken, async (req, res) => {
+    try {
+        const data = await readData();
+        const requests = data.giftRequests
+            .filter(request => request.targetUserId === req.user.id && ['awaiting_receipt', 'disputed'].includes(request.status))
+            .map(request => describeReceiptRequest(data, request))
+            .sort((a, b) => new Date(a.approvedAt) - new Date(b.approvedAt));
+        
+        res.json(requests);
+    } catch (error) {
+        console.error('Get incoming transfers error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 確認收到轉移：待簽收的庫存轉入接收人，完成轉移 (接收人)
+app.put(`${BASE_PATH}/api/requests/:id/confirm-receipt`, authenticateToken, serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const request = data.giftRequests.find(r => r.id === parseInt(req.params.id));
+        if (!request || request.targetUserId !== req.user.id || request.status !== 'awaiting_receipt') {
+            return res.status(404).json({ success: false, message: '找不到待簽收的轉移' });
+        }
+        
+        const now = new Date().toISOString();
+        inventoryService.moveStock(data, {
+            giftId: request.giftId,
+            quantity: request.approvedQuantity,
+            serials: request.serials || [],
+            reference: { type: 'request', id: request.id },
+            createdBy: req.user.id,
+            createdAt: now
+        }, {
+            holderType: 'receipt',
+            holderId: request.id,
+            transactionType: 'pending_receipt',
+            referenceUserId: request.targetUserId,
+            reason: `轉移申請 #${request.id} 已簽收`
+        }, {
+            userId: request.targetUserId,
+            transactionType: 'receive',
+            referenceUserId: request.requesterId,
+            reason: `接收轉移: ${request.purpose}`
+        });
+        
+        // 待簽收數量已歸零，移除該申請的待簽收記錄
+        data.pendingReceiptInventory = data.pendingReceiptInventory.filter(item => !(item.requestId === request.id && item.quantity === 0));
+        
+        request.status = 'approved';
+        request.receipt.confirmedAt = now;
+        
+        await writeData(data);
+        res.json({ success: true, request: describeReceiptRequest(data, request), message: '已確認收到，贈品已轉入您的庫存' });
+    } catch (error) {
+        console.error('Confirm receipt error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 表示未收到轉移：交由主管處理，庫存留在待簽收區 (接收人)
+app.put(`${BASE_PATH}/api/requests/:id/dispute`, authenticateToken, serializeWrites, async (req, res) => {
+    try {
+        const reason = String(req.body.reason || '').trim();
+        if (!reason) {
+            return res.status(400).json({ success: false, message: '請說明未收到的情況' });
+        }
+        
+        const data = await readData();
+        const request = data.giftRequests.find(r => r.id === parseInt(req.params.id));
+        if (!request || request.targetUserId !== req.user.id || request.status !== 'awaiting_receipt') {
+            return res.status(404).json({ success: false, message: '找不到待簽收的轉移' });
+        }
+        
+        request.status = 'disputed';
+        request.receipt.disputeReason = reason;
+        request.receipt.disputedAt = new Date().toISOString();
+        
+        await writeData(data);
+        res.json({ success: true, request: describeReceiptRequest(data, request), message: '已回報未收到，將由主管處理' });
+    } catch (error) {
+        console.error('Dispute receipt error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 簽收爭議列表：只列出負責申請者的主管可處理的爭議 (主管)
+app.get(`${BASE_PATH}/api/requests/disputes`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const data = await readData();
+        const manager = data.users.find(u => u.id === req.user.id);
+        const requests = data.giftRequests
+            .filter(request => request.status === 'disputed' && approvals.coversRequester(data, manager, request))
+            .map(request => describeReceiptRequest(data, request))
+            .sort((a, b) => new Date(a.receipt.disputedAt) - new Date(b.receipt.disputedAt));
         
+        res.json(requests);
     } catch (error) {
-        console.error('Approve request error:', error);
+        console.error('Get disputed transfers error:', error);
         res.status(500).json({ success: false, message: '伺服器錯誤' });
     }
 });
 
-// 拒絕申請 (主管)
-app.put(`${BASE_PATH}/api/requests/:id/reject`, authenticateToken, requireRole(['manager']), async (req, res) => {
+// 處理簽收爭議：退回申請者，或確認已交付後重新交由接收人簽收 (主管)
+app.put(`${BASE_PATH}/api/requests/:id/resolve-dispute`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
     try {
-        const requestId = parseInt(req.params.id);
-        const { reason } = req.body;
+        const { decision } = req.body;
+        const note = String(req.body.note || '').trim();
+        if (!receipts.DISPUTE_DECISIONS[decision]) {
+            return res.status(400).json({ success: false, message: '處理方式必須是 return 或 redeliver' });
+        }
+        
         const data = await readData();
+        const request = data.giftRequests.find(r => r.id === parseInt(req.params.id));
+        if (!request || request.status !== 'disputed') {
+            return res.status(404).json({ success: false, message: '找不到有爭議的轉移' });
+        }
         
-        const request = data.giftRequests.find(r => r.id === requestId);
-        if (!request || request.status !== 'pending') {
-            return res.status(404).json({ 
-                success: false, 
-                message: '申請不存在或已處理' 
+        const manager = data.users.find(u => u.id === req.user.id);
+        if (!approvals.coversRequester(data, manager, request)) {
+            return res.status(403).json({ success: false, message: '此申請者不在您負責的門店' });
+        }
+        
+        const now = new Date().toISOString();
+        if (decision === 'return') {
+            inventoryService.moveStock(data, {
+                giftId: request.giftId,
+                quantity: request.approvedQuantity,
+                serials: request.serials || [],
+                reference: { type: 'request', id: request.id },
+                createdBy: req.user.id,
+                createdAt: now
+            }, {
+                holderType: 'receipt',
+                holderId: request.id,
+                transactionType: 'pending_receipt',
+                referenceUserId: request.requesterId,
+                reason: `轉移申請 #${request.id} 簽收爭議退回`
+            }, {
+                userId: request.requesterId,
+                transactionType: 'receive',
+                referenceUserId: request.targetUserId,
+                reason: `轉移未簽收退回${note ? `: ${note}` : ''}`
             });
+            data.pendingReceiptInventory = data.pendingReceiptInventory.filter(item => !(item.requestId === request.id && item.quantity === 0));
+            request.status = 'returned';
+        } else {
+            request.status = 'awaiting_receipt';
         }
         
-        request.status = 'rejected';
-        request.approverId = req.user.id;
-        request.rejectionReason = reason;
-        request.approvedAt = new Date().toISOString();
+        request.receipt.resolution = decision;
+        request.receipt.resolutionNote = note || null;
+        request.receipt.resolvedBy = req.user.id;
+        request.receipt.resolvedAt = now;
         
         await writeData(data);
-        res.json({ success: true, request, message: '申請已拒絕' });
-        
+        res.json({
+            success: true,
+            request: describeReceiptRequest(data, request),
+            message: decision === 'return' ? '已退回申請者' : '已重新交由接收人簽收'
+        });
     } catch (error) {
-        console.error('Reject request error:', error);
+        console.error('Resolve receipt dispute error:', error);
         res.status(500).json({ success: false, message: '伺服器錯誤' });
     }
 });
@@ -804,8 +3777,10 @@ app.put(`${BASE_PATH}/api/requests/:id/reject`, authenticateToken, requireRole([
 app.get(`${BASE_PATH}/api/transactions/my`, authenticateToken, async (req, res) => {
     try {
         const data = await readData();
+        // 損壞退回記在門店待報廢區，以 referenceUserId 對應經手員工
         const transactions = data.giftTransactions
-            .filter(trans => trans.userId === req.user.id)
+            .filter(trans => trans.userId === req.user.id ||
+                (trans.holderType === 'writeoff' && trans.referenceUserId === req.user.id))
             .map(trans => {
                 const gift = data.gifts.find(g => g.id === trans.giftId);
                 const referenceUser = trans.referenceUserId ? 
@@ -816,7 +3791,8 @@ app.get(`${BASE_PATH}/api/transactions/my`, authenticateToken, async (req, res)
                     ...trans,
                     gift,
                     referenceUser: referenceUser ? { ...referenceUser, password: undefined } : null,
-                    createdBy: createdBy ? { ...createdBy, password: undefined } : null
+                    createdBy: createdBy ? { ...createdBy, password: undefined } : null,
+                    selfReversibleUntil: trans.transactionType === 'send' ? selfReversibleUntil(trans) : null
                 };
             })
             .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -828,6 +3804,155 @@ app.get(`${BASE_PATH}/api/transactions/my`, authenticateToken, async (req, res)
     }
 });
 
+// 員工可自行撤銷送出的期限
+function selfReversibleUntil(transaction) {
+    return new Date(new Date(transaction.createdAt).getTime() + SEND_REVERSAL_WINDOW_MINUTES * 60 * 1000).toISOString();
+}
+
+// 檢查送出交易是否可撤銷，回傳錯誤訊息或 null (ignoreRequestId 為正在審批的撤銷申請)
+function sendReversalError(data, original, ignoreRequestId = null) {
+    if (!original || original.transactionType !== 'send') {
+        return '只能撤銷送出交易';
+    }
+    if (original.reversedBy) {
+        return '此送出已撤銷';
+    }
+    const distribution = original.reference && original.reference.type === 'distribution'
+        ? data.distributions.find(d => d.id === original.reference.id)
+        : null;
+    const line = distribution ? distribution.lines.find(l => l.transactionId === original.id) : null;
+    if (line && line.returnedQuantity > 0) {
+        return '此送出已有客戶退回，不能撤銷';
+    }
+    const pending = data.giftRequests.some(request =>
+        request.requestType === 'reversal' &&
+        request.transactionId === original.id &&
+        request.status === 'pending' &&
+        request.id !== ignoreRequestId
+    );
+    return pending ? '此送出已有待審批的撤銷申請' : null;
+}
+
+// 撤銷送出：以 reversal 交易把送出的數量 (含批號、序號與成本) 退回原經手員工，並連結原交易
+// 原送出交易的 status 維持 completed (仍計入帳務合計)，以 reversedBy 記錄撤銷交易
+function reverseSend(data, original, reason, createdBy, now) {
+    const reversal = inventoryService.postMovement(data, {
+        userId: original.userId,
+        giftId: original.giftId,
+        transactionType: 'reversal',
+        quantity: -original.quantity,
+        lots: original.lots,
+        serials: original.serials,
+        costLayers: original.costLayers,
+        reference: { type: 'transaction', id: original.id },
+        reason: `撤銷送出 #${original.id}${reason ? `：${reason}` : ''}`,
+        createdBy: createdBy,
+        createdAt: now
+    });
+
+    original.reversedBy = reversal.id;
+    original.reversedAt = now;
+    return reversal;
+}
+
+// 撤銷送出：主管可直接撤銷；員工在期限內可撤銷自己的送出，逾時改為建立撤銷申請待主管審批
+app.post(`${BASE_PATH}/api/transactions/:id/reverse`, authenticateToken, serializeWrites, async (req, res) => {
+    try {
+        const { reason } = req.body;
+        const data = await readData();
+        
+        const original = data.giftTransactions.find(t => t.id === parseInt(req.params.id));
+        const isManager = req.user.role === 'manager';
+        if (!original || (!isManager && original.userId !== req.user.id)) {
+            return res.status(404).json({ success: false, message: '找不到交易' });
+        }
+        
+        const reversalError = sendReversalError(data, original);
+        if (reversalError) {
+            return res.status(400).json({ success: false, message: reversalError });
+        }
+        
+        const now = new Date().toISOString();
+        if (isManager || now <= selfReversibleUntil(original)) {
+            const reversal = reverseSend(data, original, reason, req.user.id, now);
+            await writeData(data);
+            return res.json({ success: true, reversal, message: '已撤銷送出，庫存已退回' });
+        }
+        
+        if (!reason) {
+            return res.status(400).json({ success: false, message: `已超過 ${SEND_REVERSAL_WINDOW_MINUTES} 分鐘的自行撤銷期限，請填寫撤銷原因送主管審批` });
+        }
+        
+        const request = {
+            id: data.nextIds.giftRequests++,
+            requesterId: req.user.id,
+            giftId: original.giftId,
+            requestType: 'reversal',
+            requestedQuantity: -original.quantity,
+            approvedQuantity: null,
+            targetUserId: null,
+            serials: null,
+            transactionId: original.id,
+            purpose: reason,
+            systemGenerated: false,
+            status: 'pending',
+            approverId: null,
+            rejectionReason: null,
+            createdAt: now,
+            approvedAt: null
+        };
+        request.approvalSteps = approvals.buildSteps(data, request);
+        
+        data.giftRequests.push(request);
+        await writeData(data);
+        res.json({ success: true, request, message: '已超過自行撤銷期限，撤銷申請已送主管審批' });
+    } catch (error) {
+        console.error('Reverse send error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 查詢送出交易的領取人 (主管)：search 比對姓名、電話、會員編號與單號，可依 giftId、userId、日期區間與 repeatOnly 篩選
+app.get(`${BASE_PATH}/api/recipients`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const { search, giftId, userId, from, to, repeatOnly } = req.query;
+        if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+            return res.status(400).json({ success: false, message: '日期格式應為 YYYY-MM-DD' });
+        }
+        
+        const data = await readData();
+        const sends = data.giftTransactions
+            .filter(trans =>
+                trans.transactionType === 'send' &&
+                trans.recipient &&
+                recipients.matchesSearch(trans.recipient, search) &&
+                (!giftId || trans.giftId === parseInt(giftId)) &&
+                (!userId || trans.userId === parseInt(userId)) &&
+                (!from || trans.createdAt >= from) &&
+                (!to || trans.createdAt <= `${to}T23:59:59.999Z`) &&
+                (repeatOnly !== 'true' || trans.recipient.repeat)
+            )
+            .map(trans => ({
+                id: trans.id,
+                giftId: trans.giftId,
+                gift: data.gifts.find(g => g.id === trans.giftId) || null,
+                userId: trans.userId,
+                employeeName: holderName(data, 'user', trans.userId),
+                quantity: -trans.quantity,
+                status: trans.status,
+                recipient: trans.recipient,
+                reason: trans.reason,
+                createdAt: trans.createdAt
+            }))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        
+        res.json({ repeatWindowDays: REPEAT_RECIPIENT_DAYS, sends });
+    } catch (error) {
+        console.error('Search recipients error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
 // =============================================================================
 // 資料匯出 API
 // =============================================================================
@@ -898,6 +4023,100 @@ app.get(`${BASE_PATH}/api/export/excel`, authenticateToken, requireRole(['manage
             { width: 20 }  // 最後更新
         ];
         
+        // 門店庫存另列一個工作表，與員工持有分開
+        const storeSheet = workbook.addWorksheet('門店庫存');
+        storeSheet.addRow(['門店編號', '門店名稱', '贈品編號', '贈品名稱', '類別', '現有數量', '最後更新']);
+        storeSheet.getRow(1).font = { bold: true };
+        storeSheet.getRow(1).fill = headerRow.fill;
+        
+        data.storeInventory.forEach(item => {
+            const store = data.stores.find(s => s.id === item.storeId);
+            const gift = data.gifts.find(g => g.id === item.giftId);
+            if (!store || !gift) return;
+            
+            storeSheet.addRow([
+                store.storeCode,
+                store.storeName,
+                gift.giftCode,
+                gift.giftName,
+                gift.category,
+                item.quantity,
+                new Date(item.lastUpdated).toLocaleString('zh-TW')
+            ]);
+        });
+        
+        storeSheet.columns = [
+            { width: 12 }, // 門店編號
+            { width: 20 }, // 門店名稱
+            { width: 15 }, // 贈品編號
+            { width: 25 }, // 贈品名稱
+            { width: 12 }, // 類別
+            { width: 12 }, // 現有數量
+            { width: 20 }  // 最後更新
+        ];
+        
+        // 在途庫存
+        const transitSheet = workbook.addWorksheet('在途庫存');
+        transitSheet.addRow(['調撥單號', '調出門店', '調入門店', '贈品編號', '贈品名稱', '在途數量', '出貨時間']);
+        transitSheet.getRow(1).font = { bold: true };
+        transitSheet.getRow(1).fill = headerRow.fill;
+        
+        data.transitInventory.filter(item => item.quantity !== 0).forEach(item => {
+            const transfer = data.storeTransfers.find(t => t.id === item.transferId);
+            const gift = data.gifts.find(g => g.id === item.giftId);
+            if (!transfer || !gift) return;
+            const fromStore = data.stores.find(s => s.id === transfer.fromStoreId);
+            const toStore = data.stores.find(s => s.id === transfer.toStoreId);
+            
+            transitSheet.addRow([
+                transfer.id,
+                fromStore ? fromStore.storeName : '',
+                toStore ? toStore.storeName : '',
+                gift.giftCode,
+                gift.giftName,
+                item.quantity,
+                transfer.shippedAt ? new Date(transfer.shippedAt).toLocaleString('zh-TW') : ''
+            ]);
+        });
+        
+        transitSheet.columns = [
+            { width: 12 }, // 調撥單號
+            { width: 20 }, // 調出門店
+            { width: 20 }, // 調入門店
+            { width: 15 }, // 贈品編號
+            { width: 25 }, // 贈品名稱
+            { width: 12 }, // 在途數量
+            { width: 20 }  // 出貨時間
+        ];
+        
+        // 待報廢區 (客戶退回的損壞品)
+        const writeOffSheet = workbook.addWorksheet('待報廢區');
+        writeOffSheet.addRow(['門店名稱', '贈品編號', '贈品名稱', '數量', '最後更新']);
+        writeOffSheet.getRow(1).font = { bold: true };
+        writeOffSheet.getRow(1).fill = headerRow.fill;
+        
+        data.writeOffInventory.filter(item => item.quantity !== 0).forEach(item => {
+            const store = data.stores.find(s => s.id === item.storeId);
+            const gift = data.gifts.find(g => g.id === item.giftId);
+            if (!gift) return;
+            
+            writeOffSheet.addRow([
+                store ? store.storeName : '未指派門店',
+                gift.giftCode,
+                gift.giftName,
+                item.quantity,
+                new Date(item.lastUpdated).toLocaleString('zh-TW')
+            ]);
+        });
+        
+        writeOffSheet.columns = [
+            { width: 20 }, // 門店名稱
+            { width: 15 }, // 贈品編號
+            { width: 25 }, // 贈品名稱
+            { width: 12 }, // 數量
+            { width: 20 }  // 最後更新
+        ];
+        
         // 設定回應標頭
         const filename = `贈品庫存報表_${new Date().toISOString().split('T')[0]}.xlsx`;
         res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
@@ -982,10 +4201,23 @@ app.get(`${BASE_PATH}/api/colleagues`, authenticateToken, async (req, res) => {
     }
 });
 
+// 檢查審批層級的變更權限，回傳錯誤訊息或 null
+// 只有總部主管可以設定或調整層級，且不能變更自己的層級；其他主管新增或升任的主管只能是門店層級
+function approvalLevelError(actor, targetId, currentLevel, nextLevel) {
+    if ((currentLevel || null) === (nextLevel || null)) return null;
+    if (actor && actor.id === targetId) return '不能變更自己的審批層級';
+    if (actor && actor.approvalLevel === 'head_office') return null;
+    if (!currentLevel && nextLevel === 'store') return null;
+    return '只有總部主管可以設定審批層級';
+}
+
 // 新增使用者
-app.post(`${BASE_PATH}/api/users`, authenticateToken, requireRole(['manager']), async (req, res) => {
+app.post(`${BASE_PATH}/api/users`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
     try {
-        const { username, password, fullName, employeeId, storeId, role } = req.body;
+        const { username, password, fullName, employeeId, storeId, role, approvalLevel } = req.body;
+        if (approvalLevel && !approvals.APPROVAL_LEVELS.includes(approvalLevel)) {
+            return res.status(400).json({ success: false, message: '不支援的審批層級' });
+        }
         const data = await readData();
         
         // 檢查使用者名稱是否已存在
@@ -1006,6 +4238,13 @@ app.post(`${BASE_PATH}/api/users`, authenticateToken, requireRole(['manager']),
             });
         }
         
+        const levelError = approvalLevelError(
+            data.users.find(u => u.id === req.user.id), null, null, role === 'manager' ? approvalLevel || 'store' : null
+        );
+        if (levelError) {
+            return res.status(403).json({ success: false, message: levelError });
+        }
+        
         const now = new Date().toISOString();
         const newUser = {
             id: data.nextIds.users++,
@@ -1015,6 +4254,7 @@ app.post(`${BASE_PATH}/api/users`, authenticateToken, requireRole(['manager']),
             employeeId,
             storeId: parseInt(storeId),
             role,
+            approvalLevel: role === 'manager' ? approvalLevel || 'store' : null,
             status: 'active',
             createdAt: now,
             updatedAt: now
@@ -1035,13 +4275,16 @@ app.post(`${BASE_PATH}/api/users`, authenticateToken, requireRole(['manager']),
 });
 
 // 更新使用者
-app.put(`${BASE_PATH}/api/users/:id`, authenticateToken, requireRole(['manager']), async (req, res) => {
+app.put(`${BASE_PATH}/api/users/:id`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
     try {
         const userId = parseInt(req.params.id);
-        const { username, password, fullName, employeeId, storeId, role, status } = req.body;
+        const { username, password, fullName, employeeId, storeId, role, status, approvalLevel } = req.body;
+        if (approvalLevel && !approvals.APPROVAL_LEVELS.includes(approvalLevel)) {
+            return res.status(400).json({ success: false, message: '不支援的審批層級' });
+        }
         const data = await readData();
         
-        const userIndex = data.users.findIndex(u => u.id === userId);
+        const userIndex = data.users.findIndex(u => u.id === userId && u.status !== 'deleted');
         if (userIndex === -1) {
             return res.status(404).json({ 
                 success: false, 
@@ -1075,6 +4318,19 @@ app.put(`${BASE_PATH}/api/users/:id`, authenticateToken, requireRole(['manager']
             }
         }
         
+        // 審批層級只能由總部主管調整
+        const currentUser = data.users[userIndex];
+        const nextRole = role || currentUser.role;
+        const levelError = approvalLevelError(
+            data.users.find(u => u.id === req.user.id),
+            userId,
+            currentUser.role === 'manager' ? currentUser.approvalLevel || 'store' : null,
+            nextRole === 'manager' ? approvalLevel || currentUser.approvalLevel || 'store' : null
+        );
+        if (levelError) {
+            return res.status(403).json({ success: false, message: levelError });
+        }
+        
         // 更新使用者資料
         const updatedUser = {
             ...data.users[userIndex],
@@ -1086,6 +4342,9 @@ app.put(`${BASE_PATH}/api/users/:id`, authenticateToken, requireRole(['manager']
             status: status || data.users[userIndex].status,
             updatedAt: new Date().toISOString()
         };
+        updatedUser.approvalLevel = updatedUser.role === 'manager'
+            ? approvalLevel || data.users[userIndex].approvalLevel || 'store'
+            : null;
         
         // 如果提供了新密碼，則更新密碼
         if (password && password.trim() !== '') {
@@ -1093,6 +4352,9 @@ app.put(`${BASE_PATH}/api/users/:id`, authenticateToken, requireRole(['manager']
         }
         
         data.users[userIndex] = updatedUser;
+        if (updatedUser.status !== 'active') {
+            cancelTransfersTo(data, userId, updatedUser.updatedAt);
+        }
         await writeData(data);
         
         const responseUser = { ...updatedUser };
@@ -1106,8 +4368,18 @@ app.put(`${BASE_PATH}/api/users/:id`, authenticateToken, requireRole(['manager']
     }
 });
 
+// 停用或刪除使用者時，以其為對象且尚未審批的轉移申請已無法簽收，直接取消
+function cancelTransfersTo(data, userId, now) {
+    data.giftRequests
+        .filter(request => request.requestType === 'transfer' && request.targetUserId === userId && request.status === 'pending')
+        .forEach(request => {
+            request.status = 'cancelled';
+            request.cancelledAt = now;
+        });
+}
+
 // 刪除使用者
-app.delete(`${BASE_PATH}/api/users/:id`, authenticateToken, requireRole(['manager']), async (req, res) => {
+app.delete(`${BASE_PATH}/api/users/:id`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
     try {
         const userId = parseInt(req.params.id);
         const data = await readData();
@@ -1120,7 +4392,7 @@ app.delete(`${BASE_PATH}/api/users/:id`, authenticateToken, requireRole(['manage
             });
         }
         
-        const userIndex = data.users.findIndex(u => u.id === userId);
+        const userIndex = data.users.findIndex(u => u.id === userId && u.status !== 'deleted');
         if (userIndex === -1) {
             return res.status(404).json({ 
                 success: false, 
@@ -1128,17 +4400,37 @@ app.delete(`${BASE_PATH}/api/users/:id`, authenticateToken, requireRole(['manage
             });
         }
         
-        // 刪除使用者
-        data.users.splice(userIndex, 1);
-        
-        // 刪除相關的庫存記錄
-        data.giftInventory = data.giftInventory.filter(inv => inv.userId !== userId);
+        // 待簽收或有爭議的轉移須先處理，以免待簽收區留下無人處理的庫存
+        const openReceipt = data.giftRequests.some(request =>
+            ['awaiting_receipt', 'disputed'].includes(request.status) &&
+            (request.requesterId === userId || request.targetUserId === userId)
+        );
+        if (openReceipt) {
+            return res.status(400).json({ success: false, message: '此使用者有待簽收的轉移，請先處理' });
+        }
         
-        // 刪除相關的申請記錄
-        data.giftRequests = data.giftRequests.filter(req => req.requesterId !== userId);
+        // 刪除前保存快照，誤刪時可還原
+        await snapshots.create(data, 'user-delete', req.user.id);
         
-        // 刪除相關的交易記錄
-        data.giftTransactions = data.giftTransactions.filter(trans => trans.userId !== userId);
+        // 標記為已刪除而不移除紀錄，申請與交易歷史仍需對應到此使用者
+        const now = new Date().toISOString();
+        const user = data.users[userIndex];
+        user.status = 'deleted';
+        user.deletedAt = now;
+        user.deletedBy = req.user.id;
+        user.updatedAt = now;
+        
+        // 清空持有的庫存 (移除的數量會寫入事件日誌)
+        inventoryService.removeInventory(data, inv => inv.userId === userId, '刪除使用者時清理庫存記錄', req.user.id);
+        
+        // 尚未審批的申請已無人跟進，直接取消
+        data.giftRequests
+            .filter(request => request.requesterId === userId && request.status === 'pending')
+            .forEach(request => {
+                request.status = 'cancelled';
+                request.cancelledAt = now;
+            });
+        cancelTransfersTo(data, userId, now);
         
         await writeData(data);
         
@@ -1151,7 +4443,7 @@ app.delete(`${BASE_PATH}/api/users/:id`, authenticateToken, requireRole(['manage
 });
 
 // 切換使用者狀態
-app.patch(`${BASE_PATH}/api/users/:id/status`, authenticateToken, requireRole(['manager']), async (req, res) => {
+app.patch(`${BASE_PATH}/api/users/:id/status`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
     try {
         const userId = parseInt(req.params.id);
         const { status } = req.body;
@@ -1165,7 +4457,7 @@ app.patch(`${BASE_PATH}/api/users/:id/status`, authenticateToken, requireRole(['
             });
         }
         
-        const userIndex = data.users.findIndex(u => u.id === userId);
+        const userIndex = data.users.findIndex(u => u.id === userId && u.status !== 'deleted');
         if (userIndex === -1) {
             return res.status(404).json({ 
                 success: false, 
@@ -1174,8 +4466,12 @@ app.patch(`${BASE_PATH}/api/users/:id/status`, authenticateToken, requireRole(['
         }
         
         // 更新使用者狀態
+        const now = new Date().toISOString();
         data.users[userIndex].status = status;
-        data.users[userIndex].updatedAt = new Date().toISOString();
+        data.users[userIndex].updatedAt = now;
+        if (status !== 'active') {
+            cancelTransfersTo(data, userId, now);
+        }
         
         await writeData(data);
         
@@ -1211,12 +4507,12 @@ app.get(`${BASE_PATH}/api/gifts`, authenticateToken, async (req, res) => {
 });
 
 // 新增贈品
-app.post(`${BASE_PATH}/api/gifts`, authenticateToken, requireRole(['manager']), async (req, res) => {
+app.post(`${BASE_PATH}/api/gifts`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
     try {
         console.log('Gift creation request received:', req.body);
         console.log('User:', req.user);
         
-        const { giftCode, giftName, category, status = 'active' } = req.body;
+        const { giftCode, giftName, category, description = '', status = 'active', serialized = false, unitCost = 0 } = req.body;
         
         if (!giftCode || !giftName || !category) {
             console.log('Missing required fields:', { giftCode, giftName, category });
@@ -1226,6 +4522,11 @@ app.post(`${BASE_PATH}/api/gifts`, authenticateToken, requireRole(['manager']),
             });
         }
         
+        const giftUnitCost = Number(unitCost);
+        if (!Number.isFinite(giftUnitCost) || giftUnitCost < 0) {
+            return res.status(400).json({ success: false, message: '單位成本必須是非負數' });
+        }
+        
         const data = await readData();
         console.log('Current data loaded, nextIds:', data.nextIds);
         
@@ -1245,7 +4546,10 @@ app.post(`${BASE_PATH}/api/gifts`, authenticateToken, requireRole(['manager']),
             giftCode,
             giftName,
             category,
+            description,
             status,
+            serialized: Boolean(serialized),
+            unitCost: giftUnitCost,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
@@ -1270,10 +4574,10 @@ app.post(`${BASE_PATH}/api/gifts`, authenticateToken, requireRole(['manager']),
 });
 
 // 更新贈品
-app.put(`${BASE_PATH}/api/gifts/:id`, authenticateToken, requireRole(['manager']), async (req, res) => {
+app.put(`${BASE_PATH}/api/gifts/:id`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
     try {
         const giftId = parseInt(req.params.id);
-        const { giftCode, giftName, category, status } = req.body;
+        const { giftCode, giftName, category, description, status, serialized, unitCost } = req.body;
         
         const data = await readData();
         const giftIndex = data.gifts.findIndex(g => g.id === giftId);
@@ -1285,6 +4589,10 @@ app.put(`${BASE_PATH}/api/gifts/:id`, authenticateToken, requireRole(['manager']
             });
         }
         
+        if (unitCost !== undefined && (!Number.isFinite(Number(unitCost)) || Number(unitCost) < 0)) {
+            return res.status(400).json({ success: false, message: '單位成本必須是非負數' });
+        }
+        
         // 檢查贈品編號是否已被其他贈品使用
         if (giftCode && giftCode !== data.gifts[giftIndex].giftCode) {
             const existingGift = data.gifts.find(g => g.giftCode === giftCode && g.id !== giftId);
@@ -1296,11 +4604,22 @@ app.put(`${BASE_PATH}/api/gifts/:id`, authenticateToken, requireRole(['manager']
             }
         }
         
+        // 已有庫存時變更序號管理，既有的數量會沒有對應的序號 (或留下無法再使用的序號)
+        if (serialized !== undefined && Boolean(serialized) !== Boolean(data.gifts[giftIndex].serialized)) {
+            const held = inventoryService.allHoldings(data).some(holding => holding.giftId === giftId && holding.quantity !== 0);
+            if (held) {
+                return res.status(400).json({ success: false, message: '此贈品仍有庫存，不能變更序號管理設定' });
+            }
+        }
+        
         // 更新贈品資料
         if (giftCode) data.gifts[giftIndex].giftCode = giftCode;
         if (giftName) data.gifts[giftIndex].giftName = giftName;
         if (category) data.gifts[giftIndex].category = category;
+        if (description !== undefined) data.gifts[giftIndex].description = description;
         if (status !== undefined) data.gifts[giftIndex].status = status;
+        if (serialized !== undefined) data.gifts[giftIndex].serialized = Boolean(serialized);
+        if (unitCost !== undefined) data.gifts[giftIndex].unitCost = Number(unitCost);
         
         data.gifts[giftIndex].updatedAt = new Date().toISOString();
         
@@ -1319,7 +4638,7 @@ app.put(`${BASE_PATH}/api/gifts/:id`, authenticateToken, requireRole(['manager']
 });
 
 // 刪除贈品
-app.delete(`${BASE_PATH}/api/gifts/:id`, authenticateToken, requireRole(['manager']), async (req, res) => {
+app.delete(`${BASE_PATH}/api/gifts/:id`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
     try {
         console.log('Delete gift request received for ID:', req.params.id);
         const giftId = parseInt(req.params.id);
@@ -1350,6 +4669,40 @@ app.delete(`${BASE_PATH}/api/gifts/:id`, authenticateToken, requireRole(['manage
         
         console.log('Gift to delete:', data.gifts[giftIndex]);
         
+        // 未完成的門店調撥須先處理，否則在途庫存清除後收貨會讓在途數量變成負數
+        const openTransfer = data.storeTransfers.some(transfer =>
+            transfer.giftId === giftId && ['requested', 'approved', 'shipped'].includes(transfer.status)
+        );
+        if (openTransfer) {
+            return res.status(400).json({ success: false, message: '此贈品有未完成的門店調撥，請先處理' });
+        }
+        
+        // 尚未收齊的採購明細與進行中的盤點也須先處理，否則收貨或過帳會產生不存在贈品的庫存
+        const openPurchase = data.purchaseOrders.some(order =>
+            purchasing.isOpen(order) &&
+            order.lines.some(line => line.giftId === giftId && purchasing.outstandingQuantity(line) > 0)
+        );
+        if (openPurchase) {
+            return res.status(400).json({ success: false, message: '此贈品有尚未收齊的採購單，請先收貨或取消' });
+        }
+        const openStocktake = data.stocktakes.some(session =>
+            stocktakes.isOpen(session) && session.lines.some(line => line.giftId === giftId)
+        );
+        if (openStocktake) {
+            return res.status(400).json({ success: false, message: '此贈品有進行中的盤點，請先過帳或取消' });
+        }
+        
+        // 待簽收或有爭議的轉移須先處理，以免待簽收區留下無人處理的庫存
+        const openReceipt = data.giftRequests.some(request =>
+            request.giftId === giftId && ['awaiting_receipt', 'disputed'].includes(request.status)
+        );
+        if (openReceipt) {
+            return res.status(400).json({ success: false, message: '此贈品有待簽收的轉移，請先處理' });
+        }
+        
+        // 刪除前保存快照，誤刪時可還原
+        await snapshots.create(data, 'gift-delete', req.user.id);
+        
         // Remove the gift from the gifts array
         const deletedGift = data.gifts.splice(giftIndex, 1)[0];
         console.log('Gift removed from array, new gifts count:', data.gifts.length);
@@ -1362,14 +4715,45 @@ app.delete(`${BASE_PATH}/api/gifts/:id`, authenticateToken, requireRole(['manage
             data.giftRequests = [];
         }
         
-        // Remove all inventory records for this gift
-        const initialInventoryCount = data.giftInventory ? data.giftInventory.length : 0;
-        if (data.giftInventory) {
-            data.giftInventory = data.giftInventory.filter(inv => inv.giftId !== giftId);
-        }
-        const removedInventoryCount = initialInventoryCount - (data.giftInventory ? data.giftInventory.length : 0);
+        // Remove all inventory records for this gift (recorded in the event journal)
+        const removedInventoryCount = inventoryService.removeInventory(
+            data,
+            inv => inv.giftId === giftId,
+            '贈品刪除時自動清理庫存記錄',
+            req.user.id
+        ).length;
         console.log('Inventory records removed:', removedInventoryCount);
         
+        // 門店、在途、總部倉庫與待報廢區的庫存一併清除
+        inventoryService.removeInventory(
+            data,
+            item => item.giftId === giftId,
+            '贈品刪除時自動清理門店庫存',
+            req.user.id,
+            'store'
+        );
+        inventoryService.removeInventory(
+            data,
+            item => item.giftId === giftId,
+            '贈品刪除時自動清理在途庫存',
+            req.user.id,
+            'transit'
+        );
+        inventoryService.removeInventory(
+            data,
+            item => item.giftId === giftId,
+            '贈品刪除時自動清理倉庫庫存',
+            req.user.id,
+            'warehouse'
+        );
+        inventoryService.removeInventory(
+            data,
+            item => item.giftId === giftId,
+            '贈品刪除時自動清理待報廢庫存',
+            req.user.id,
+            'writeoff'
+        );
+        
         // Remove all gift requests for this gift
         const initialRequestsCount = data.giftRequests ? data.giftRequests.length : 0;
         if (data.giftRequests) {
@@ -1424,7 +4808,7 @@ app.get(`${BASE_PATH}/api/stores`, authenticateToken, async (req, res) => {
 });
 
 // 新增門店
-app.post(`${BASE_PATH}/api/stores`, authenticateToken, async (req, res) => {
+app.post(`${BASE_PATH}/api/stores`, authenticateToken, serializeWrites, async (req, res) => {
     try {
         const { storeCode, storeName, address, status = 'active' } = req.body;
         
@@ -1448,7 +4832,7 @@ app.post(`${BASE_PATH}/api/stores`, authenticateToken, async (req, res) => {
         
         // 建立新門店
         const newStore = {
-            id: Math.max(...data.stores.map(s => s.id), 0) + 1,
+            id: data.nextIds.stores++,
             storeCode,
             storeName,
             address: address || '',
@@ -1473,7 +4857,7 @@ app.post(`${BASE_PATH}/api/stores`, authenticateToken, async (req, res) => {
 });
 
 // 更新門店
-app.put(`${BASE_PATH}/api/stores/:id`, authenticateToken, async (req, res) => {
+app.put(`${BASE_PATH}/api/stores/:id`, authenticateToken, serializeWrites, async (req, res) => {
     try {
         const storeId = parseInt(req.params.id);
         const { storeCode, storeName, address, status } = req.body;
@@ -1526,6 +4910,178 @@ app.put(`${BASE_PATH}/api/stores/:id`, authenticateToken, async (req, res) => {
     }
 });
 
+// =============================================================================
+// 系統管理 API (主管)
+// =============================================================================
+
+// 重播事件日誌重建庫存餘額，回報與目前庫存不一致的項目；apply 為 true 時以重建結果覆寫
+app.post(`${BASE_PATH}/api/admin/journal/rebuild`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const apply = req.body.apply === true;
+        const data = await readData();
+        const events = await journal.readAll();
+        
+        const balances = inventoryService.projectBalances(events);
+        const divergences = inventoryService.findDivergences(data, balances).map(item => {
+            const gift = data.gifts.find(g => g.id === item.giftId);
+            return {
+                ...item,
+                holderName: holderName(data, item.holderType, item.holderId),
+                giftName: gift ? gift.giftName : null
+            };
+        });
+        
+        if (apply && divergences.length > 0) {
+            inventoryService.applyBalances(data, balances);
+            await writeData(data);
+        }
+        
+        res.json({
+            success: true,
+            eventCount: events.length,
+            divergences,
+            applied: apply && divergences.length > 0,
+            message: divergences.length === 0 ? '庫存與事件日誌一致' : `發現 ${divergences.length} 筆不一致`
+        });
+        
+    } catch (error) {
+        console.error('Rebuild journal error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 帳務一致性檢查
+app.get(`${BASE_PATH}/api/admin/ledger/check`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const data = await readData();
+        const result = checkLedger(data);
+        
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Check ledger error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 帳務修復：以 adjust 交易補齊庫存與交易合計的差額，並修正 nextIds
+app.post(`${BASE_PATH}/api/admin/ledger/repair`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const data = await readData();
+        const repairs = repairLedger(data, req.user.id);
+        
+        if (repairs.length > 0) {
+            await writeData(data);
+        }
+        
+        const result = checkLedger(data);
+        res.json({
+            success: true,
+            repairs,
+            ...result,
+            message: `已修復 ${repairs.length} 筆，剩餘 ${result.issueCount} 筆需人工處理`
+        });
+    } catch (error) {
+        console.error('Repair ledger error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 快照建立原因 (手動建立時可指定)
+const MANUAL_SNAPSHOT_REASONS = ['manual', 'import'];
+
+// 取得快照列表
+app.get(`${BASE_PATH}/api/snapshots`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            snapshots: await snapshots.list(),
+            intervalMinutes: SNAPSHOT_INTERVAL_MINUTES
+        });
+    } catch (error) {
+        console.error('List snapshots error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 手動建立快照 (批次匯入前由前端呼叫，reason 為 import)
+app.post(`${BASE_PATH}/api/snapshots`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const reason = req.body.reason || 'manual';
+        if (!MANUAL_SNAPSHOT_REASONS.includes(reason)) {
+            return res.status(400).json({ success: false, message: '無效的快照原因' });
+        }
+        
+        const snapshot = await snapshots.create(await readData(), reason, req.user.id);
+        res.json({ success: true, snapshot, message: '快照建立成功' });
+    } catch (error) {
+        console.error('Create snapshot error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 比對快照與目前資料
+app.get(`${BASE_PATH}/api/snapshots/:id/diff`, authenticateToken, requireRole(['manager']), async (req, res) => {
+    try {
+        const snapshot = await snapshots.load(req.params.id);
+        if (!snapshot) {
+            return res.status(404).json({ success: false, message: '找不到快照' });
+        }
+        
+        const data = await readData();
+        res.json({
+            success: true,
+            snapshot: { id: snapshot.id, reason: snapshot.reason, createdAt: snapshot.createdAt, createdBy: snapshot.createdBy },
+            diff: diffData(snapshot.data, data)
+        });
+    } catch (error) {
+        console.error('Diff snapshot error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
+// 還原快照：先保存目前資料，再以快照內容覆寫；庫存差額以 restore 事件寫入日誌
+app.post(`${BASE_PATH}/api/snapshots/:id/restore`, authenticateToken, requireRole(['manager']), serializeWrites, async (req, res) => {
+    try {
+        const snapshot = await snapshots.load(req.params.id);
+        if (!snapshot) {
+            return res.status(404).json({ success: false, message: '找不到快照' });
+        }
+        
+        const restored = snapshot.data;
+        if (migrations.getSchemaVersion(restored) > migrations.LATEST_SCHEMA_VERSION) {
+            return res.status(400).json({ success: false, message: '快照的資料結構版本比程式新，無法還原' });
+        }
+        
+        const current = await readData();
+        const backup = await snapshots.create(current, 'pre-restore', req.user.id);
+        
+        migrations.upgradeData(restored);
+        
+        // id 計數器不可倒退，否則快照之後建立的記錄 id 與上傳檔名 (request-<id> 等) 會被重複使用
+        Object.keys(current.nextIds).forEach(key => {
+            restored.nextIds[key] = Math.max(restored.nextIds[key] || 0, current.nextIds[key]);
+        });
+        
+        const balances = inventoryService.projectBalances(await journal.readAll());
+        const divergences = inventoryService.findDivergences(restored, balances);
+        inventoryService.reconciliationEvents(divergences, 'restore', req.user.id)
+            .forEach(event => queueJournalEvent(restored, event));
+        
+        await writeData(restored);
+        
+        console.log(`♻️  已還原快照 ${snapshot.id} (還原前快照: ${backup.id})`);
+        res.json({
+            success: true,
+            restoredFrom: snapshot.id,
+            backupSnapshot: backup.id,
+            message: '快照還原成功'
+        });
+    } catch (error) {
+        console.error('Restore snapshot error:', error);
+        res.status(500).json({ success: false, message: '伺服器錯誤' });
+    }
+});
+
 // Test endpoint to verify API routing
 app.get(`${BASE_PATH}/api/test`, (req, res) => {
     res.json({ 
@@ -1567,12 +5123,17 @@ app.use((err, req, res, next) => {
 async function startServer() {
     try {
         await ensureDataDirectory();
+        await store.init();
+        await migrateData();
+        await initializeJournal();
+        scheduleSnapshots();
         
         app.listen(PORT, () => {
             console.log('=====================================');
             console.log('🎁 贈品管理系統伺服器已啟動');
             console.log(`📍 網址: http://localhost:${PORT}${BASE_PATH}`);
-            console.log(`📁 資料檔案: ${DATA_FILE}`);
+            console.log(`📁 資料儲存: ${store.name} (${store.describe()})`);
+            console.log(`📸 資料快照: ${SNAPSHOT_INTERVAL_MINUTES > 0 ? `每 ${SNAPSHOT_INTERVAL_MINUTES} 分鐘` : '停用定期快照'} (${storage.SNAPSHOT_DIR})`);
             console.log(`🔧 環境: ${process.env.NODE_ENV || 'development'}`);
             console.log('=====================================');
         });
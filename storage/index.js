@@ -0,0 +1,65 @@
+// 資料儲存層 - 依 STORAGE_BACKEND 設定選擇 JSON 檔案或 SQLite 後端
+const path = require('path');
+const { JsonStore } = require('./jsonStore');
+const { SqliteStore } = require('./sqliteStore');
+const { WriteQueue } = require('./writeQueue');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const DATA_FILE = path.join(DATA_DIR, 'giftSystemData.json');
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'giftSystemData.db');
+const JOURNAL_FILE = path.join(DATA_DIR, 'inventoryJournal.jsonl');
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(DATA_DIR, 'snapshots');
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(DATA_DIR, 'uploads');
+
+// 系統使用的資料集合
+const COLLECTIONS = [
+    'users',
+    'stores',
+    'gifts',
+    'giftInventory',
+    'storeInventory',
+    'transitInventory',
+    'warehouseInventory',
+    'writeOffInventory',
+    'pendingReceiptInventory',
+    'giftSerials',
+    'stockThresholds',
+    'approvalPolicies',
+    'approvalDelegations',
+    'suppliers',
+    'purchaseOrders',
+    'stocktakes',
+    'distributions',
+    'giftRequests',
+    'storeTransfers',
+    'giftTransactions'
+];
+
+// 同一行程內共用的寫入佇列
+const writeQueue = new WriteQueue();
+
+function createStore(backend = process.env.STORAGE_BACKEND || 'json') {
+    switch (backend.toLowerCase()) {
+        case 'json':
+            return new JsonStore(DATA_FILE);
+        case 'sqlite':
+            return new SqliteStore(SQLITE_FILE);
+        default:
+            throw new Error(`不支援的儲存後端: ${backend}`);
+    }
+}
+
+module.exports = {
+    DATA_DIR,
+    DATA_FILE,
+    SQLITE_FILE,
+    JOURNAL_FILE,
+    SNAPSHOT_DIR,
+    UPLOAD_DIR,
+    COLLECTIONS,
+    createStore,
+    writeQueue,
+    JsonStore,
+    SqliteStore,
+    WriteQueue
+};
@@ -0,0 +1,104 @@
+// 庫存事件日誌 - 只允許附加的 JSON Lines 檔案，每一筆庫存異動都會寫入一行
+//
+// 日誌是庫存數量的最終依據：giftInventory 只是日誌重播後的投影，
+// 兩者不一致時可透過重播日誌重建。
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+
+// 尚未寫入日誌的事件，依所屬的資料物件暫存，於 writeData 時一併寫入
+const pendingEvents = new WeakMap();
+
+class Journal {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.lastSeq = 0;
+    }
+
+    // 讀取既有日誌以取得最後序號，並截去當機時寫到一半的尾行
+    async init() {
+        if (!fs.existsSync(this.filePath)) {
+            this.lastSeq = 0;
+            return;
+        }
+
+        const content = await fsPromises.readFile(this.filePath, 'utf8');
+        const { events, validLength } = parseJournal(content);
+
+        if (validLength < Buffer.byteLength(content, 'utf8')) {
+            console.warn('⚠️  事件日誌結尾不完整，已截去未完成的記錄');
+            await fsPromises.truncate(this.filePath, validLength);
+        }
+
+        this.lastSeq = events.length > 0 ? events[events.length - 1].seq : 0;
+    }
+
+    // 附加事件並 fsync，回傳含序號的事件
+    async append(events) {
+        if (events.length === 0) return [];
+
+        const stamped = events.map(event => ({ seq: ++this.lastSeq, ...event }));
+        const lines = stamped.map(event => JSON.stringify(event) + '\n').join('');
+
+        const handle = await fsPromises.open(this.filePath, 'a');
+        try {
+            await handle.writeFile(lines, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        return stamped;
+    }
+
+    // 讀取全部事件
+    async readAll() {
+        if (!fs.existsSync(this.filePath)) return [];
+        const content = await fsPromises.readFile(this.filePath, 'utf8');
+        return parseJournal(content).events;
+    }
+
+    isEmpty() {
+        return this.lastSeq === 0;
+    }
+}
+
+// 解析日誌內容；只有以換行結尾的行才算完整寫入，遇到無法解析的行即停止
+function parseJournal(content) {
+    const events = [];
+    let validLength = 0;
+
+    const lines = content.split('\n');
+    // 最後一段沒有換行結尾 (正常情況下為空字串)
+    lines.pop();
+
+    for (const line of lines) {
+        const lineLength = Buffer.byteLength(line, 'utf8') + 1;
+        if (line.trim() !== '') {
+            try {
+                events.push(JSON.parse(line));
+            } catch (error) {
+                break;
+            }
+        }
+        validLength += lineLength;
+    }
+
+    return { events, validLength };
+}
+
+// 將事件排入資料物件的待寫佇列
+function queueJournalEvent(data, event) {
+    if (!pendingEvents.has(data)) {
+        pendingEvents.set(data, []);
+    }
+    pendingEvents.get(data).push(event);
+}
+
+// 取出並清空資料物件的待寫事件
+function takeQueuedEvents(data) {
+    const events = pendingEvents.get(data) || [];
+    pendingEvents.delete(data);
+    return events;
+}
+
+module.exports = { Journal, queueJournalEvent, takeQueuedEvents };
@@ -0,0 +1,90 @@
+// JSON 檔案儲存後端 - 整份資料存放於單一 JSON 檔案
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+
+class JsonStore {
+    constructor(filePath) {
+        this.name = 'json';
+        this.filePath = filePath;
+        this.tempPath = `${filePath}.tmp`;
+    }
+
+    // 啟動時處理上次寫入中斷留下的暫存檔
+    async init() {
+        if (!fs.existsSync(this.tempPath)) return;
+
+        const mainValid = await isValidJsonFile(this.filePath);
+        const tempValid = await isValidJsonFile(this.tempPath);
+
+        if (!mainValid && tempValid) {
+            // 主檔遺失或損毀，但暫存檔已完整寫入：以暫存檔還原
+            console.warn('⚠️  資料檔案無法讀取，從暫存檔還原:', this.tempPath);
+            await fsPromises.rename(this.tempPath, this.filePath);
+            await fsyncDirectory(path.dirname(this.filePath));
+        } else {
+            // 主檔仍是上一次完整寫入的版本，未完成的暫存檔直接捨棄
+            console.warn('⚠️  捨棄未完成寫入的暫存檔:', this.tempPath);
+            await fsPromises.unlink(this.tempPath);
+        }
+    }
+
+    describe() {
+        return this.filePath;
+    }
+
+    // 讀取整份資料，檔案不存在時回傳 null
+    async load() {
+        let content;
+        try {
+            content = await fsPromises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+        return JSON.parse(content);
+    }
+
+    // 寫入整份資料：先寫暫存檔並 fsync，再以 rename 原子性取代主檔
+    async save(data) {
+        const handle = await fsPromises.open(this.tempPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2), 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await fsPromises.rename(this.tempPath, this.filePath);
+        await fsyncDirectory(path.dirname(this.filePath));
+    }
+
+    async close() {
+    }
+}
+
+async function isValidJsonFile(filePath) {
+    try {
+        JSON.parse(await fsPromises.readFile(filePath, 'utf8'));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// 目錄也需 fsync，rename 的結果才會確實落地
+async function fsyncDirectory(dirPath) {
+    let handle;
+    try {
+        handle = await fsPromises.open(dirPath, 'r');
+        await handle.sync();
+    } catch (error) {
+        // 部分平台 (如 Windows) 不支援對目錄 fsync
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+module.exports = { JsonStore };
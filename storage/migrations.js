@@ -0,0 +1,267 @@
+// 資料結構版本與遷移
+//
+// 每個遷移只處理「上一版 → 這一版」的變更，依版本號順序執行。
+// 新增遷移時在 MIGRATIONS 最後加上一筆，並同步更新 getInitialData() 產生的初始資料。
+const fsPromises = require('fs').promises;
+const path = require('path');
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: '補齊贈品與門店的 updatedAt、description 欄位，門店改用 nextIds 配號',
+        up(data) {
+            data.gifts.forEach(gift => {
+                if (!gift.updatedAt) gift.updatedAt = gift.createdAt;
+                if (gift.description === undefined) gift.description = '';
+            });
+
+            data.stores.forEach(store => {
+                if (!store.updatedAt) store.updatedAt = store.createdAt;
+            });
+
+            const maxStoreId = Math.max(0, ...data.stores.map(s => s.id));
+            data.nextIds.stores = Math.max(data.nextIds.stores || 1, maxStoreId + 1);
+        }
+    },
+    {
+        version: 2,
+        description: '新增總部倉庫庫存 warehouseInventory (既有贈品的倉庫數量為 0)',
+        up(data) {
+            if (!Array.isArray(data.warehouseInventory)) data.warehouseInventory = [];
+            if (!data.nextIds.warehouseInventory) {
+                const maxId = Math.max(0, ...data.warehouseInventory.map(item => item.id));
+                data.nextIds.warehouseInventory = maxId + 1;
+            }
+        }
+    },
+    {
+        version: 3,
+        description: '新增門店庫存 storeInventory (既有門店的庫存為 0)',
+        up(data) {
+            if (!Array.isArray(data.storeInventory)) data.storeInventory = [];
+            if (!data.nextIds.storeInventory) {
+                const maxId = Math.max(0, ...data.storeInventory.map(item => item.id));
+                data.nextIds.storeInventory = maxId + 1;
+            }
+        }
+    },
+    {
+        version: 4,
+        description: '新增門店調撥單 storeTransfers 與在途庫存 transitInventory',
+        up(data) {
+            ['storeTransfers', 'transitInventory'].forEach(collection => {
+                if (!Array.isArray(data[collection])) data[collection] = [];
+                if (!data.nextIds[collection]) {
+                    const maxId = Math.max(0, ...data[collection].map(item => item.id));
+                    data.nextIds[collection] = maxId + 1;
+                }
+            });
+        }
+    },
+    {
+        version: 5,
+        description: '新增贈品序號管理 serialized 旗標與序號記錄 giftSerials',
+        up(data) {
+            data.gifts.forEach(gift => {
+                if (gift.serialized === undefined) gift.serialized = false;
+            });
+
+            if (!Array.isArray(data.giftSerials)) data.giftSerials = [];
+            if (!data.nextIds.giftSerials) {
+                const maxId = Math.max(0, ...data.giftSerials.map(item => item.id));
+                data.nextIds.giftSerials = maxId + 1;
+            }
+        }
+    },
+    {
+        version: 6,
+        description: '新增安全庫存上下限 stockThresholds，申請加上 systemGenerated 標記',
+        up(data) {
+            data.giftRequests.forEach(request => {
+                if (request.systemGenerated === undefined) request.systemGenerated = false;
+            });
+
+            if (!Array.isArray(data.stockThresholds)) data.stockThresholds = [];
+            if (!data.nextIds.stockThresholds) {
+                const maxId = Math.max(0, ...data.stockThresholds.map(item => item.id));
+                data.nextIds.stockThresholds = maxId + 1;
+            }
+        }
+    },
+    {
+        version: 7,
+        description: '新增供應商 suppliers 與採購單 purchaseOrders',
+        up(data) {
+            ['suppliers', 'purchaseOrders'].forEach(collection => {
+                if (!Array.isArray(data[collection])) data[collection] = [];
+                if (!data.nextIds[collection]) {
+                    const maxId = Math.max(0, ...data[collection].map(item => item.id));
+                    data.nextIds[collection] = maxId + 1;
+                }
+            });
+        }
+    },
+    {
+        version: 8,
+        description: '贈品新增單位成本 unitCost (舊資料預設為 0)',
+        up(data) {
+            data.gifts.forEach(gift => {
+                if (gift.unitCost === undefined) gift.unitCost = 0;
+            });
+        }
+    },
+    {
+        version: 9,
+        description: '新增盤點單 stocktakes',
+        up(data) {
+            if (!Array.isArray(data.stocktakes)) data.stocktakes = [];
+            if (!data.nextIds.stocktakes) {
+                const maxId = Math.max(0, ...data.stocktakes.map(session => session.id));
+                data.nextIds.stocktakes = maxId + 1;
+            }
+        }
+    },
+    {
+        version: 10,
+        description: '新增送出單 distributions，多項贈品一次送出',
+        up(data) {
+            if (!Array.isArray(data.distributions)) data.distributions = [];
+            if (!data.nextIds.distributions) {
+                const maxId = Math.max(0, ...data.distributions.map(distribution => distribution.id));
+                data.nextIds.distributions = maxId + 1;
+            }
+        }
+    },
+    {
+        version: 11,
+        description: '新增客戶退回損壞品的待報廢區 writeOffInventory',
+        up(data) {
+            if (!Array.isArray(data.writeOffInventory)) data.writeOffInventory = [];
+            if (!data.nextIds.writeOffInventory) {
+                const maxId = Math.max(0, ...data.writeOffInventory.map(item => item.id));
+                data.nextIds.writeOffInventory = maxId + 1;
+            }
+        }
+    },
+    {
+        version: 12,
+        description: '新增多層審批政策 approvalPolicies；既有主管設為總部層級，待審批申請補上門店關卡',
+        up(data) {
+            if (!Array.isArray(data.approvalPolicies)) data.approvalPolicies = [];
+            if (!data.nextIds.approvalPolicies) {
+                const maxId = Math.max(0, ...data.approvalPolicies.map(policy => policy.id));
+                data.nextIds.approvalPolicies = maxId + 1;
+            }
+            data.users.forEach(user => {
+                if (user.role === 'manager' && !user.approvalLevel) user.approvalLevel = 'head_office';
+            });
+            data.giftRequests.forEach(request => {
+                if (request.status !== 'pending' || Array.isArray(request.approvalSteps)) return;
+                request.approvalSteps = [{
+                    level: 'store',
+                    status: 'pending',
+                    approverId: null,
+                    approvedQuantity: null,
+                    comment: null,
+                    actedAt: null
+                }];
+            });
+        }
+    },
+    {
+        version: 13,
+        description: '新增代理審批 approvalDelegations',
+        up(data) {
+            if (!Array.isArray(data.approvalDelegations)) data.approvalDelegations = [];
+            if (!data.nextIds.approvalDelegations) {
+                const maxId = Math.max(0, ...data.approvalDelegations.map(delegation => delegation.id));
+                data.nextIds.approvalDelegations = maxId + 1;
+            }
+        }
+    },
+    {
+        version: 14,
+        description: '新增轉移申請的待簽收庫存 pendingReceiptInventory',
+        up(data) {
+            if (!Array.isArray(data.pendingReceiptInventory)) data.pendingReceiptInventory = [];
+            if (!data.nextIds.pendingReceiptInventory) {
+                const maxId = Math.max(0, ...data.pendingReceiptInventory.map(item => item.id));
+                data.nextIds.pendingReceiptInventory = maxId + 1;
+            }
+        }
+    },
+    {
+        version: 15,
+        description: '已撤銷的送出交易改以 reversedBy 記錄撤銷交易，status 恢復為 completed 以計入帳務檢查',
+        up(data) {
+            data.giftTransactions.forEach(transaction => {
+                if (transaction.status !== 'reversed') return;
+                const reversal = data.giftTransactions.find(t => t.id === transaction.reversalTransactionId);
+                transaction.status = 'completed';
+                transaction.reversedBy = transaction.reversalTransactionId;
+                transaction.reversedAt = reversal ? reversal.createdAt : null;
+                delete transaction.reversalTransactionId;
+            });
+        }
+    }
+];
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function getSchemaVersion(data) {
+    return data.schemaVersion || 0;
+}
+
+function pendingMigrations(data) {
+    return MIGRATIONS.filter(migration => migration.version > getSchemaVersion(data));
+}
+
+// 將遷移前的資料寫入備份目錄，回傳備份檔路徑
+async function writeBackup(data, backupDir) {
+    await fsPromises.mkdir(backupDir, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupFile = path.join(backupDir, `giftSystemData.v${getSchemaVersion(data)}.${timestamp}.json`);
+    await fsPromises.writeFile(backupFile, JSON.stringify(data, null, 2), 'utf8');
+    return backupFile;
+}
+
+// 在記憶體中套用尚未執行的遷移，不備份也不寫回 (例如還原舊版快照)
+function upgradeData(data) {
+    const applied = [];
+
+    for (const migration of pendingMigrations(data)) {
+        migration.up(data);
+        data.schemaVersion = migration.version;
+        applied.push(migration.version);
+    }
+
+    return applied;
+}
+
+// 依序執行尚未套用的遷移；每一步都先備份，套用後立即寫回
+async function runMigrations(data, { backupDir, save }) {
+    const applied = [];
+
+    for (const migration of pendingMigrations(data)) {
+        const backupFile = await writeBackup(data, backupDir);
+        console.log(`🗄️  遷移前備份: ${backupFile}`);
+
+        migration.up(data);
+        data.schemaVersion = migration.version;
+        await save(data);
+
+        console.log(`✅ 資料結構已遷移至 v${migration.version}: ${migration.description}`);
+        applied.push({ version: migration.version, description: migration.description, backupFile });
+    }
+
+    return applied;
+}
+
+module.exports = {
+    MIGRATIONS,
+    LATEST_SCHEMA_VERSION,
+    getSchemaVersion,
+    pendingMigrations,
+    upgradeData,
+    runMigrations
+};
@@ -0,0 +1,133 @@
+// 資料快照 - 定期與破壞性操作前自動保存整份資料，並依保留原則輪替
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+
+// 時間戳記_原因；同一毫秒內相同原因的快照以 -2、-3… 區分
+const SNAPSHOT_ID_PATTERN = /^\d{8}T\d{9}Z(-\d+)?_[a-z-]+$/;
+
+class SnapshotManager {
+    constructor(dir, { retentionCount = 30, retentionDays = 0 } = {}) {
+        this.dir = dir;
+        this.retentionCount = retentionCount;
+        this.retentionDays = retentionDays;
+    }
+
+    fileFor(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    // 建立快照，reason 以小寫英文與連字號表示 (例如 user-delete)
+    async create(data, reason, createdBy = null) {
+        await fsPromises.mkdir(this.dir, { recursive: true });
+
+        const createdAt = new Date().toISOString();
+        const stamp = createdAt.replace(/[-:.]/g, '');
+
+        // 以 wx 建立檔案，已有同名快照時改用下一個序號，不覆寫既有快照
+        let id;
+        let content;
+        for (let sequence = 1; ; sequence++) {
+            id = sequence === 1 ? `${stamp}_${reason}` : `${stamp}-${sequence}_${reason}`;
+            content = JSON.stringify({ id, reason, createdAt, createdBy, data });
+            try {
+                await fsPromises.writeFile(this.fileFor(id), content, { encoding: 'utf8', flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+        }
+        await this.prune();
+
+        return { id, reason, createdAt, createdBy, size: Buffer.byteLength(content, 'utf8') };
+    }
+
+    // 列出快照 (新到舊)，資訊由檔名解析，不需讀取內容
+    async list() {
+        if (!fs.existsSync(this.dir)) return [];
+
+        const files = await fsPromises.readdir(this.dir);
+        const snapshots = [];
+
+        for (const file of files) {
+            const id = path.basename(file, '.json');
+            if (!file.endsWith('.json') || !SNAPSHOT_ID_PATTERN.test(id)) continue;
+
+            const stat = await fsPromises.stat(this.fileFor(id));
+            const [stamp, reason] = id.split('_');
+            snapshots.push({
+                id,
+                reason,
+                createdAt: parseStamp(stamp),
+                sequence: parseInt(stamp.split('-')[1]) || 1,
+                size: stat.size
+            });
+        }
+
+        return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.sequence - a.sequence);
+    }
+
+    // 讀取快照內容，id 不合法或不存在時回傳 null
+    async load(id) {
+        if (!SNAPSHOT_ID_PATTERN.test(id) || !fs.existsSync(this.fileFor(id))) {
+            return null;
+        }
+        return JSON.parse(await fsPromises.readFile(this.fileFor(id), 'utf8'));
+    }
+
+    // 依保留原則刪除舊快照：超過保留數量或超過保留天數者
+    async prune() {
+        const snapshots = await this.list();
+        const cutoff = this.retentionDays > 0 ? Date.now() - this.retentionDays * 24 * 60 * 60 * 1000 : null;
+
+        const expired = snapshots.filter((snapshot, index) =>
+            (this.retentionCount > 0 && index >= this.retentionCount) ||
+            (cutoff && new Date(snapshot.createdAt).getTime() < cutoff && index > 0)
+        );
+
+        for (const snapshot of expired) {
+            await fsPromises.unlink(this.fileFor(snapshot.id));
+        }
+
+        return expired.length;
+    }
+}
+
+function parseStamp(stamp) {
+    // 20261019T181148516Z -> 2026-10-19T18:11:48.516Z
+    return `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T` +
+        `${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}.${stamp.slice(15, 18)}Z`;
+}
+
+// 比對兩份資料，依集合列出新增、刪除、修改的記錄 id
+function diffData(before, after) {
+    const collections = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const result = {};
+
+    collections.forEach(name => {
+        const beforeValue = before[name];
+        const afterValue = after[name];
+
+        if (!Array.isArray(beforeValue) && !Array.isArray(afterValue)) {
+            if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+                result[name] = { changed: true, before: beforeValue, after: afterValue };
+            }
+            return;
+        }
+
+        const beforeMap = new Map((beforeValue || []).map(item => [item.id, JSON.stringify(item)]));
+        const afterMap = new Map((afterValue || []).map(item => [item.id, JSON.stringify(item)]));
+
+        const added = [...afterMap.keys()].filter(id => !beforeMap.has(id));
+        const removed = [...beforeMap.keys()].filter(id => !afterMap.has(id));
+        const modified = [...afterMap.keys()].filter(id => beforeMap.has(id) && beforeMap.get(id) !== afterMap.get(id));
+
+        if (added.length || removed.length || modified.length) {
+            result[name] = { added, removed, modified };
+        }
+    });
+
+    return result;
+}
+
+module.exports = { SnapshotManager, diffData };
@@ -0,0 +1,183 @@
+// SQLite 儲存後端 - 每筆記錄獨立存放，寫入時只更新有變動的資料列
+const Database = require('better-sqlite3');
+
+class SqliteStore {
+    constructor(filePath) {
+        this.name = 'sqlite';
+        this.filePath = filePath;
+        this.db = null;
+        // 最近一次讀寫時各資料列的內容，用於比對差異
+        this.rowCache = null;
+        this.metaCache = null;
+        this.dataVersion = null;
+    }
+
+    async init() {
+        if (this.db) return;
+
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = FULL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS records (
+                collection TEXT NOT NULL,
+                id INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (collection, id)
+            );
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+        `);
+
+        this.statements = {
+            selectRecords: this.db.prepare('SELECT collection, id, data FROM records ORDER BY collection, id'),
+            selectMeta: this.db.prepare('SELECT key, value FROM meta'),
+            upsertRecord: this.db.prepare(`
+                INSERT INTO records (collection, id, data) VALUES (?, ?, ?)
+                ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data
+            `),
+            deleteRecord: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+            upsertMeta: this.db.prepare(`
+                INSERT INTO meta (key, value) VALUES (?, ?)
+                ON CONFLICT (key) DO UPDATE SET value = excluded.value
+            `),
+            deleteMeta: this.db.prepare('DELETE FROM meta WHERE key = ?'),
+            clearRecords: this.db.prepare('DELETE FROM records'),
+            clearMeta: this.db.prepare('DELETE FROM meta')
+        };
+    }
+
+    describe() {
+        return this.filePath;
+    }
+
+    // 其他連線 (例如命令列工具) 寫入後，快取即失效
+    refreshCache() {
+        const version = this.db.pragma('data_version', { simple: true });
+        if (this.rowCache && version === this.dataVersion) return;
+
+        this.rowCache = new Map();
+        for (const row of this.statements.selectRecords.all()) {
+            if (!this.rowCache.has(row.collection)) {
+                this.rowCache.set(row.collection, new Map());
+            }
+            this.rowCache.get(row.collection).set(row.id, row.data);
+        }
+
+        this.metaCache = new Map();
+        for (const row of this.statements.selectMeta.all()) {
+            this.metaCache.set(row.key, row.value);
+        }
+
+        this.dataVersion = version;
+    }
+
+    // 讀取整份資料，資料庫為空時回傳 null
+    async load() {
+        this.refreshCache();
+
+        if (this.rowCache.size === 0 && this.metaCache.size === 0) {
+            return null;
+        }
+
+        const data = {};
+        for (const [key, value] of this.metaCache) {
+            const parsed = JSON.parse(value);
+            data[key] = parsed.collection ? [] : parsed.value;
+        }
+        for (const [collection, rows] of this.rowCache) {
+            data[collection] = Array.from(rows.values()).map(row => JSON.parse(row));
+        }
+        return data;
+    }
+
+    // 寫入資料：陣列型集合逐列比對，其他欄位存入 meta 表
+    async save(data) {
+        this.refreshCache();
+
+        const writeAll = this.db.transaction(() => {
+            const seenCollections = new Set();
+            const seenMeta = new Set();
+
+            for (const [key, value] of Object.entries(data)) {
+                if (isCollection(value)) {
+                    seenCollections.add(key);
+                    this.saveCollection(key, value);
+                }
+
+                // 集合也在 meta 表留下標記，確保空集合在讀回時仍存在
+                const metaValue = JSON.stringify(isCollection(value) ? { collection: true } : { value });
+                seenMeta.add(key);
+                if (this.metaCache.get(key) !== metaValue) {
+                    this.statements.upsertMeta.run(key, metaValue);
+                    this.metaCache.set(key, metaValue);
+                }
+            }
+
+            for (const [collection, rows] of this.rowCache) {
+                if (seenCollections.has(collection)) continue;
+                for (const id of rows.keys()) {
+                    this.statements.deleteRecord.run(collection, id);
+                }
+                this.rowCache.delete(collection);
+            }
+
+            for (const key of Array.from(this.metaCache.keys())) {
+                if (!seenMeta.has(key)) {
+                    this.statements.deleteMeta.run(key);
+                    this.metaCache.delete(key);
+                }
+            }
+        });
+
+        writeAll();
+        this.dataVersion = this.db.pragma('data_version', { simple: true });
+    }
+
+    saveCollection(collection, records) {
+        const cached = this.rowCache.get(collection) || new Map();
+        const next = new Map();
+
+        for (const record of records) {
+            const serialized = JSON.stringify(record);
+            next.set(record.id, serialized);
+            if (cached.get(record.id) !== serialized) {
+                this.statements.upsertRecord.run(collection, record.id, serialized);
+            }
+        }
+
+        for (const id of cached.keys()) {
+            if (!next.has(id)) {
+                this.statements.deleteRecord.run(collection, id);
+            }
+        }
+
+        this.rowCache.set(collection, next);
+    }
+
+    // 清空資料庫 (供遷移工具覆寫使用)
+    async clear() {
+        this.db.transaction(() => {
+            this.statements.clearRecords.run();
+            this.statements.clearMeta.run();
+        })();
+        this.rowCache = null;
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+// 由物件組成且每筆都有數字 id 的陣列才以資料列方式儲存
+function isCollection(value) {
+    return Array.isArray(value) &&
+        value.every(item => item && typeof item === 'object' && Number.isInteger(item.id));
+}
+
+module.exports = { SqliteStore };
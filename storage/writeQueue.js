@@ -0,0 +1,38 @@
+// 單一寫入者佇列 - 讓「讀取、修改、寫回」的區段依序執行，避免互相覆蓋
+class WriteQueue {
+    constructor() {
+        this.tail = Promise.resolve();
+        this.pending = 0;
+    }
+
+    // 取得寫入權，回傳 release 函式；必須呼叫 release 才會輪到下一位 (重複呼叫無作用)
+    acquire() {
+        let release;
+        const done = new Promise(resolve => {
+            let released = false;
+            release = () => {
+                if (released) return;
+                released = true;
+                this.pending--;
+                resolve();
+            };
+        });
+
+        this.pending++;
+        const acquired = this.tail.then(() => release);
+        this.tail = this.tail.then(() => done);
+        return acquired;
+    }
+
+    // 在佇列中執行一段非同步工作
+    async run(task) {
+        const release = await this.acquire();
+        try {
+            return await task();
+        } finally {
+            release();
+        }
+    }
+}
+
+module.exports = { WriteQueue };